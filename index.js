@@ -1,5 +1,8 @@
 const { app } = require('@azure/functions');
 const { httpHandler, queueHandler } = require('./src/functions/SharepointIndexer');
+const crawler = require('./src/functions/SharepointCrawler');
+const webhook = require('./src/functions/SharepointWebhook');
+const search = require('./src/functions/SharepointSearch');
 
 // Register the HTTP trigger
 app.http('SharepointIndexer', {
@@ -15,4 +18,36 @@ app.storageQueue('SharepointIndexerQueue', {
     handler: queueHandler
 });
 
+// Register the crawl triggers (on demand and hourly)
+app.http('SharepointCrawler', {
+    methods: ['POST'],
+    authLevel: 'function',
+    handler: crawler.httpHandler
+});
+
+app.timer('SharepointCrawlerTimer', {
+    schedule: '0 0 * * * *',
+    handler: crawler.timerHandler
+});
+
+// Register the Graph change-notification webhook and subscription renewal
+app.http('SharepointWebhook', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: webhook.webhookHandler
+});
+
+app.timer('SharepointSubscriptionTimer', {
+    schedule: '0 0 */6 * * *',
+    handler: webhook.subscriptionTimerHandler
+});
+
+// Register the security-trimmed search endpoint (function key and Entra ID bearer token)
+app.http('SharepointSearch', {
+    route: 'search',
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    handler: search.httpHandler
+});
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,49 @@
+// Creates, updates or migrates the search index generated from the document model.
+// Needs AZURE_APP_CONFIG_CONNECTION_STRING and access to the Key Vault, like the function app.
+//
+//   node search-index.js create [--index <index or alias>]
+//   node search-index.js migrate [--alias <alias>] [--from <index>]
+//
+// Both default to SEARCH_INDEX_NAME. The first migration of an index created in
+// the portal needs --from <that index> and a new --alias; point SEARCH_INDEX_NAME
+// at the alias afterwards.
+const { provisionIndex, migrateIndex } = require('./src/functions/utils/indexMigration');
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+      throw new Error(`Invalid argument: ${args[i]}`);
+    }
+    options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+}
+
+async function run() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+
+  switch (command) {
+    case 'create': {
+      const indexName = await provisionIndex(null, { indexName: options.index });
+      console.log(`Index ${indexName} is up to date`);
+      break;
+    }
+    case 'migrate': {
+      const result = await migrateIndex(null, { aliasName: options.alias, sourceIndex: options.from });
+      console.log(`Copied ${result.documentCount} documents from ${result.sourceIndex} to ${result.targetIndex}; ` +
+        `alias ${result.aliasName} now points at ${result.targetIndex}`);
+      break;
+    }
+    default:
+      throw new Error('Usage: node search-index.js create|migrate [options]');
+  }
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Search index command failed:', error.message);
+    process.exit(1);
+  });
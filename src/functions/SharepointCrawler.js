@@ -0,0 +1,82 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+
+const { crawlSite, getConfiguredSiteUrls } = require('./utils/driveCrawler');
+const { logMessage, logError } = require('./utils/loggingService');
+const { parseRequestBody } = require('./utils/requestUtils');
+
+/**
+ * HTTP trigger handler - crawls a single site on demand
+ */
+async function httpHandler(request, context) {
+    try {
+        logMessage(context, "Received crawl request");
+
+        const requestBody = await parseRequestBody(request.body);
+        const siteUrl = request.query.get?.('siteUrl') || requestBody?.siteUrl;
+        const fullCrawl = requestBody?.fullCrawl === true ||
+                          request.query.get?.('fullCrawl') === 'true';
+
+        if (!siteUrl) {
+            return {
+                status: 400,
+                jsonBody: {
+                    error: "Bad Request",
+                    message: "siteUrl is required"
+                }
+            };
+        }
+
+        const summary = await crawlSite(context, siteUrl, { fullCrawl });
+
+        return {
+            status: 200,
+            jsonBody: summary
+        };
+    } catch (error) {
+        logError(context, error);
+
+        return {
+            status: 500,
+            jsonBody: {
+                error: "Internal Server Error",
+                message: error.message
+            }
+        };
+    }
+}
+
+/**
+ * Timer trigger handler - crawls every site listed in CRAWL_SITE_URLS
+ */
+async function timerHandler(timer, context) {
+    const siteUrls = await getConfiguredSiteUrls();
+
+    if (siteUrls.length === 0) {
+        logMessage(context, "No sites configured for crawling (CRAWL_SITE_URLS)");
+        return;
+    }
+
+    logMessage(context, "Starting scheduled crawl", { siteCount: siteUrls.length });
+
+    // Crawl sites independently so one failing site does not block the rest
+    let failedSites = 0;
+    for (const siteUrl of siteUrls) {
+        try {
+            await crawlSite(context, siteUrl);
+        } catch (error) {
+            failedSites++;
+            logError(context, error, { operation: 'timerHandler', siteUrl });
+        }
+    }
+
+    logMessage(context, "Scheduled crawl complete", {
+        siteCount: siteUrls.length,
+        failedSites
+    });
+}
+
+module.exports = {
+    httpHandler,
+    timerHandler
+};
@@ -1,34 +1,40 @@
 // Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
 // Proprietary and confidential to ZyptAI
 
-const { processSharePointFile } = require('./utils/fileProcessors');
+const { processSharePointFile, removeSharePointFile, moveSharePointFile } = require('./utils/fileProcessors');
+const { crawlChangedDrive } = require('./utils/driveCrawler');
+const { processSitePage } = require('./utils/sitePageProcessor');
+const { processFanOutPart, finalizeFanOut } = require('./utils/fanOutProcessor');
 const { logMessage, logError } = require('./utils/loggingService');
-const { getRequiredConfig } = require('./utils/configService');  // ✓ correct
-const { TextDecoder } = require('util');
+const configService = require('./utils/configService');
+const { parseRequestBody } = require('./utils/requestUtils');
 
 /**
- * Parses the request body from various possible formats
+ * Runs a delete or move request for an already indexed file
+ * @param {Object} context - Azure Functions context
+ * @param {Object} item - Queue message with action, fileId and optional fileUrl/name
+ * @returns {Promise<string>} Processing result message
  */
-async function parseRequestBody(body) {
-    if (typeof body === 'string') {
-        return JSON.parse(body);
-    }
-    
-    if (body && typeof body.getReader === 'function') {
-        const reader = body.getReader();
-        const decoder = new TextDecoder();
-        let result = '';
-        
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            result += decoder.decode(value, { stream: true });
-        }
-        
-        return JSON.parse(result);
+async function processFileAction(context, item) {
+    switch (item.action) {
+        case 'delete':
+            return removeSharePointFile(context, item);
+
+        case 'move':
+            return moveSharePointFile(context, item);
+
+        default:
+            throw new Error(`Unknown file action: ${item.action}`);
     }
-    
-    return body;
+}
+
+/**
+ * Reads a force flag given as a boolean (JSON body, queue message) or a string (query parameter)
+ * @param {boolean|string} [value] - Flag value
+ * @returns {boolean} True when unchanged files must be re-indexed anyway
+ */
+function isForced(value) {
+    return value === true || String(value).toLowerCase() === 'true';
 }
 
 /**
@@ -42,23 +48,56 @@ async function httpHandler(request, context) {
         const requestBody = await parseRequestBody(request.body);
         logMessage(context, "Parsed request body", { body: requestBody });
         
-        // Get file URL from query params, body, or default config
-        const fileUrl = request.query.fileUrl || 
-                       requestBody?.fileUrl || 
-                       await getRequiredConfig('DEFAULT_SHAREPOINT_FILE_PATH');
+        // Delete and move actions remove or rewrite indexed content, so they are
+        // only accepted from the queue (the crawler enqueues them), never from this anonymous endpoint
+        if (requestBody?.action) {
+            return {
+                status: 400,
+                body: {
+                    error: "Bad Request",
+                    message: "File actions are only accepted from the indexing queue"
+                }
+            };
+        }
+        
+        // Modern site pages and news posts
+        if (requestBody?.pageId || requestBody?.pageUrl) {
+            const result = await processSitePage(context, requestBody);
+            
+            return {
+                status: 200,
+                body: {
+                    message: result,
+                    pageId: requestBody.pageId,
+                    pageUrl: requestBody.pageUrl
+                }
+            };
+        }
+        
+        // Get file reference from query params, body, or default config
+        const fileRef = {
+            fileUrl: request.query.get?.('fileUrl') || 
+                     requestBody?.fileUrl || 
+                     (requestBody?.itemId ? null : await configService.getOptionalSetting('DEFAULT_SHAREPOINT_FILE_PATH')),
+            driveId: requestBody?.driveId,
+            itemId: requestBody?.itemId,
+            force: isForced(request.query.get?.('force') ?? requestBody?.force)
+        };
         
-        if (!fileUrl) {
-            throw new Error("No file URL provided and no default URL configured");
+        if (!fileRef.fileUrl && !(fileRef.driveId && fileRef.itemId)) {
+            throw new Error("No file URL or driveId/itemId provided and no default URL configured");
         }
         
-        logMessage(context, "Processing file", { fileUrl });
-        const result = await processSharePointFile(context, fileUrl);
+        logMessage(context, "Processing file", fileRef);
+        const result = await processSharePointFile(context, fileRef);
         
         return { 
             status: 200,
             body: {
                 message: result,
-                fileUrl: fileUrl
+                fileUrl: fileRef.fileUrl,
+                driveId: fileRef.driveId,
+                itemId: fileRef.itemId
             }
         };
     } catch (error) {
@@ -81,16 +120,56 @@ async function queueHandler(queueItem, context) {
     try {
         logMessage(context, "Processing queue item", { item: queueItem });
         
-        const fileUrl = typeof queueItem === 'string' ? 
-                       queueItem : 
-                       queueItem?.fileUrl;
+        // Drive change notifications from the Graph webhook
+        if (queueItem?.type === 'driveChanged') {
+            await crawlChangedDrive(context, queueItem);
+            logMessage(context, "Drive change processing complete", { driveId: queueItem.driveId });
+            return;
+        }
+        
+        // Site pages found by the crawler
+        if (queueItem?.type === 'sitePage') {
+            const result = await processSitePage(context, queueItem);
+            logMessage(context, "Queue item processing complete", { result });
+            return;
+        }
+        
+        // Parts of a large file, and the coordinator that finalizes it
+        if (queueItem?.type === 'indexPart') {
+            const result = await processFanOutPart(context, queueItem);
+            logMessage(context, "Queue item processing complete", { result });
+            return;
+        }
+        
+        if (queueItem?.type === 'finalizeFile') {
+            const result = await finalizeFanOut(context, queueItem);
+            logMessage(context, "Queue item processing complete", { result });
+            return;
+        }
+        
+        // Deleted, moved or renamed files
+        if (queueItem?.action) {
+            const result = await processFileAction(context, queueItem);
+            logMessage(context, "Queue item processing complete", { result });
+            return;
+        }
+        
+        // Plain URL strings, or objects with fileUrl and/or driveId/itemId
+        const fileRef = typeof queueItem === 'string' ? 
+                       { fileUrl: queueItem } : 
+                       {
+                           fileUrl: queueItem?.fileUrl,
+                           driveId: queueItem?.driveId,
+                           itemId: queueItem?.itemId,
+                           force: isForced(queueItem?.force)
+                       };
         
-        if (!fileUrl) {
-            throw new Error("No file URL found in queue item");
+        if (!fileRef.fileUrl && !(fileRef.driveId && fileRef.itemId)) {
+            throw new Error("No file URL or driveId/itemId found in queue item");
         }
         
-        await processSharePointFile(context, fileUrl);
-        logMessage(context, "Queue item processing complete", { fileUrl });
+        await processSharePointFile(context, fileRef);
+        logMessage(context, "Queue item processing complete", fileRef);
     } catch (error) {
         logError(context, error, { queueItem });
         throw error; // Allows the queue to handle retry logic
@@ -0,0 +1,80 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+
+const { parseSearchRequest, getCallerIdentity, searchFiles, INVALID_SEARCH_REQUEST_CODE } = require('./utils/searchQuery');
+const { logMessage, logError } = require('./utils/loggingService');
+const { parseRequestBody } = require('./utils/requestUtils');
+const { getBearerToken, validateAccessToken, INVALID_ACCESS_TOKEN_CODE } = require('./utils/accessTokenValidator');
+
+/**
+ * HTTP trigger handler - searches the files the signed-in caller may read.
+ * The caller is identified by the Entra ID access token in the Authorization
+ * header; requests without a valid delegated token are rejected.
+ * Parameters come from the query string (GET) or a JSON body (POST):
+ * q, fileType, site, urlPrefix, modifiedFrom, modifiedTo, top and skip.
+ */
+async function httpHandler(request, context) {
+    try {
+        const token = getBearerToken(request.headers.get('authorization'));
+        if (!token) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: "Unauthorized",
+                    message: "A bearer token is required"
+                }
+            };
+        }
+        const { userId } = await validateAccessToken(context, token);
+
+        const requestBody = await parseRequestBody(request.body);
+        const searchRequest = parseSearchRequest({
+            ...Object.fromEntries(request.query?.entries?.() || []),
+            ...(requestBody || {})
+        });
+        logMessage(context, "Received search request", { userId, ...searchRequest });
+
+        const identity = await getCallerIdentity(context, userId);
+        const result = await searchFiles(context, identity, searchRequest);
+
+        return {
+            status: 200,
+            jsonBody: result
+        };
+    } catch (error) {
+        if (error.code === INVALID_ACCESS_TOKEN_CODE) {
+            logMessage(context, "Rejected search request", { reason: error.message });
+            return {
+                status: 401,
+                jsonBody: {
+                    error: "Unauthorized",
+                    message: error.message
+                }
+            };
+        }
+
+        if (error.code === INVALID_SEARCH_REQUEST_CODE || error instanceof SyntaxError) {
+            return {
+                status: 400,
+                jsonBody: {
+                    error: "Bad Request",
+                    message: error.message
+                }
+            };
+        }
+
+        logError(context, error);
+
+        return {
+            status: 500,
+            jsonBody: {
+                error: "Internal Server Error",
+                message: error.message
+            }
+        };
+    }
+}
+
+module.exports = {
+    httpHandler
+};
@@ -0,0 +1,85 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+
+const { getConfiguredSiteUrls } = require('./utils/driveCrawler');
+const { ensureSubscriptions, validateNotification } = require('./utils/subscriptionManager');
+const { enqueueMessages } = require('./services/queueService');
+const { logMessage, logError } = require('./utils/loggingService');
+const { parseRequestBody } = require('./utils/requestUtils');
+
+/**
+ * HTTP trigger handler - receives Microsoft Graph change notifications
+ */
+async function webhookHandler(request, context) {
+    // Graph validates a new subscription by expecting the token echoed back as plain text
+    const validationToken = request.query.get?.('validationToken');
+    if (validationToken) {
+        logMessage(context, "Answering subscription validation request");
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'text/plain' },
+            body: validationToken
+        };
+    }
+
+    try {
+        const requestBody = await parseRequestBody(request.body);
+        const notifications = requestBody?.value || [];
+
+        logMessage(context, "Received change notifications", {
+            notificationCount: notifications.length
+        });
+
+        // Collapse notifications per drive; one delta crawl picks up all changes
+        const changedDrives = new Map();
+        for (const notification of notifications) {
+            const subscription = await validateNotification(context, notification);
+            if (subscription) {
+                changedDrives.set(subscription.driveId, {
+                    type: 'driveChanged',
+                    siteId: subscription.siteId,
+                    driveId: subscription.driveId
+                });
+            }
+        }
+
+        await enqueueMessages(context, [...changedDrives.values()]);
+
+        return { status: 202 };
+    } catch (error) {
+        logError(context, error, { operation: 'webhookHandler' });
+
+        // Non-2xx responses make Graph retry the notification
+        return {
+            status: 500,
+            jsonBody: {
+                error: "Internal Server Error",
+                message: error.message
+            }
+        };
+    }
+}
+
+/**
+ * Timer trigger handler - creates missing subscriptions and renews expiring ones
+ */
+async function subscriptionTimerHandler(timer, context) {
+    try {
+        const siteUrls = await getConfiguredSiteUrls();
+
+        if (siteUrls.length === 0) {
+            logMessage(context, "No sites configured for subscriptions (CRAWL_SITE_URLS)");
+            return;
+        }
+
+        await ensureSubscriptions(context, siteUrls);
+    } catch (error) {
+        logError(context, error, { operation: 'subscriptionTimerHandler' });
+        throw error;
+    }
+}
+
+module.exports = {
+    webhookHandler,
+    subscriptionTimerHandler
+};
@@ -3,18 +3,108 @@
 // File: models/documentModel.js
 // Purpose: Defines the document structure and provides validation for search documents.
 //          Creates consistent document objects for Azure Cognitive Search.
+//          The search index definition is generated from these fields (see indexSchema.js).
 
 const path = require('path');
 
+/**
+ * Search index fields written by createSearchDocument and their index attributes.
+ * Every field is retrievable; descriptionVector must be for the embedding cache.
+ * @constant {Object<string, {type: string, key?: boolean, searchable?: boolean, filterable?: boolean, sortable?: boolean, facetable?: boolean}>}
+ */
+const DOCUMENT_FIELDS = {
+    docId: { type: 'Edm.String', key: true, filterable: true, sortable: true },
+    fileId: { type: 'Edm.String', filterable: true },
+    generation: { type: 'Edm.String', filterable: true },
+    pending: { type: 'Edm.Boolean', filterable: true },
+    docTitle: { type: 'Edm.String', searchable: true },
+    filename: { type: 'Edm.String', searchable: true, filterable: true, sortable: true },
+    filetype: { type: 'Edm.String', filterable: true, facetable: true },
+    fileUrl: { type: 'Edm.String', filterable: true },
+    urlPrefixes: { type: 'Collection(Edm.String)', filterable: true },
+    lastmodified: { type: 'Edm.DateTimeOffset', filterable: true, sortable: true },
+    contentTag: { type: 'Edm.String', filterable: true },
+    description: { type: 'Edm.String', searchable: true },
+    chunkindex: { type: 'Edm.Int32', filterable: true, sortable: true },
+    totalChunks: { type: 'Edm.Int32' },
+    descriptionVector: { type: 'Collection(Edm.Single)', searchable: true },
+    contentHash: { type: 'Edm.String', filterable: true },
+    allowedPrincipals: { type: 'Collection(Edm.String)', filterable: true }
+};
+
+/**
+ * Optional per-chunk location fields and their search index types.
+ * Only fields present in a chunk's metadata are written to the document.
+ * @constant {Object<string, string>}
+ */
+const CHUNK_METADATA_FIELDS = {
+    slideNumber: 'Edm.Int32',
+    sheetName: 'Edm.String',
+    rowStart: 'Edm.Int32',
+    rowEnd: 'Edm.Int32',
+    pageTitle: 'Edm.String',
+    pageDescription: 'Edm.String',
+    promotionKind: 'Edm.String',
+    parentMessage: 'Edm.String',
+    attachmentName: 'Edm.String',
+    sectionPath: 'Edm.String',
+    pageStart: 'Edm.Int32',
+    pageEnd: 'Edm.Int32'
+};
+
+/**
+ * Normalizes a URL for prefix matching: no query or fragment, decoded,
+ * lowercase and without a trailing slash
+ * @param {string} url URL or URL prefix
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+    let normalized = String(url).split(/[?#]/)[0];
+    try {
+        normalized = decodeURI(normalized);
+    } catch (error) {
+        // Malformed escapes are matched as they are
+    }
+    return normalized.replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Lists every path prefix of a URL, from the host to the URL itself, so a
+ * filter can match the files under a site or folder (the index cannot filter
+ * on string prefixes)
+ * @param {string} url File URL
+ * @returns {Array<string>} Normalized prefixes (see normalizeUrl)
+ */
+function getUrlPrefixes(url) {
+    const normalized = normalizeUrl(url);
+    const pathStart = normalized.indexOf('/', normalized.indexOf('//') + 2);
+    if (pathStart === -1) {
+        return [normalized];
+    }
+
+    const prefixes = [normalized.slice(0, pathStart)];
+    for (let i = normalized.indexOf('/', pathStart + 1); i !== -1; i = normalized.indexOf('/', i + 1)) {
+        prefixes.push(normalized.slice(0, i));
+    }
+    prefixes.push(normalized);
+    return prefixes;
+}
+
 /**
  * Creates a document chunk for search indexing
  * @param {Object} params Document creation parameters
  * @param {string} params.fileId Original file ID
  * @param {number} params.chunkIndex Index of this chunk
- * @param {Object} params.fileInfo File metadata from SharePoint
+ * @param {Object} params.fileInfo File metadata from SharePoint; its cTag (or eTag) is stored as
+ *                                 contentTag so unchanged files can be skipped, and its
+ *                                 allowedPrincipals (see permissionModel) for security trimming
  * @param {string} params.content Chunk text content
  * @param {Array<number>} params.embedding Vector embedding of content
  * @param {number} params.totalChunks Total number of chunks
+ * @param {string} [params.generation] Re-index generation; part of docId so a new generation never overwrites the previous one
+ * @param {boolean} [params.pending=false] Hides the document from search until its generation is published
+ * @param {string} [params.contentHash] Hash of content and embedding deployment, used to reuse the embedding
+ * @param {Object} [params.metadata] Chunk location metadata (see CHUNK_METADATA_FIELDS)
  * @returns {Object} Formatted search document
  */
 function createSearchDocument({
@@ -23,7 +113,11 @@ function createSearchDocument({
     fileInfo,
     content,
     embedding,
-    totalChunks
+    totalChunks,
+    generation,
+    pending = false,
+    contentHash,
+    metadata = {}
 }) {
     if (!fileId || !fileInfo || !content || !embedding) {
         throw new Error('Missing required parameters for document creation');
@@ -32,27 +126,61 @@ function createSearchDocument({
     // Convert lastmodified to proper ISO string if it isn't already
     const lastModified = new Date(fileInfo.lastModifiedDateTime).toISOString();
 
+    // cTag changes only with the content; eTag also changes with metadata
+    const contentTag = fileInfo.cTag || fileInfo.eTag;
+
     return {
         // Unique identifier for this chunk
-        docId: `${fileId}-${chunkIndex}`,
+        docId: generation ? `${fileId}-${generation}-${chunkIndex}` : `${fileId}-${chunkIndex}`,
+        
+        // Stable driveItem ID shared by every chunk of the file
+        fileId: fileId,
+
+        // Re-index generation shared by every chunk written in the same pass
+        ...(generation ? { generation } : {}),
+        ...(pending ? { pending: true } : {}),
         
         // File metadata
         docTitle: fileInfo.name,
         filename: fileInfo.name,
         filetype: path.extname(fileInfo.name).toLowerCase(),
         fileUrl: fileInfo.webUrl,
+        urlPrefixes: getUrlPrefixes(fileInfo.webUrl),
         lastmodified: lastModified,
+        ...(contentTag ? { contentTag } : {}),
+
+        // Users, groups and link scopes allowed to read the file
+        ...(Array.isArray(fileInfo.allowedPrincipals) ? { allowedPrincipals: fileInfo.allowedPrincipals } : {}),
         
         // Chunk information
         description: content,
         chunkindex: parseInt(chunkIndex), // Convert to integer for Edm.Int32
-        totalChuncks: parseInt(totalChunks), // Match schema spelling and type
+        totalChunks: parseInt(totalChunks), // Convert to integer for Edm.Int32
+        
+        // Vector embedding and the hash it can be reused under (see embeddingCache)
+        descriptionVector: embedding,
+        ...(contentHash ? { contentHash } : {}),
         
-        // Vector embedding
-        descriptionVector: embedding
+        // Chunk location and source metadata (slide, sheet, rows, page, email, section, ...)
+        ...pickChunkMetadata(metadata)
     };
 }
 
+/**
+ * Picks the known chunk metadata fields that have a value
+ * @param {Object} metadata Chunk metadata
+ * @returns {Object} Metadata fields to store on the document
+ */
+function pickChunkMetadata(metadata) {
+    const fields = {};
+    for (const field of Object.keys(CHUNK_METADATA_FIELDS)) {
+        if (metadata[field] !== undefined && metadata[field] !== null) {
+            fields[field] = metadata[field];
+        }
+    }
+    return fields;
+}
+
 /**
  * Validates a search document before indexing
  * @param {Object} document Search document to validate
@@ -62,13 +190,14 @@ function createSearchDocument({
 function validateDocument(document) {
     const requiredFields = [
         'docId',
+        'fileId',
         'docTitle',
         'description',
         'filename',
         'filetype',
         'lastmodified',
         'chunkindex',
-        'totalChuncks',
+        'totalChunks',
         'descriptionVector',
         'fileUrl'
     ];
@@ -88,8 +217,8 @@ function validateDocument(document) {
         throw new Error('Invalid document: chunkindex must be a number');
     }
 
-    if (typeof document.totalChuncks !== 'number') {
-        throw new Error('Invalid document: totalChuncks must be a number');
+    if (typeof document.totalChunks !== 'number') {
+        throw new Error('Invalid document: totalChunks must be a number');
     }
 
     if (isNaN(new Date(document.lastmodified).getTime())) {
@@ -100,6 +229,10 @@ function validateDocument(document) {
 }
 
 module.exports = {
+    DOCUMENT_FIELDS,
+    CHUNK_METADATA_FIELDS,
+    normalizeUrl,
+    getUrlPrefixes,
     createSearchDocument,
     validateDocument
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: models/indexSchema.js
+// Purpose: Generates the Azure Cognitive Search index definition from the
+//          document model: fields, HNSW vector search and semantic configuration.
+
+const { DOCUMENT_FIELDS, CHUNK_METADATA_FIELDS, getUrlPrefixes } = require('./documentModel');
+
+/**
+ * Field holding the chunk embedding
+ * @constant {string}
+ */
+const VECTOR_FIELD = 'descriptionVector';
+
+/**
+ * Names of the vector search profile, HNSW configuration and semantic configuration
+ * @constant {{vectorProfile: string, hnswAlgorithm: string, semanticConfiguration: string}}
+ */
+const CONFIGURATION_NAMES = {
+    vectorProfile: 'description-vector-profile',
+    hnswAlgorithm: 'description-hnsw',
+    semanticConfiguration: 'default'
+};
+
+/**
+ * HNSW parameters; the service defaults, which buildIndexDefinition callers may override
+ * @constant {{m: number, efConstruction: number, efSearch: number, metric: string}}
+ */
+const DEFAULT_HNSW_PARAMETERS = {
+    m: 4,
+    efConstruction: 400,
+    efSearch: 500,
+    metric: 'cosine'
+};
+
+/**
+ * Fields renamed since earlier index versions, by their old name.
+ * Documents copied from an older index are written under the new name.
+ * @constant {Object<string, string>}
+ */
+const LEGACY_FIELD_NAMES = {
+    totalChuncks: 'totalChunks'
+};
+
+/**
+ * Index attributes of the chunk location fields: all filterable, text also searchable
+ * @returns {Object<string, Object>} Field attributes by name
+ */
+function getChunkMetadataFields() {
+    const fields = {};
+    for (const [name, type] of Object.entries(CHUNK_METADATA_FIELDS)) {
+        fields[name] = type === 'Edm.String' ?
+            { type, searchable: true, filterable: true } :
+            { type, filterable: true, sortable: true };
+    }
+    return fields;
+}
+
+/**
+ * Attributes of every index field by name
+ * @returns {Object<string, Object>}
+ */
+function getIndexFields() {
+    return { ...DOCUMENT_FIELDS, ...getChunkMetadataFields() };
+}
+
+/**
+ * Builds the index definition
+ * @param {string} indexName - Name of the index
+ * @param {Object} options - Definition options
+ * @param {number} options.dimensions - Length of the embeddings of the embedding deployment
+ * @param {Object} [options.hnswParameters] - Overrides of DEFAULT_HNSW_PARAMETERS
+ * @returns {Object} SearchIndex definition for SearchIndexClient
+ */
+function buildIndexDefinition(indexName, { dimensions, hnswParameters = {} }) {
+    if (!Number.isInteger(dimensions) || dimensions <= 0) {
+        throw new Error(`Invalid embedding dimensions: ${dimensions}`);
+    }
+
+    const fields = Object.entries(getIndexFields()).map(([name, attributes]) => ({
+        name,
+        type: attributes.type,
+        key: attributes.key === true,
+        hidden: false,
+        searchable: attributes.searchable === true,
+        filterable: attributes.filterable === true,
+        sortable: attributes.sortable === true,
+        facetable: attributes.facetable === true,
+        ...(name === VECTOR_FIELD ? {
+            vectorSearchDimensions: dimensions,
+            vectorSearchProfileName: CONFIGURATION_NAMES.vectorProfile
+        } : {})
+    }));
+
+    return {
+        name: indexName,
+        fields,
+        vectorSearch: {
+            algorithms: [{
+                name: CONFIGURATION_NAMES.hnswAlgorithm,
+                kind: 'hnsw',
+                parameters: { ...DEFAULT_HNSW_PARAMETERS, ...hnswParameters }
+            }],
+            profiles: [{
+                name: CONFIGURATION_NAMES.vectorProfile,
+                algorithmConfigurationName: CONFIGURATION_NAMES.hnswAlgorithm
+            }]
+        },
+        semanticSearch: {
+            defaultConfigurationName: CONFIGURATION_NAMES.semanticConfiguration,
+            configurations: [{
+                name: CONFIGURATION_NAMES.semanticConfiguration,
+                prioritizedFields: {
+                    titleField: { name: 'docTitle' },
+                    contentFields: [{ name: 'description' }],
+                    keywordsFields: [{ name: 'filename' }, { name: 'sectionPath' }]
+                }
+            }]
+        }
+    };
+}
+
+/**
+ * Converts a document read from an older index to the current fields:
+ * renamed fields get their new name, fileId and urlPrefixes are derived when
+ * missing, and fields no longer in the index (including @search.* result
+ * properties) are dropped. Documents indexed before documents carried a
+ * fileId have the docId `${fileId}-${chunkIndex}`.
+ * @param {Object} document - Document as read from the source index
+ * @returns {Object} Document for the current index
+ */
+function toCurrentDocument(document) {
+    const fields = getIndexFields();
+    const converted = {};
+    for (const [name, value] of Object.entries(document)) {
+        const currentName = LEGACY_FIELD_NAMES[name] || name;
+        if (fields[currentName] && value !== null && value !== undefined) {
+            converted[currentName] = value;
+        }
+    }
+    const legacyDocId = /^(.+)-\d+$/.exec(converted.docId || '');
+    if (!converted.fileId && legacyDocId) {
+        converted.fileId = legacyDocId[1];
+    }
+    if (!converted.urlPrefixes && converted.fileUrl) {
+        converted.urlPrefixes = getUrlPrefixes(converted.fileUrl);
+    }
+    return converted;
+}
+
+module.exports = {
+    VECTOR_FIELD,
+    CONFIGURATION_NAMES,
+    LEGACY_FIELD_NAMES,
+    buildIndexDefinition,
+    toCurrentDocument
+};
@@ -0,0 +1,185 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: models/permissionModel.js
+// Purpose: Maps driveItem permissions to the principals stored on search documents
+//          and a caller identity to the principals it may see.
+
+/**
+ * Principal granted by organization-wide sharing links and the
+ * "Everyone" / "Everyone except external users" claims
+ * @constant {string}
+ */
+const ORGANIZATION_PRINCIPAL = 'organization';
+
+/**
+ * Principal granted by anonymous ("anyone with the link") sharing links
+ * @constant {string}
+ */
+const ANYONE_PRINCIPAL = 'anyone';
+
+/**
+ * Suffix of the principal granted to the owners of a Microsoft 365 group,
+ * as in its SharePoint claim
+ * @constant {string}
+ */
+const GROUP_OWNERS_SUFFIX = '_o';
+
+/**
+ * SharePoint user type of site group members (SP.Utilities.PrincipalType)
+ * @constant {number}
+ */
+const SITE_USER_PRINCIPAL_TYPE = 1;
+
+/**
+ * SharePoint claims that carry an Entra ID object ID or an organization-wide grant
+ * @constant {Array<{pattern: RegExp, principal: function(Array<string>): string}>}
+ */
+const CLAIM_PRINCIPALS = [
+    // Microsoft 365 group members (c:0o.c|federateddirectoryclaimprovider|<id>) and owners (<id>_o)
+    {
+        pattern: /federateddirectoryclaimprovider\|([0-9a-f-]{36})(_o)?$/i,
+        principal: match => match[1].toLowerCase() + (match[2] ? GROUP_OWNERS_SUFFIX : '')
+    },
+    // Security groups: c:0t.c|tenant|<id>
+    { pattern: /\|tenant\|([0-9a-f-]{36})/i, principal: match => match[1].toLowerCase() },
+    // Everyone except external users, and Everyone
+    { pattern: /spo-grid-all-users|^c:0\(\.s\|true$/i, principal: () => ORGANIZATION_PRINCIPAL }
+];
+
+/**
+ * Reads the principal behind a SharePoint user or group login name
+ * @param {string} [loginName] - Claims login name
+ * @returns {string|null} Principal, or null when the claim carries no object ID
+ */
+function getClaimPrincipal(loginName) {
+    for (const { pattern, principal } of CLAIM_PRINCIPALS) {
+        const match = loginName ? loginName.match(pattern) : null;
+        if (match) {
+            return principal(match);
+        }
+    }
+    return null;
+}
+
+/**
+ * Collects the principals allowed to read an item from its permissions,
+ * including inherited ones: users and groups granted directly or through a
+ * sharing link, organization-wide and anonymous links, and SharePoint
+ * claims with an object ID. SharePoint site groups (Owners, Members,
+ * Visitors) carry no object ID; they are returned for the caller to expand
+ * with getSiteGroupPrincipals.
+ * @param {Array<Object>} permissions - driveItem permission resources
+ * @returns {{principals: Array<string>, siteGroups: Array<Object>, unresolved: number}}
+ *          Sorted principal IDs, the site groups to expand and the number of
+ *          grants that could not be mapped at all
+ */
+function getPermissionPrincipals(permissions) {
+    const principals = new Set();
+    const siteGroups = new Map();
+    let unresolved = 0;
+
+    for (const permission of permissions) {
+        const identitySets = [
+            permission.grantedToV2,
+            ...(permission.grantedToIdentitiesV2 || []),
+            permission.grantedTo,
+            ...(permission.grantedToIdentities || [])
+        ].filter(Boolean);
+
+        for (const identitySet of identitySets) {
+            const resolved = [
+                identitySet.user?.id,
+                identitySet.group?.id,
+                getClaimPrincipal(identitySet.siteUser?.loginName),
+                getClaimPrincipal(identitySet.siteGroup?.loginName)
+            ].filter(Boolean);
+
+            resolved.forEach(principal => principals.add(principal.toLowerCase()));
+            if (resolved.length === 0 && identitySet.siteGroup?.id) {
+                siteGroups.set(String(identitySet.siteGroup.id), identitySet.siteGroup);
+            } else if (resolved.length === 0 && identitySet.siteGroup) {
+                unresolved++;
+            }
+        }
+
+        if (permission.link?.scope === 'anonymous') {
+            principals.add(ANYONE_PRINCIPAL);
+        } else if (permission.link?.scope === 'organization') {
+            principals.add(ORGANIZATION_PRINCIPAL);
+        }
+    }
+
+    return { principals: [...principals].sort(), siteGroups: [...siteGroups.values()], unresolved };
+}
+
+/**
+ * Maps the members of a SharePoint site group to principals. On a group
+ * connected site the Members and Owners groups hold the Microsoft 365 group
+ * claims, so they map to the group (or its owners) rather than to each user.
+ * Users are listed by user principal name when their login carries no
+ * object ID, for the caller to look up.
+ * @param {Array<{loginName: string, userPrincipalName: string|null, principalType: number}>} members - Site group members
+ * @returns {{principals: Array<string>, userPrincipalNames: Array<string>}} Principals
+ *          and the user principal names still to resolve
+ */
+function getSiteGroupPrincipals(members) {
+    const principals = new Set();
+    const userPrincipalNames = new Set();
+
+    for (const member of members) {
+        const principal = getClaimPrincipal(member.loginName);
+        if (principal) {
+            principals.add(principal);
+        } else if (member.principalType === SITE_USER_PRINCIPAL_TYPE && member.userPrincipalName) {
+            userPrincipalNames.add(member.userPrincipalName.toLowerCase());
+        }
+    }
+
+    return { principals: [...principals], userPrincipalNames: [...userPrincipalNames] };
+}
+
+/**
+ * Lists the principals a caller may see documents of
+ * @param {Object} identity - Caller identity
+ * @param {string} identity.userId - Entra ID object ID of the user
+ * @param {Array<string>} [identity.groupIds] - Object IDs of the user's groups, and of
+ *        the Microsoft 365 groups the user owns with the owners suffix
+ * @param {boolean} [identity.external=false] - Guest users do not get organization-wide grants
+ * @returns {Array<string>} Principals
+ * @throws {Error} If the identity has no userId
+ */
+function getCallerPrincipals(identity) {
+    if (!identity?.userId) {
+        throw new Error('A caller identity with a userId is required');
+    }
+
+    const principals = new Set([identity.userId, ...(identity.groupIds || []), ANYONE_PRINCIPAL]
+        .map(principal => String(principal).toLowerCase()));
+    if (!identity.external) {
+        principals.add(ORGANIZATION_PRINCIPAL);
+    }
+    return [...principals];
+}
+
+/**
+ * Whether two principal lists grant the same access
+ * @param {Array<string>|null} a - Principals
+ * @param {Array<string>|null} b - Principals
+ * @returns {boolean}
+ */
+function samePrincipals(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b)) {
+        return false;
+    }
+    return [...a].sort().join(',') === [...b].sort().join(',');
+}
+
+module.exports = {
+    ORGANIZATION_PRINCIPAL,
+    ANYONE_PRINCIPAL,
+    GROUP_OWNERS_SUFFIX,
+    getPermissionPrincipals,
+    getSiteGroupPrincipals,
+    getCallerPrincipals,
+    samePrincipals
+};
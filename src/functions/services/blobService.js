@@ -0,0 +1,137 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: services/blobService.js
+// Purpose: Stores intermediate JSON work items in Azure Blob Storage using the
+//          Functions storage account.
+
+const { BlobServiceClient } = require("@azure/storage-blob");
+const { logMessage, logError } = require('../utils/loggingService');
+const { withRetry } = require('../utils/retryPolicy');
+
+const containerClients = {};
+
+/**
+ * Runs a blob request with the shared retry policy
+ * @param {Object} context - Azure Functions context
+ * @param {string} operation - Operation name for logs
+ * @param {function(): Promise<*>} request - Request to run; invoked again on every attempt
+ * @returns {Promise<*>} Request result
+ */
+function blobRequest(context, operation, request) {
+    return withRetry(context, request, { operation, service: 'storage' });
+}
+
+/**
+ * Initialize or get a container client
+ * @param {string} containerName - Name of the container
+ * @returns {Promise<ContainerClient>} Container client
+ */
+async function getContainerClient(containerName) {
+    if (!containerClients[containerName]) {
+        try {
+            const connectionString = process.env.AzureWebJobsStorage;
+            if (!connectionString) {
+                throw new Error("AzureWebJobsStorage not found in environment variables");
+            }
+
+            const containerClient = BlobServiceClient
+                .fromConnectionString(connectionString)
+                .getContainerClient(containerName);
+            await blobRequest(null, 'createContainer', () => containerClient.createIfNotExists());
+
+            containerClients[containerName] = containerClient;
+        } catch (error) {
+            logError(null, error, { operation: 'getContainerClient', containerName });
+            throw new Error(`Failed to initialize container client: ${error.message}`);
+        }
+    }
+    return containerClients[containerName];
+}
+
+/**
+ * Writes a value as a JSON blob, replacing any existing blob
+ * @param {Object} context - Azure Functions context
+ * @param {string} containerName - Container name
+ * @param {string} blobName - Blob name
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+async function uploadJson(context, containerName, blobName, value) {
+    try {
+        const containerClient = await getContainerClient(containerName);
+        const body = JSON.stringify(value);
+
+        await blobRequest(context, 'uploadBlob', () => containerClient
+            .getBlockBlobClient(blobName)
+            .upload(body, Buffer.byteLength(body), {
+                blobHTTPHeaders: { blobContentType: 'application/json' }
+            }));
+    } catch (error) {
+        logError(context, error, { operation: 'uploadJson', containerName, blobName });
+        throw new Error(`Failed to upload blob ${blobName}: ${error.message}`);
+    }
+}
+
+/**
+ * Reads a JSON blob
+ * @param {Object} context - Azure Functions context
+ * @param {string} containerName - Container name
+ * @param {string} blobName - Blob name
+ * @returns {Promise<*|null>} Parsed value, or null when the blob does not exist
+ */
+async function downloadJson(context, containerName, blobName) {
+    try {
+        const containerClient = await getContainerClient(containerName);
+        const content = await blobRequest(context, 'downloadBlob', () => containerClient
+            .getBlobClient(blobName)
+            .downloadToBuffer());
+
+        return JSON.parse(content.toString('utf8'));
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return null;
+        }
+        logError(context, error, { operation: 'downloadJson', containerName, blobName });
+        throw new Error(`Failed to download blob ${blobName}: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes every blob whose name starts with a prefix
+ * @param {Object} context - Azure Functions context
+ * @param {string} containerName - Container name
+ * @param {string} prefix - Blob name prefix
+ * @returns {Promise<number>} Number of blobs deleted
+ */
+async function deleteBlobsByPrefix(context, containerName, prefix) {
+    try {
+        const containerClient = await getContainerClient(containerName);
+
+        // Blobs are paged while iterating, so the whole listing is retried
+        const blobNames = await blobRequest(context, 'listBlobs', async () => {
+            const names = [];
+            for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+                names.push(blob.name);
+            }
+            return names;
+        });
+
+        for (const blobName of blobNames) {
+            await blobRequest(context, 'deleteBlob', () => containerClient
+                .getBlobClient(blobName)
+                .deleteIfExists({ deleteSnapshots: 'include' }));
+        }
+
+        logMessage(context, "Blobs deleted", { containerName, prefix, blobCount: blobNames.length });
+        return blobNames.length;
+    } catch (error) {
+        logError(context, error, { operation: 'deleteBlobsByPrefix', containerName, prefix });
+        throw new Error(`Failed to delete blobs: ${error.message}`);
+    }
+}
+
+module.exports = {
+    uploadJson,
+    downloadJson,
+    deleteBlobsByPrefix
+};
@@ -4,6 +4,12 @@
 // Purpose: Handles all Microsoft Graph API interactions for SharePoint access.
 
 require('isomorphic-fetch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const { Client } = require('@microsoft/microsoft-graph-client');
 const axios = require('axios');
 const { TokenCredentialAuthenticationProvider } = require('@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials');
@@ -11,6 +17,31 @@ const { ClientSecretCredential } = require('@azure/identity');
 const configService = require('../utils/configService');
 const keyVaultService = require('./keyVaultService');
 const { logMessage, logError } = require('../utils/loggingService');
+const { withRetry } = require('../utils/retryPolicy');
+const { getSiteGroupMembers } = require('./sharePointService');
+const {
+    GROUP_OWNERS_SUFFIX,
+    getPermissionPrincipals,
+    getSiteGroupPrincipals
+} = require('../models/permissionModel');
+
+/**
+ * Entra ID object IDs by user principal name, for site group members whose
+ * login carries no object ID
+ * @type {Map<string, Promise<string|null>>}
+ */
+const userIdCache = new Map();
+
+/**
+ * Runs a Graph request with the shared retry policy
+ * @param {Object} context - Azure Functions context
+ * @param {string} operation - Operation name for logs
+ * @param {function(): Promise<*>} request - Request to run; invoked again on every attempt
+ * @returns {Promise<*>} Response body
+ */
+function graphRequest(context, operation, request) {
+    return withRetry(context, request, { operation, service: 'graph' });
+}
 
 /**
  * Initialize Microsoft Graph client with authentication
@@ -73,7 +104,7 @@ async function getSiteInfo(context, graphClient, tenantName, sitePath) {
         const siteUrl = `/sites/${tenantName}.sharepoint.com:/sites/${sitePath}`;
         logMessage(context, "Fetching site information", { siteUrl });
         
-        const site = await graphClient.api(siteUrl).get();
+        const site = await graphRequest(context, 'getSiteInfo', () => graphClient.api(siteUrl).get());
         logMessage(context, "Site information fetched", {
             siteId: site.id,
             siteName: site.displayName
@@ -91,24 +122,84 @@ async function getSiteInfo(context, graphClient, tenantName, sitePath) {
 }
 
 /**
- * Get Documents library information
+ * Get SharePoint site information by hostname and server-relative path
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} hostname - SharePoint hostname (tenant.sharepoint.com)
+ * @param {string} sitePath - Server-relative site path (e.g. sites/hr/policies); empty for the root site
+ * @returns {Promise<Object>} Site information
+ */
+async function getSiteByPath(context, graphClient, hostname, sitePath) {
+    try {
+        const siteUrl = sitePath ?
+            `/sites/${hostname}:/${sitePath.split('/').map(encodeURIComponent).join('/')}` :
+            `/sites/${hostname}`;
+        logMessage(context, "Fetching site information", { siteUrl });
+
+        const site = await graphRequest(context, 'getSiteByPath', () => graphClient.api(siteUrl).get());
+        logMessage(context, "Site information fetched", {
+            siteId: site.id,
+            siteName: site.displayName
+        });
+
+        return site;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'getSiteByPath',
+            hostname,
+            sitePath
+        });
+        const siteError = new Error(`Failed to fetch site info: ${error.message}`);
+        siteError.statusCode = error.statusCode;
+        throw siteError;
+    }
+}
+
+/**
+ * List the document libraries of a site
  * @param {Object} context - Azure Functions context
  * @param {Client} graphClient - Initialized Graph client
  * @param {string} siteId - SharePoint site ID
- * @returns {Promise<Object>} Drive information
+ * @returns {Promise<Array<Object>>} Drives in the site
  */
-async function getDriveInfo(context, graphClient, siteId) {
+async function listDrives(context, graphClient, siteId) {
     try {
         const drivesUrl = `/sites/${siteId}/drives`;
         logMessage(context, "Fetching drives", { drivesUrl });
-        
-        const drives = await graphClient.api(drivesUrl).get();
-        const documentLibrary = drives.value.find(drive => 
-            drive.name === 'Documents' || drive.name === 'Shared Documents'
-        );
+
+        const drives = await graphRequest(context, 'listDrives', () => graphClient.api(drivesUrl).get());
+        return drives.value;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'listDrives',
+            siteId
+        });
+        throw new Error(`Failed to list drives: ${error.message}`);
+    }
+}
+
+/**
+ * Get document library information
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} siteId - SharePoint site ID
+ * @param {string} [driveName] - Library name; the site's default library when omitted
+ * @returns {Promise<Object>} Drive information
+ */
+async function getDriveInfo(context, graphClient, siteId, driveName = null) {
+    try {
+        let documentLibrary;
+
+        if (driveName) {
+            const drives = await listDrives(context, graphClient, siteId);
+            documentLibrary = drives.find(drive => drive.name === driveName);
+        } else {
+            // The default library works regardless of tenant language ("Freigegebene Dokumente", ...)
+            documentLibrary = await graphRequest(context, 'getDriveInfo', () => graphClient.api(`/sites/${siteId}/drive`).get());
+        }
         
         if (!documentLibrary) {
-            throw new Error("Documents library not found in site");
+            throw new Error(`Document library ${driveName || '(default)'} not found in site`);
         }
         
         logMessage(context, "Documents drive found", { 
@@ -120,20 +211,188 @@ async function getDriveInfo(context, graphClient, siteId) {
     } catch (error) {
         logError(context, error, { 
             operation: 'getDriveInfo',
-            siteId 
+            siteId,
+            driveName
         });
         throw new Error(`Failed to fetch drive info: ${error.message}`);
     }
 }
 
 /**
- * Get file metadata and content
+ * Error code of the error thrown when a file exceeds the download size limit
+ * @constant {string}
+ */
+const FILE_TOO_LARGE_CODE = 'FILE_TOO_LARGE';
+
+/**
+ * Times a dropped download is resumed with a Range request before giving up
+ * @constant {number}
+ */
+const MAX_DOWNLOAD_RESUMES = 5;
+
+/**
+ * Creates the error thrown for a file over the size limit
+ * @param {Object} file - driveItem metadata
+ * @param {number} size - Known or downloaded size in bytes
+ * @param {number} maxBytes - Size limit in bytes
+ * @returns {Error}
+ */
+function fileTooLargeError(file, size, maxBytes) {
+    const error = new Error(`File ${file.name} is larger than the ${maxBytes} byte limit (${size} bytes)`);
+    error.code = FILE_TOO_LARGE_CODE;
+    error.size = size;
+    error.maxBytes = maxBytes;
+    return error;
+}
+
+/**
+ * Streams the download URL into a file, starting at an offset with a Range
+ * request. A server that ignores the range restarts the file from scratch.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} file - driveItem metadata including the download URL
+ * @param {string} filePath - Destination file
+ * @param {number} offset - Bytes already written to the destination
+ * @param {number} maxBytes - Size limit in bytes
+ * @returns {Promise<void>}
+ */
+async function streamToFile(context, file, filePath, offset, maxBytes) {
+    const response = await withRetry(context, () => axios.get(file['@microsoft.graph.downloadUrl'], {
+        responseType: 'stream',
+        headers: offset > 0 ? { Range: `bytes=${offset}-` } : {}
+    }), { operation: 'downloadFile', service: 'sharepoint' });
+
+    const resumed = offset > 0 && response.status === 206;
+    let received = resumed ? offset : 0;
+
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            callback(received > maxBytes ? fileTooLargeError(file, received, maxBytes) : null, chunk);
+        }
+    });
+
+    await pipeline(response.data, limiter, fs.createWriteStream(filePath, { flags: resumed ? 'a' : 'w' }));
+}
+
+/**
+ * Download a file to a temporary file instead of memory. The known size is
+ * checked before downloading and the streamed size while downloading; a
+ * dropped connection is resumed from the bytes already on disk.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} file - driveItem metadata including the download URL
+ * @param {Object} [options] - Download options
+ * @param {number} [options.maxBytes=Infinity] - Size limit in bytes
+ * @returns {Promise<{metadata: Object, filePath: string, size: number}>} File data; the caller
+ *          removes filePath with deleteDownloadedFile
+ * @throws {Error} With code FILE_TOO_LARGE when the file exceeds maxBytes
+ */
+async function downloadFile(context, file, { maxBytes = Infinity } = {}) {
+    if (file.size > maxBytes) {
+        throw fileTooLargeError(file, file.size, maxBytes);
+    }
+
+    const filePath = path.join(os.tmpdir(), `sharepoint-${crypto.randomBytes(8).toString('hex')}${path.extname(file.name || '')}`);
+
+    try {
+        if (!file['@microsoft.graph.downloadUrl']) {
+            throw new Error("Download URL not found in file metadata");
+        }
+
+        // Download file content
+        logMessage(context, "Starting file download", {
+            downloadUrl: file['@microsoft.graph.downloadUrl'],
+            filePath
+        });
+
+        for (let resumes = 0; ; resumes++) {
+            const offset = resumes === 0 ? 0 : await getFileSize(filePath);
+            try {
+                await streamToFile(context, file, filePath, offset, maxBytes);
+                break;
+            } catch (error) {
+                // Only dropped connections are resumed; HTTP errors were already retried
+                if (error.code === FILE_TOO_LARGE_CODE || error.response || resumes >= MAX_DOWNLOAD_RESUMES) {
+                    throw error;
+                }
+                logMessage(context, "Download interrupted; resuming", {
+                    resumes: resumes + 1,
+                    error: error.message
+                });
+            }
+        }
+
+        const size = await getFileSize(filePath);
+        logMessage(context, "File download complete", {
+            downloadedSize: size
+        });
+
+        return {
+            metadata: file,
+            filePath,
+            size
+        };
+    } catch (error) {
+        await deleteDownloadedFile(filePath);
+        logError(context, error, {
+            operation: 'downloadFile',
+            fileId: file.id
+        });
+        if (error.code === FILE_TOO_LARGE_CODE) {
+            throw error;
+        }
+        throw new Error(`Failed to download file: ${error.message}`);
+    }
+}
+
+/**
+ * Size of a file on disk, 0 when it does not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getFileSize(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return 0;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Removes a file written by downloadFile
+ * @param {string} filePath - Downloaded file path
+ * @returns {Promise<void>}
+ */
+async function deleteDownloadedFile(filePath) {
+    await fs.promises.rm(filePath, { force: true });
+}
+
+/**
+ * Logs the driveItem metadata that decides whether and how a file is indexed
+ * @param {Object} context - Azure Functions context
+ * @param {Object} file - driveItem metadata
+ */
+function logFileMetadata(context, file) {
+    logMessage(context, "File metadata fetched", {
+        fileName: file.name,
+        fileSize: file.size,
+        fileId: file.id,
+        cTag: file.cTag,
+        lastModified: file.lastModifiedDateTime,
+        mimeType: file.file?.mimeType
+    });
+}
+
+/**
+ * Get file metadata by path, without downloading the content
  * @param {Object} context - Azure Functions context
  * @param {Client} graphClient - Initialized Graph client
  * @param {string} siteId - SharePoint site ID
  * @param {string} driveId - Drive ID
  * @param {string} filePath - File path
- * @returns {Promise<{metadata: Object, content: Buffer}>} File data
+ * @returns {Promise<Object>} driveItem metadata including the download URL
  */
 async function getFileMetadata(context, graphClient, siteId, driveId, filePath) {
     try {
@@ -142,53 +401,453 @@ async function getFileMetadata(context, graphClient, siteId, driveId, filePath)
 
         logMessage(context, "Fetching file metadata", { fileUrl });
 
-        // Get file metadata
-        const file = await graphClient.api(fileUrl).get();
-        
-        if (!file['@microsoft.graph.downloadUrl']) {
-            throw new Error("Download URL not found in file metadata");
+        const file = await graphRequest(context, 'getFileMetadata', () => graphClient.api(fileUrl).get());
+        logFileMetadata(context, file);
+
+        return file;
+    } catch (error) {
+        logError(context, error, { 
+            operation: 'getFileMetadata',
+            siteId,
+            driveId,
+            filePath 
+        });
+        throw new Error(`Failed to fetch file: ${error.message}`);
+    }
+}
+
+/**
+ * Get file metadata by driveItem ID, without downloading the content
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} driveId - Drive ID
+ * @param {string} itemId - driveItem ID
+ * @returns {Promise<Object>} driveItem metadata including the download URL
+ */
+async function getFileById(context, graphClient, driveId, itemId) {
+    try {
+        const fileUrl = `/drives/${driveId}/items/${itemId}`;
+
+        logMessage(context, "Fetching file metadata", { fileUrl });
+
+        const file = await graphRequest(context, 'getFileById', () => graphClient.api(fileUrl).get());
+        logFileMetadata(context, file);
+
+        return file;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'getFileById',
+            driveId,
+            itemId
+        });
+        throw new Error(`Failed to fetch file: ${error.message}`);
+    }
+}
+
+/**
+ * Look up the object ID of a user by user principal name
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} userPrincipalName - User principal name
+ * @returns {Promise<string|null>} Object ID, or null when the user no longer exists
+ */
+function getUserId(context, graphClient, userPrincipalName) {
+    if (!userIdCache.has(userPrincipalName)) {
+        const lookup = graphRequest(context, 'getUserId', () => graphClient
+            .api(`/users/${encodeURIComponent(userPrincipalName)}`)
+            .select('id')
+            .get())
+            .then(user => user.id.toLowerCase())
+            .catch(error => {
+                if (error.statusCode === 404) {
+                    return null;
+                }
+                userIdCache.delete(userPrincipalName);
+                throw error;
+            });
+        userIdCache.set(userPrincipalName, lookup);
+    }
+    return userIdCache.get(userPrincipalName);
+}
+
+/**
+ * Expand SharePoint site groups granted on an item into principals: the
+ * Microsoft 365 group behind the Members and Owners groups of a group
+ * connected site, and security groups and users added to any site group
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} driveId - Drive ID
+ * @param {Array<Object>} siteGroups - siteGroup identities from the permissions
+ * @returns {Promise<Array<string>>} Principals
+ */
+async function getSiteGroupsPrincipals(context, graphClient, driveId, siteGroups) {
+    const drive = await graphRequest(context, 'getDriveSite', () => graphClient
+        .api(`/drives/${driveId}`)
+        .select('sharePointIds')
+        .get());
+
+    const siteUrl = drive.sharePointIds?.siteUrl;
+    if (!siteUrl) {
+        throw new Error(`Drive ${driveId} does not belong to a SharePoint site`);
+    }
+
+    const principals = new Set();
+    for (const siteGroup of siteGroups) {
+        const members = await getSiteGroupMembers(context, siteUrl, siteGroup.id);
+        const { principals: memberPrincipals, userPrincipalNames } = getSiteGroupPrincipals(members);
+
+        memberPrincipals.forEach(principal => principals.add(principal));
+        for (const userPrincipalName of userPrincipalNames) {
+            const userId = await getUserId(context, graphClient, userPrincipalName);
+            if (userId) {
+                principals.add(userId);
+            }
         }
+    }
+    return [...principals];
+}
 
-        logMessage(context, "File metadata fetched", {
-            fileName: file.name,
-            fileSize: file.size,
-            fileId: file.id,
-            mimeType: file.file?.mimeType
+/**
+ * Get the principals allowed to read a driveItem, from its direct and
+ * inherited permissions and sharing links (see permissionModel), with
+ * SharePoint site groups expanded to their members
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} driveId - Drive ID
+ * @param {string} itemId - driveItem ID
+ * @returns {Promise<Array<string>>} Sorted principal IDs
+ */
+async function getFilePermissions(context, graphClient, driveId, itemId) {
+    try {
+        let requestUrl = `/drives/${driveId}/items/${itemId}/permissions`;
+        const permissions = [];
+
+        while (requestUrl) {
+            const page = await graphRequest(context, 'getFilePermissions', () => graphClient.api(requestUrl).get());
+            permissions.push(...(page.value || []));
+            requestUrl = page['@odata.nextLink'] || null;
+        }
+
+        const { principals, siteGroups, unresolved } = getPermissionPrincipals(permissions);
+        const siteGroupPrincipals = siteGroups.length > 0
+            ? await getSiteGroupsPrincipals(context, graphClient, driveId, siteGroups)
+            : [];
+        const allowedPrincipals = [...new Set([...principals, ...siteGroupPrincipals])].sort();
+
+        logMessage(context, "File permissions fetched", {
+            itemId,
+            permissionCount: permissions.length,
+            siteGroupCount: siteGroups.length,
+            principalCount: allowedPrincipals.length,
+            unresolvedGrants: unresolved
         });
 
-        // Download file content
-        logMessage(context, "Starting file download", {
-            downloadUrl: file['@microsoft.graph.downloadUrl']
+        return allowedPrincipals;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'getFilePermissions',
+            driveId,
+            itemId
         });
+        throw new Error(`Failed to fetch file permissions: ${error.message}`);
+    }
+}
 
-        const response = await axios.get(file['@microsoft.graph.downloadUrl'], {
-            responseType: 'arraybuffer',
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity
+/**
+ * Get what a user may read through: the groups the user belongs to, directly
+ * or through nested groups, the Microsoft 365 groups the user owns, and
+ * whether the user is a guest
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} userId - Entra ID object ID of the user
+ * @returns {Promise<{groupIds: Array<string>, external: boolean}>} Group object IDs, owned
+ *          group IDs with the owners suffix, and guest flag
+ */
+async function getUserAccess(context, graphClient, userId) {
+    try {
+        const [user, memberGroups, ownedGroupIds] = await Promise.all([
+            graphRequest(context, 'getUser', () => graphClient
+                .api(`/users/${encodeURIComponent(userId)}`)
+                .select('id,userType')
+                .get()),
+            graphRequest(context, 'getMemberGroups', () => graphClient
+                .api(`/users/${encodeURIComponent(userId)}/getMemberGroups`)
+                .post({ securityEnabledOnly: false })),
+            getOwnedGroupIds(context, graphClient, userId)
+        ]);
+
+        return {
+            groupIds: [
+                ...(memberGroups.value || []),
+                ...ownedGroupIds.map(groupId => `${groupId}${GROUP_OWNERS_SUFFIX}`)
+            ],
+            external: user.userType === 'Guest'
+        };
+    } catch (error) {
+        logError(context, error, {
+            operation: 'getUserAccess',
+            userId
         });
+        throw new Error(`Failed to fetch user groups: ${error.message}`);
+    }
+}
 
-        logMessage(context, "File download complete", {
-            downloadedSize: response.data.length
+/**
+ * List the groups a user owns, which grant access through the owners claim
+ * of their Microsoft 365 group
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} userId - Entra ID object ID of the user
+ * @returns {Promise<Array<string>>} Group object IDs
+ */
+async function getOwnedGroupIds(context, graphClient, userId) {
+    let requestUrl = `/users/${encodeURIComponent(userId)}/ownedObjects/microsoft.graph.group?$select=id`;
+    const groupIds = [];
+
+    while (requestUrl) {
+        const page = await graphRequest(context, 'getOwnedGroups', () => graphClient.api(requestUrl).get());
+        groupIds.push(...(page.value || []).map(group => group.id));
+        requestUrl = page['@odata.nextLink'] || null;
+    }
+    return groupIds;
+}
+
+/**
+ * Resolve a sharing link ("Copy link" URL) to the driveItem it points to
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} sharingUrl - Sharing URL
+ * @returns {Promise<Object>} driveItem metadata
+ */
+async function getSharedDriveItem(context, graphClient, sharingUrl) {
+    try {
+        // Graph expects "u!" followed by the unpadded base64url encoded URL
+        const encodedUrl = 'u!' + Buffer.from(sharingUrl).toString('base64')
+            .replace(/=+$/, '')
+            .replace(/\//g, '_')
+            .replace(/\+/g, '-');
+
+        logMessage(context, "Resolving sharing link", { sharingUrl });
+
+        const item = await graphRequest(context, 'getSharedDriveItem', () => graphClient.api(`/shares/${encodedUrl}/driveItem`).get());
+
+        logMessage(context, "Sharing link resolved", {
+            itemId: item.id,
+            driveId: item.parentReference?.driveId
+        });
+
+        return item;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'getSharedDriveItem',
+            sharingUrl
+        });
+        throw new Error(`Failed to resolve sharing link: ${error.message}`);
+    }
+}
+
+/**
+ * Get changes to a drive using the Graph delta endpoint
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} driveId - Drive ID
+ * @param {string} [deltaLink] - Delta link from a previous run; omit for a full crawl
+ * @returns {Promise<{items: Array<Object>, deltaLink: string}>} Changed items and the next delta link
+ */
+async function getDriveDelta(context, graphClient, driveId, deltaLink = null) {
+    try {
+        let requestUrl = deltaLink || `/drives/${driveId}/root/delta`;
+        const items = [];
+        let nextDeltaLink = null;
+        let pageCount = 0;
+
+        logMessage(context, "Fetching drive delta", {
+            driveId,
+            isFullCrawl: !deltaLink
+        });
+
+        while (requestUrl) {
+            // Also report items whose permissions changed, including everything under a changed folder
+            const page = await graphRequest(context, 'getDriveDelta', () => graphClient
+                .api(requestUrl)
+                .header('Prefer', 'deltashowsharingchanges')
+                .get());
+            items.push(...(page.value || []));
+            pageCount++;
+
+            requestUrl = page['@odata.nextLink'] || null;
+            nextDeltaLink = page['@odata.deltaLink'] || nextDeltaLink;
+        }
+
+        if (!nextDeltaLink) {
+            throw new Error("Delta link not returned by Graph");
+        }
+
+        logMessage(context, "Drive delta fetched", {
+            driveId,
+            itemCount: items.length,
+            pageCount
         });
 
         return {
-            metadata: file,
-            content: response.data
+            items,
+            deltaLink: nextDeltaLink
         };
     } catch (error) {
-        logError(context, error, { 
-            operation: 'getFileMetadata',
+        logError(context, error, {
+            operation: 'getDriveDelta',
+            driveId
+        });
+        const deltaError = new Error(`Failed to fetch drive delta: ${error.message}`);
+        deltaError.statusCode = error.statusCode;
+        throw deltaError;
+    }
+}
+
+/**
+ * List the modern site pages (including news posts) of a site
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} siteId - SharePoint site ID
+ * @returns {Promise<Array<Object>>} Site pages without their canvas content
+ */
+async function listSitePages(context, graphClient, siteId) {
+    try {
+        let requestUrl = `/sites/${siteId}/pages/microsoft.graph.sitePage`;
+        const pages = [];
+
+        logMessage(context, "Fetching site pages", { siteId });
+
+        while (requestUrl) {
+            const page = await graphRequest(context, 'listSitePages', () => graphClient.api(requestUrl).get());
+            pages.push(...(page.value || []));
+            requestUrl = page['@odata.nextLink'] || null;
+        }
+
+        logMessage(context, "Site pages fetched", { siteId, pageCount: pages.length });
+        return pages;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'listSitePages',
+            siteId
+        });
+        throw new Error(`Failed to list site pages: ${error.message}`);
+    }
+}
+
+/**
+ * Get a site page with its canvas layout (sections, columns and web parts)
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} siteId - SharePoint site ID
+ * @param {string} pageId - Site page ID
+ * @returns {Promise<Object>} Site page including canvasLayout
+ */
+async function getSitePage(context, graphClient, siteId, pageId) {
+    try {
+        const pageUrl = `/sites/${siteId}/pages/${pageId}/microsoft.graph.sitePage`;
+        logMessage(context, "Fetching site page", { pageUrl });
+
+        const page = await graphRequest(context, 'getSitePage', () => graphClient.api(pageUrl).expand('canvasLayout').get());
+
+        logMessage(context, "Site page fetched", {
+            pageId: page.id,
+            pageName: page.name,
+            promotionKind: page.promotionKind
+        });
+
+        return page;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'getSitePage',
             siteId,
-            driveId,
-            filePath 
+            pageId
         });
-        throw new Error(`Failed to fetch file: ${error.message}`);
+        throw new Error(`Failed to fetch site page: ${error.message}`);
+    }
+}
+
+/**
+ * Create a change-notification subscription
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {Object} params - Subscription parameters
+ * @param {string} params.resource - Resource to watch (e.g. /drives/{id}/root)
+ * @param {string} params.notificationUrl - Public URL of the webhook endpoint
+ * @param {string} params.clientState - Secret echoed back on every notification
+ * @param {string} params.expirationDateTime - ISO expiration date
+ * @returns {Promise<Object>} Created subscription
+ */
+async function createSubscription(context, graphClient, { resource, notificationUrl, clientState, expirationDateTime }) {
+    try {
+        logMessage(context, "Creating Graph subscription", { resource, expirationDateTime });
+
+        const subscription = await graphRequest(context, 'createSubscription', () => graphClient.api('/subscriptions').post({
+            changeType: 'updated',
+            notificationUrl,
+            resource,
+            expirationDateTime,
+            clientState
+        }));
+
+        logMessage(context, "Graph subscription created", {
+            subscriptionId: subscription.id,
+            resource
+        });
+
+        return subscription;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'createSubscription',
+            resource
+        });
+        throw new Error(`Failed to create subscription: ${error.message}`);
+    }
+}
+
+/**
+ * Extend the expiration of an existing subscription
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} expirationDateTime - New ISO expiration date
+ * @returns {Promise<Object>} Updated subscription
+ */
+async function renewSubscription(context, graphClient, subscriptionId, expirationDateTime) {
+    try {
+        logMessage(context, "Renewing Graph subscription", { subscriptionId, expirationDateTime });
+
+        return await graphRequest(context, 'renewSubscription', () => graphClient.api(`/subscriptions/${subscriptionId}`).patch({
+            expirationDateTime
+        }));
+    } catch (error) {
+        logError(context, error, {
+            operation: 'renewSubscription',
+            subscriptionId
+        });
+        const renewError = new Error(`Failed to renew subscription: ${error.message}`);
+        renewError.statusCode = error.statusCode;
+        throw renewError;
     }
 }
 
 module.exports = {
     initializeGraphClient,
     getSiteInfo,
+    getSiteByPath,
+    listDrives,
     getDriveInfo,
-    getFileMetadata
+    getFileMetadata,
+    getFileById,
+    getFilePermissions,
+    getUserAccess,
+    downloadFile,
+    deleteDownloadedFile,
+    getSharedDriveItem,
+    getDriveDelta,
+    listSitePages,
+    getSitePage,
+    createSubscription,
+    renewSubscription,
+    FILE_TOO_LARGE_CODE
 };
\ No newline at end of file
@@ -6,6 +6,7 @@
 const { SecretClient } = require("@azure/keyvault-secrets");
 const { DefaultAzureCredential } = require("@azure/identity");
 const configService = require('../utils/configService.js');
+const { withRetry } = require('../utils/retryPolicy');
 
 /**
  * Service class to handle all Key Vault operations
@@ -94,7 +95,10 @@ class KeyVaultService {
             }
 
             console.log(`Getting secret: ${secretName}`);
-            const secret = await this.secretClient.getSecret(secretName);
+            const secret = await withRetry(null, () => this.secretClient.getSecret(secretName), {
+                operation: 'getSecret',
+                service: 'keyvault'
+            });
             
             // Extract the original value
             const originalValue = this._extractOriginalValue(secret.value);
@@ -7,10 +7,19 @@ const { OpenAIClient, AzureKeyCredential } = require("@azure/openai");
 const configService = require('../utils/configService');
 const keyVaultService = require('./keyVaultService');
 const { logMessage, logError } = require('../utils/loggingService');
+const { countTokens } = require('../utils/chunkingService');
+const { withRetry, isRetryableError, CIRCUIT_OPEN_CODE } = require('../utils/retryPolicy');
 
-// Constants for retry logic
-const MAX_RETRIES = 3;
-const BASE_DELAY = 1000; // 1 second base delay for exponential backoff
+/**
+ * Batch defaults, overridable with EMBEDDING_BATCH_MAX_TOKENS,
+ * EMBEDDING_BATCH_MAX_INPUTS and EMBEDDING_CONCURRENCY
+ * @constant {{maxTokens: number, maxInputs: number, concurrency: number}}
+ */
+const DEFAULT_BATCH_OPTIONS = {
+    maxTokens: 8000,
+    maxInputs: 16,
+    concurrency: 4
+};
 
 let openAIClient = null;
 
@@ -52,84 +61,206 @@ async function getOpenAIClient() {
  * Generates embeddings for given text content with retry logic
  * @param {Object} context Azure Functions context
  * @param {string} text Text to generate embeddings for
- * @param {number} [retry=0] Current retry attempt
  * @returns {Promise<Array<number>>} Vector embedding
  * @throws {Error} If embedding generation fails after all retries
  */
-async function generateEmbedding(context, text, retry = 0) {
+async function generateEmbedding(context, text) {
     try {
-        const client = await getOpenAIClient();
-        const embeddingDeployment = await configService.getSetting('AZURE_OPENAI_EMBEDDING_DEPLOYMENT');
-
         logMessage(context, "Generating embeddings", {
-            textLength: text.length,
-            attempt: retry + 1,
-            embeddingDeployment
+            textLength: text.length
         });
 
-        const result = await client.getEmbeddings(embeddingDeployment, [text]);
-
-        if (!result.data || !result.data[0].embedding) {
-            throw new Error("No embedding returned from Azure OpenAI");
-        }
+        const [embedding] = await requestEmbeddings(context, [text]);
 
         logMessage(context, "Embeddings generated successfully", {
-            vectorLength: result.data[0].embedding.length
+            vectorLength: embedding.length
         });
         
-        return result.data[0].embedding;
+        return embedding;
     } catch (error) {
         logError(context, error, {
             operation: 'generateEmbedding',
-            textLength: text?.length,
-            retry: retry
+            textLength: text?.length
         });
-        
-        if (retry < MAX_RETRIES) {
-            const delay = BASE_DELAY * Math.pow(2, retry);
-            logMessage(context, `Retrying embedding generation after ${delay}ms`, {
-                error: error.message,
-                retry: retry + 1
-            });
-            
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return generateEmbedding(context, text, retry + 1);
+        throw error;
+    }
+}
+
+/**
+ * Requests embeddings for several texts in one call, with retry logic
+ * @param {Object} context Azure Functions context
+ * @param {Array<string>} texts Texts to embed
+ * @returns {Promise<Array<Array<number>>>} Vector embeddings in input order
+ */
+async function requestEmbeddings(context, texts) {
+    const client = await getOpenAIClient();
+    const embeddingDeployment = await configService.getSetting('AZURE_OPENAI_EMBEDDING_DEPLOYMENT');
+
+    const result = await withRetry(context, () => client.getEmbeddings(embeddingDeployment, texts), {
+        operation: 'getEmbeddings',
+        service: 'openai'
+    });
+
+    // Items carry the index of their input; do not rely on response order
+    const embeddings = [];
+    for (const item of result.data || []) {
+        embeddings[item.index] = item.embedding;
+    }
+    if (embeddings.length !== texts.length || embeddings.some(embedding => !embedding)) {
+        throw new Error(`Expected ${texts.length} embeddings from Azure OpenAI, got ${(result.data || []).length}`);
+    }
+
+    return embeddings;
+}
+
+/**
+ * Groups texts into batches limited by input count and token budget.
+ * A text larger than the budget is sent on its own.
+ * @param {Array<string>} texts Texts to group
+ * @param {{maxTokens: number, maxInputs: number}} options Batch limits
+ * @returns {Array<Array<number>>} Batches of indexes into texts
+ */
+function buildBatches(texts, { maxTokens, maxInputs }) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    texts.forEach((text, index) => {
+        const tokens = countTokens(text);
+        if (current.length > 0 && (current.length >= maxInputs || currentTokens + tokens > maxTokens)) {
+            batches.push(current);
+            current = [];
+            currentTokens = 0;
         }
+        current.push(index);
+        currentTokens += tokens;
+    });
 
-        throw error;
+    if (current.length > 0) {
+        batches.push(current);
     }
+    return batches;
+}
+
+/**
+ * Runs a task for every item with at most `limit` tasks in flight
+ * @param {Array} items Items to process
+ * @param {number} limit Maximum concurrent tasks
+ * @param {function(*, number): Promise} task Task run for each item and its index
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, task) {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
 }
 
 /**
- * Processes a batch of texts for embedding generation
+ * Reads the batch options from configuration
+ * @returns {Promise<{maxTokens: number, maxInputs: number, concurrency: number}>}
+ */
+async function getBatchOptions() {
+    const [maxTokens, maxInputs, concurrency] = await Promise.all([
+        configService.getOptionalSetting('EMBEDDING_BATCH_MAX_TOKENS', DEFAULT_BATCH_OPTIONS.maxTokens),
+        configService.getOptionalSetting('EMBEDDING_BATCH_MAX_INPUTS', DEFAULT_BATCH_OPTIONS.maxInputs),
+        configService.getOptionalSetting('EMBEDDING_CONCURRENCY', DEFAULT_BATCH_OPTIONS.concurrency)
+    ]);
+
+    return {
+        maxTokens: parseInt(maxTokens, 10) || DEFAULT_BATCH_OPTIONS.maxTokens,
+        maxInputs: parseInt(maxInputs, 10) || DEFAULT_BATCH_OPTIONS.maxInputs,
+        concurrency: parseInt(concurrency, 10) || DEFAULT_BATCH_OPTIONS.concurrency
+    };
+}
+
+/**
+ * Generates embeddings for many texts, sending several inputs per request.
+ * Batches are sized by a token budget and run with bounded concurrency.
+ * When a batch is rejected, its texts are sent one by one so a single bad
+ * input only fails itself.
  * @param {Object} context Azure Functions context
  * @param {Array<string>} texts Array of texts to process
- * @returns {Promise<Array<Array<number>>>} Array of embeddings
+ * @param {Object} [options] Batch limits; read from configuration when omitted
+ * @returns {Promise<Array<{embedding: Array<number>|null, error: Error|null}>>} One result per text, in input order
  */
-async function generateEmbeddingBatch(context, texts) {
+async function generateEmbeddingBatch(context, texts, options = null) {
+    const batchOptions = options || await getBatchOptions();
+    const batches = buildBatches(texts, batchOptions);
+    const results = new Array(texts.length);
+
     logMessage(context, "Starting batch embedding generation", {
-        batchSize: texts.length
+        textCount: texts.length,
+        batchCount: batches.length,
+        ...batchOptions
     });
 
-    const embeddings = [];
-    for (let i = 0; i < texts.length; i++) {
+    // Create the client once before the workers start
+    await getOpenAIClient();
+
+    await runWithConcurrency(batches, batchOptions.concurrency, async (batch, batchIndex) => {
         try {
-            logMessage(context, `Processing batch item ${i + 1}/${texts.length}`);
-            const embedding = await generateEmbedding(context, texts[i]);
-            embeddings.push(embedding);
+            const embeddings = await requestEmbeddings(context, batch.map(index => texts[index]));
+            batch.forEach((textIndex, position) => {
+                results[textIndex] = { embedding: embeddings[position], error: null };
+            });
         } catch (error) {
             logError(context, error, {
                 operation: 'generateEmbeddingBatch',
-                failedIndex: i
+                batchIndex,
+                batchSize: batch.length
             });
-            throw error;
+
+            // Retries are exhausted for transient errors; only a rejected batch
+            // is worth splitting to find the input that caused it
+            if (batch.length === 1 || isRetryableError(error) || error.code === CIRCUIT_OPEN_CODE) {
+                batch.forEach(textIndex => {
+                    results[textIndex] = { embedding: null, error };
+                });
+                return;
+            }
+
+            for (const textIndex of batch) {
+                try {
+                    const [embedding] = await requestEmbeddings(context, [texts[textIndex]]);
+                    results[textIndex] = { embedding, error: null };
+                } catch (itemError) {
+                    results[textIndex] = { embedding: null, error: itemError };
+                }
+            }
         }
+    });
+
+    logMessage(context, "Batch embedding generation complete", {
+        textCount: texts.length,
+        failedCount: results.filter(result => result.error).length
+    });
+
+    return results;
+}
+
+/**
+ * Reads the length of the embeddings of the embedding deployment: the
+ * EMBEDDING_DIMENSIONS setting when defined, otherwise the length of a probe embedding
+ * @param {Object} context Azure Functions context
+ * @returns {Promise<number>} Embedding dimensions
+ */
+async function getEmbeddingDimensions(context) {
+    const configured = parseInt(await configService.getOptionalSetting('EMBEDDING_DIMENSIONS'), 10);
+    if (configured > 0) {
+        return configured;
     }
 
-    return embeddings;
+    const embedding = await generateEmbedding(context, 'dimension probe');
+    return embedding.length;
 }
 
 module.exports = {
     generateEmbedding,
-    generateEmbeddingBatch
+    generateEmbeddingBatch,
+    getEmbeddingDimensions
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: services/queueService.js
+// Purpose: Sends work items to the Azure Storage queues consumed by the indexer.
+
+const { QueueServiceClient } = require("@azure/storage-queue");
+const { logMessage, logError } = require('../utils/loggingService');
+const { withRetry } = require('../utils/retryPolicy');
+
+/**
+ * Queue consumed by the SharepointIndexerQueue trigger
+ * @constant {string}
+ */
+const FILE_PROCESSING_QUEUE = 'file-processing-queue';
+
+const queueClients = {};
+
+/**
+ * Initialize or get a queue client
+ * @param {string} queueName - Name of the queue
+ * @returns {Promise<QueueClient>} Queue client
+ */
+async function getQueueClient(queueName) {
+    if (!queueClients[queueName]) {
+        try {
+            const connectionString = process.env.AzureWebJobsStorage;
+            if (!connectionString) {
+                throw new Error("AzureWebJobsStorage not found in environment variables");
+            }
+
+            const queueClient = QueueServiceClient
+                .fromConnectionString(connectionString)
+                .getQueueClient(queueName);
+            await withRetry(null, () => queueClient.createIfNotExists(), {
+                operation: 'createQueue',
+                service: 'storage'
+            });
+
+            queueClients[queueName] = queueClient;
+        } catch (error) {
+            logError(null, error, { operation: 'getQueueClient', queueName });
+            throw new Error(`Failed to initialize queue client: ${error.message}`);
+        }
+    }
+    return queueClients[queueName];
+}
+
+/**
+ * Sends messages to a queue. Messages are base64 encoded to match the
+ * messageEncoding configured for the queue trigger in host.json.
+ * @param {Object} context - Azure Functions context
+ * @param {Array<Object>} messages - Messages to enqueue
+ * @param {string} [queueName=FILE_PROCESSING_QUEUE] - Target queue
+ * @returns {Promise<number>} Number of messages sent
+ */
+async function enqueueMessages(context, messages, queueName = FILE_PROCESSING_QUEUE) {
+    if (messages.length === 0) {
+        return 0;
+    }
+
+    try {
+        const queueClient = await getQueueClient(queueName);
+
+        for (const message of messages) {
+            const encoded = Buffer.from(JSON.stringify(message)).toString('base64');
+            await withRetry(context, () => queueClient.sendMessage(encoded), {
+                operation: 'sendMessage',
+                service: 'storage'
+            });
+        }
+
+        logMessage(context, "Messages enqueued", {
+            queueName,
+            messageCount: messages.length
+        });
+
+        return messages.length;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'enqueueMessages',
+            queueName,
+            messageCount: messages.length
+        });
+        throw new Error(`Failed to enqueue messages: ${error.message}`);
+    }
+}
+
+module.exports = {
+    FILE_PROCESSING_QUEUE,
+    enqueueMessages
+};
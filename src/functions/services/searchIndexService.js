@@ -0,0 +1,166 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: services/searchIndexService.js
+// Purpose: Manages Azure Cognitive Search indexes and aliases: creates or updates
+//          the index definition and points aliases at index versions.
+
+const { SearchIndexClient, AzureKeyCredential } = require("@azure/search-documents");
+const axios = require('axios');
+const configService = require('../utils/configService');
+const keyVaultService = require('./keyVaultService');
+const { logMessage, logError } = require('../utils/loggingService');
+const { withRetry } = require('../utils/retryPolicy');
+
+/**
+ * REST API version used for aliases, which the SDK does not support yet
+ * @constant {string}
+ */
+const ALIAS_API_VERSION = '2024-05-01-preview';
+
+/**
+ * Reads the search endpoint and admin key
+ * @returns {Promise<{endpoint: string, apiKey: string}>}
+ */
+async function getSearchCredentials() {
+    const endpoint = await configService.getSetting('AZURE_SEARCH_ENDPOINT');
+    const apiKey = await keyVaultService.getSecret('SECRET-AZURE-SEARCH-KEY');
+
+    if (!endpoint || !apiKey) {
+        throw new Error("Missing required search configuration");
+    }
+    return { endpoint: endpoint.replace(/\/+$/, ''), apiKey };
+}
+
+/**
+ * Initializes a client for index management
+ * @returns {Promise<SearchIndexClient>} Initialized index client
+ */
+async function initializeSearchIndexClient() {
+    try {
+        const { endpoint, apiKey } = await getSearchCredentials();
+        return new SearchIndexClient(endpoint, new AzureKeyCredential(apiKey));
+    } catch (error) {
+        logError(null, error, { operation: 'initializeSearchIndexClient' });
+        throw new Error(`Search index client initialization failed: ${error.message}`);
+    }
+}
+
+/**
+ * Runs an index management request with the shared retry policy
+ * @param {Object} context - Azure Functions context
+ * @param {string} operation - Operation name for logs
+ * @param {function(): Promise<*>} request - Request to run; invoked again on every attempt
+ * @returns {Promise<*>} Request result
+ */
+function indexRequest(context, operation, request) {
+    return withRetry(context, request, { operation, service: 'search' });
+}
+
+/**
+ * Creates an index, or updates it when it exists. An update can add fields
+ * and change vector or semantic settings; changing an existing field needs
+ * a migration to a new index version.
+ * @param {Object} context - Azure Functions context
+ * @param {SearchIndexClient} indexClient - Initialized index client
+ * @param {Object} definition - Index definition (see indexSchema.buildIndexDefinition)
+ * @returns {Promise<Object>} Index definition stored by the service
+ */
+async function createOrUpdateIndex(context, indexClient, definition) {
+    try {
+        const index = await indexRequest(context, 'createOrUpdateIndex', () =>
+            indexClient.createOrUpdateIndex(definition));
+
+        logMessage(context, "Search index created or updated", {
+            indexName: index.name,
+            fieldCount: index.fields.length
+        });
+        return index;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'createOrUpdateIndex',
+            indexName: definition.name
+        });
+        throw new Error(`Failed to create or update index ${definition.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Lists the names of the indexes in the search service
+ * @param {Object} context - Azure Functions context
+ * @param {SearchIndexClient} indexClient - Initialized index client
+ * @returns {Promise<Array<string>>} Index names
+ */
+async function listIndexNames(context, indexClient) {
+    try {
+        return await indexRequest(context, 'listIndexNames', async () => {
+            const names = [];
+            for await (const name of indexClient.listIndexesNames()) {
+                names.push(name);
+            }
+            return names;
+        });
+    } catch (error) {
+        logError(context, error, { operation: 'listIndexNames' });
+        throw new Error(`Failed to list indexes: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the index an alias points at
+ * @param {Object} context - Azure Functions context
+ * @param {string} aliasName - Alias name
+ * @returns {Promise<string|null>} Index name, or null when the alias does not exist
+ */
+async function getAliasIndex(context, aliasName) {
+    try {
+        const { endpoint, apiKey } = await getSearchCredentials();
+        const response = await indexRequest(context, 'getAlias', () => axios.get(
+            `${endpoint}/aliases/${encodeURIComponent(aliasName)}`,
+            {
+                params: { 'api-version': ALIAS_API_VERSION },
+                headers: { 'api-key': apiKey }
+            }));
+
+        return response.data.indexes?.[0] || null;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        logError(context, error, { operation: 'getAliasIndex', aliasName });
+        throw new Error(`Failed to read alias ${aliasName}: ${error.message}`);
+    }
+}
+
+/**
+ * Creates an alias or points it at another index. Requests through the alias
+ * go to the new index as soon as this returns.
+ * @param {Object} context - Azure Functions context
+ * @param {string} aliasName - Alias name; must not be the name of an index
+ * @param {string} indexName - Index the alias should point at
+ * @returns {Promise<void>}
+ */
+async function setAliasIndex(context, aliasName, indexName) {
+    try {
+        const { endpoint, apiKey } = await getSearchCredentials();
+        await indexRequest(context, 'setAlias', () => axios.put(
+            `${endpoint}/aliases/${encodeURIComponent(aliasName)}`,
+            { name: aliasName, indexes: [indexName] },
+            {
+                params: { 'api-version': ALIAS_API_VERSION },
+                headers: { 'api-key': apiKey }
+            }));
+
+        logMessage(context, "Search alias updated", { aliasName, indexName });
+    } catch (error) {
+        logError(context, error, { operation: 'setAliasIndex', aliasName, indexName });
+        throw new Error(`Failed to point alias ${aliasName} at ${indexName}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    initializeSearchIndexClient,
+    createOrUpdateIndex,
+    listIndexNames,
+    getAliasIndex,
+    setAliasIndex
+};
@@ -4,20 +4,24 @@
 // Purpose: Manages Azure Cognitive Search operations for document indexing.
 
 const { SearchClient, AzureKeyCredential } = require("@azure/search-documents");
+const path = require('path');
 const configService = require('../utils/configService');
 const keyVaultService = require('./keyVaultService');
 const { logMessage, logError } = require('../utils/loggingService');
-const { validateDocument } = require('../models/documentModel');
+const { validateDocument, getUrlPrefixes } = require('../models/documentModel');
+const { getCallerPrincipals } = require('../models/permissionModel');
+const { withRetry } = require('../utils/retryPolicy');
 
 /**
  * Initializes an Azure Cognitive Search client
+ * @param {string} [indexName] - Index or alias to use; defaults to SEARCH_INDEX_NAME
  * @returns {Promise<SearchClient>} Initialized search client
  */
-async function initializeSearchClient() {
+async function initializeSearchClient(indexName = null) {
     try {
         // Get configuration settings
         const endpoint = await configService.getSetting('AZURE_SEARCH_ENDPOINT');
-        const indexName = await configService.getSetting('SEARCH_INDEX_NAME');
+        indexName = indexName || await configService.getSetting('SEARCH_INDEX_NAME');
         
         // Get secret from Key Vault
         const apiKey = await keyVaultService.getSecret('SECRET-AZURE-SEARCH-KEY');
@@ -43,6 +47,110 @@ async function initializeSearchClient() {
     }
 }
 
+/**
+ * Runs a search request with the shared retry policy
+ * @param {Object} context - Azure Functions context
+ * @param {string} operation - Operation name for logs
+ * @param {function(): Promise<*>} request - Request to run; invoked again on every attempt
+ * @returns {Promise<*>} Request result
+ */
+function searchRequest(context, operation, request) {
+    return withRetry(context, request, { operation, service: 'search' });
+}
+
+/**
+ * Documents sent per upload or delete request; the service accepts at most
+ * 1000 documents and 16 MB per request, and vectors make documents large
+ * @constant {number}
+ */
+const INDEXING_BATCH_SIZE = 100;
+
+/**
+ * Escapes a value for use inside an OData string literal
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeODataString(value) {
+    return String(value).replace(/'/g, "''");
+}
+
+/**
+ * Finds the docIds of all documents matching a filter
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} filter - OData filter expression
+ * @returns {Promise<Array<string>>} Matching docIds
+ */
+async function findDocumentIds(context, searchClient, filter) {
+    // Results are paged while iterating, so the whole listing is retried
+    return searchRequest(context, 'findDocumentIds', async () => {
+        const results = await searchClient.search('', {
+            filter,
+            select: ['docId']
+        });
+
+        const docIds = [];
+        for await (const result of results.results) {
+            docIds.push(result.document.docId);
+        }
+        return docIds;
+    });
+}
+
+/**
+ * Reads the version of a file that is currently indexed. The version is only
+ * reported when every chunk agrees, so a partly replaced file reads as changed.
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @returns {Promise<{documentCount: number, contentTag: string|null, lastModified: string|null, fileUrl: string|null, filename: string|null, allowedPrincipals: Array<string>|null}|null>}
+ *          Indexed version, or null when the file is not indexed
+ */
+async function getIndexedFileState(context, searchClient, fileId) {
+    try {
+        const documents = await searchRequest(context, 'getIndexedFileState', async () => {
+            const results = await searchClient.search('', {
+                filter: `fileId eq '${escapeODataString(fileId)}'`,
+                select: ['contentTag', 'lastmodified', 'fileUrl', 'filename', 'allowedPrincipals']
+            });
+
+            const found = [];
+            for await (const result of results.results) {
+                found.push(result.document);
+            }
+            return found;
+        });
+
+        if (documents.length === 0) {
+            return null;
+        }
+
+        // Dates are compared as ISO strings and principal lists in sorted order
+        const normalize = value => (value instanceof Date ? value.toISOString() :
+            Array.isArray(value) ? [...value].sort() : value ?? null);
+        const agreed = field => {
+            const values = documents.map(doc => normalize(doc[field]));
+            const distinct = new Set(values.map(value => JSON.stringify(value)));
+            return distinct.size === 1 ? values[0] : null;
+        };
+
+        return {
+            documentCount: documents.length,
+            contentTag: agreed('contentTag'),
+            lastModified: agreed('lastmodified'),
+            fileUrl: agreed('fileUrl'),
+            filename: agreed('filename'),
+            allowedPrincipals: agreed('allowedPrincipals')
+        };
+    } catch (error) {
+        logError(context, error, {
+            operation: 'getIndexedFileState',
+            fileId
+        });
+        throw new Error(`Failed to read indexed file state: ${error.message}`);
+    }
+}
+
 /**
  * Deletes all existing documents for a given file URL
  * @param {Object} context - Azure Functions context
@@ -54,18 +162,11 @@ async function deleteExistingDocuments(context, searchClient, fileUrl) {
     logMessage(context, `Deleting existing documents`, { fileUrl });
     
     try {
-        const results = await searchClient.search('', { 
-            filter: `fileUrl eq '${fileUrl}'`,
-            select: ['docId']
-        });
-        
-        const documentsToDelete = [];
-        for await (const result of results.results) {
-            documentsToDelete.push({ docId: result.document.docId });
-        }
+        const docIds = await findDocumentIds(context, searchClient, `fileUrl eq '${escapeODataString(fileUrl)}'`);
+        const documentsToDelete = docIds.map(docId => ({ docId }));
 
         if (documentsToDelete.length > 0) {
-            await searchClient.deleteDocuments(documentsToDelete);
+            await searchRequest(context, 'deleteDocuments', () => searchClient.deleteDocuments(documentsToDelete));
             logMessage(context, `Deletion complete`, {
                 documentsDeleted: documentsToDelete.length,
                 fileUrl
@@ -82,6 +183,371 @@ async function deleteExistingDocuments(context, searchClient, fileUrl) {
     }
 }
 
+/**
+ * Deletes every document matching a filter, in batches
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} filter - OData filter expression
+ * @returns {Promise<number>} Number of documents deleted
+ */
+async function deleteMatchingDocuments(context, searchClient, filter) {
+    const docIds = await findDocumentIds(context, searchClient, filter);
+
+    for (let i = 0; i < docIds.length; i += INDEXING_BATCH_SIZE) {
+        const batch = docIds.slice(i, i + INDEXING_BATCH_SIZE).map(docId => ({ docId }));
+        await searchRequest(context, 'deleteDocuments', () => searchClient.deleteDocuments(batch));
+    }
+    return docIds.length;
+}
+
+/**
+ * Deletes the chunks of a file indexed before documents carried a fileId.
+ * Filters on fileId never match them, so they are deleted by their key,
+ * `${fileId}-${chunkIndex}` with chunkIndex counted from 1, up to the chunk
+ * count stored on the first chunk.
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @returns {Promise<number>} Number of legacy chunks deleted
+ */
+async function deleteLegacyDocuments(context, searchClient, fileId) {
+    let firstChunk;
+    try {
+        firstChunk = await searchRequest(context, 'getDocument', () => searchClient.getDocument(`${fileId}-1`));
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return 0;
+        }
+        throw error;
+    }
+
+    const totalChunks = Number(firstChunk.totalChunks ?? firstChunk.totalChuncks) || 1;
+    const docIds = Array.from({ length: totalChunks }, (_, i) => `${fileId}-${i + 1}`);
+
+    for (let i = 0; i < docIds.length; i += INDEXING_BATCH_SIZE) {
+        const batch = docIds.slice(i, i + INDEXING_BATCH_SIZE).map(docId => ({ docId }));
+        await searchRequest(context, 'deleteDocuments', () => searchClient.deleteDocuments(batch));
+    }
+
+    logMessage(context, "Legacy documents deleted", { fileId, documentsDeleted: totalChunks });
+    return totalChunks;
+}
+
+/**
+ * Deletes all documents belonging to a SharePoint driveItem, including
+ * documents indexed before documents carried a fileId
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @returns {Promise<number>} Number of documents deleted
+ * @throws {Error} If deletion fails
+ */
+async function deleteDocumentsByFileId(context, searchClient, fileId) {
+    logMessage(context, "Deleting documents for file", { fileId });
+
+    try {
+        const deleted = await deleteMatchingDocuments(context, searchClient, `fileId eq '${escapeODataString(fileId)}'`) +
+            await deleteLegacyDocuments(context, searchClient, fileId);
+
+        if (deleted === 0) {
+            logMessage(context, "No existing documents found to delete", { fileId });
+            return 0;
+        }
+
+        logMessage(context, "Deletion complete", {
+            documentsDeleted: deleted,
+            fileId
+        });
+
+        return deleted;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'deleteDocumentsByFileId',
+            fileId
+        });
+        throw new Error(`Failed to delete documents for file: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes documents by docId, e.g. to roll back a failed re-index. Documents
+ * just uploaded may not be searchable yet, so they are deleted by key rather
+ * than by filter; keys that do not exist are ignored by the service.
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {Array<string>} docIds - docIds to delete
+ * @throws {Error} If deletion fails
+ */
+async function deleteDocumentsById(context, searchClient, docIds) {
+    try {
+        for (let i = 0; i < docIds.length; i += INDEXING_BATCH_SIZE) {
+            const batch = docIds.slice(i, i + INDEXING_BATCH_SIZE).map(docId => ({ docId }));
+            await searchRequest(context, 'deleteDocuments', () => searchClient.deleteDocuments(batch));
+        }
+        logMessage(context, "Documents deleted", { documentsDeleted: docIds.length });
+    } catch (error) {
+        logError(context, error, {
+            operation: 'deleteDocumentsById',
+            documentCount: docIds.length
+        });
+        throw new Error(`Failed to delete documents: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes every document of a file that does not belong to the given generation,
+ * including documents indexed before generations existed and documents
+ * indexed before documents carried a fileId
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation to keep
+ * @returns {Promise<number>} Number of documents deleted
+ * @throws {Error} If deletion fails
+ */
+async function deleteOtherGenerations(context, searchClient, fileId, generation) {
+    try {
+        const deleted = await deleteMatchingDocuments(context, searchClient,
+            `fileId eq '${escapeODataString(fileId)}' and generation ne '${escapeODataString(generation)}'`) +
+            await deleteLegacyDocuments(context, searchClient, fileId);
+
+        logMessage(context, "Previous generations deleted", { fileId, generation, documentsDeleted: deleted });
+        return deleted;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'deleteOtherGenerations',
+            fileId,
+            generation
+        });
+        throw new Error(`Failed to delete previous generations: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes the documents of one generation of a file, e.g. an abandoned
+ * re-index. Only documents already searchable are found by the filter.
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation to delete
+ * @returns {Promise<number>} Number of documents deleted
+ * @throws {Error} If deletion fails
+ */
+async function deleteGeneration(context, searchClient, fileId, generation) {
+    try {
+        const deleted = await deleteMatchingDocuments(context, searchClient,
+            `fileId eq '${escapeODataString(fileId)}' and generation eq '${escapeODataString(generation)}'`);
+
+        logMessage(context, "Generation deleted", { fileId, generation, documentsDeleted: deleted });
+        return deleted;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'deleteGeneration',
+            fileId,
+            generation
+        });
+        throw new Error(`Failed to delete generation: ${error.message}`);
+    }
+}
+
+/**
+ * Number of hashes looked up per search request, keeping the filter short
+ * @constant {number}
+ */
+const HASH_LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Reads the embeddings of the documents matching a filter
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} filter - OData filter expression
+ * @param {number} top - Maximum number of documents read
+ * @returns {Promise<Array<{contentHash: string, descriptionVector: Array<number>}>>} Matching documents
+ */
+async function searchEmbeddings(context, searchClient, filter, top) {
+    return searchRequest(context, 'findEmbeddingsByHash', async () => {
+        const results = await searchClient.search('', {
+            filter,
+            top,
+            select: ['contentHash', 'descriptionVector']
+        });
+
+        const found = [];
+        for await (const result of results.results) {
+            found.push(result.document);
+        }
+        return found;
+    });
+}
+
+/**
+ * Finds stored embeddings by content hash. Requires descriptionVector to be
+ * retrievable in the index. Hashes are looked up in batches reading one
+ * document per hash; when chunks shared by many documents fill a batch's
+ * results, the hashes it missed are looked up one by one.
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {Array<string>} hashes - Content hashes to look up
+ * @returns {Promise<Map<string, Array<number>>>} Embedding of every hash found
+ */
+async function findEmbeddingsByHash(context, searchClient, hashes) {
+    const embeddings = new Map();
+    const addEmbeddings = documents => {
+        for (const document of documents) {
+            if (Array.isArray(document.descriptionVector) && document.descriptionVector.length > 0) {
+                embeddings.set(document.contentHash, document.descriptionVector);
+            }
+        }
+    };
+
+    for (let i = 0; i < hashes.length; i += HASH_LOOKUP_BATCH_SIZE) {
+        const batch = [...new Set(hashes.slice(i, i + HASH_LOOKUP_BATCH_SIZE))];
+        const documents = await searchEmbeddings(context, searchClient,
+            `search.in(contentHash, '${batch.map(escapeODataString).join(',')}', ',')`, batch.length);
+        addEmbeddings(documents);
+
+        if (documents.length < batch.length) {
+            continue;
+        }
+        for (const hash of batch.filter(hash => !embeddings.has(hash))) {
+            addEmbeddings(await searchEmbeddings(context, searchClient,
+                `contentHash eq '${escapeODataString(hash)}'`, 1));
+        }
+    }
+
+    return embeddings;
+}
+
+/**
+ * Updates the location fields of every document belonging to a moved or renamed file
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {Object} location - New location
+ * @param {string} location.fileUrl - New file URL
+ * @param {string} location.name - New file name
+ * @returns {Promise<number>} Number of documents updated
+ * @throws {Error} If the update fails
+ */
+async function updateDocumentLocation(context, searchClient, fileId, { fileUrl, name }) {
+    logMessage(context, "Updating document location", { fileId, fileUrl, name });
+
+    try {
+        const docIds = await findDocumentIds(context, searchClient, `fileId eq '${escapeODataString(fileId)}'`);
+
+        if (docIds.length === 0) {
+            logMessage(context, "No existing documents found to update", { fileId });
+            return 0;
+        }
+
+        const location = {
+            fileUrl,
+            urlPrefixes: getUrlPrefixes(fileUrl),
+            docTitle: name,
+            filename: name,
+            filetype: path.extname(name).toLowerCase()
+        };
+
+        for (let i = 0; i < docIds.length; i += INDEXING_BATCH_SIZE) {
+            const batch = docIds.slice(i, i + INDEXING_BATCH_SIZE);
+            const result = await searchRequest(context, 'mergeDocuments', () => searchClient.mergeDocuments(
+                batch.map(docId => ({ docId, ...location }))));
+
+            const failedDocs = result.results.filter(r => !r.succeeded);
+            if (failedDocs.length > 0) {
+                throw new Error(`Failed to update ${failedDocs.length} documents`);
+            }
+        }
+
+        logMessage(context, "Document location updated", {
+            documentsUpdated: docIds.length,
+            fileId
+        });
+
+        return docIds.length;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'updateDocumentLocation',
+            fileId
+        });
+        throw new Error(`Failed to update document location: ${error.message}`);
+    }
+}
+
+/**
+ * Replaces the principals allowed to read a file on all of its indexed chunks
+ * without re-embedding the content
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {Array<string>} allowedPrincipals - Principals (see permissionModel)
+ * @returns {Promise<number>} Number of documents updated
+ * @throws {Error} If the update fails
+ */
+async function updateDocumentPermissions(context, searchClient, fileId, allowedPrincipals) {
+    try {
+        const docIds = await findDocumentIds(context, searchClient, `fileId eq '${escapeODataString(fileId)}'`);
+
+        for (let i = 0; i < docIds.length; i += INDEXING_BATCH_SIZE) {
+            const batch = docIds.slice(i, i + INDEXING_BATCH_SIZE);
+            const result = await searchRequest(context, 'mergeDocuments', () => searchClient.mergeDocuments(
+                batch.map(docId => ({ docId, allowedPrincipals }))));
+
+            const failedDocs = result.results.filter(r => !r.succeeded);
+            if (failedDocs.length > 0) {
+                throw new Error(`Failed to update ${failedDocs.length} documents`);
+            }
+        }
+
+        logMessage(context, "Document permissions updated", {
+            fileId,
+            documentsUpdated: docIds.length,
+            principalCount: allowedPrincipals.length
+        });
+
+        return docIds.length;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'updateDocumentPermissions',
+            fileId
+        });
+        throw new Error(`Failed to update document permissions: ${error.message}`);
+    }
+}
+
+/**
+ * Makes pending documents searchable, e.g. once every part of a generation is
+ * uploaded. Documents are addressed by key, so ones just uploaded are found too.
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} searchClient - Initialized search client
+ * @param {Array<string>} docIds - docIds of the pending documents
+ * @returns {Promise<number>} Number of documents published
+ * @throws {Error} If the update fails
+ */
+async function publishDocuments(context, searchClient, docIds) {
+    try {
+        for (let i = 0; i < docIds.length; i += INDEXING_BATCH_SIZE) {
+            const batch = docIds.slice(i, i + INDEXING_BATCH_SIZE);
+            const result = await searchRequest(context, 'mergeDocuments', () => searchClient.mergeDocuments(
+                batch.map(docId => ({ docId, pending: false }))));
+
+            const failedDocs = result.results.filter(r => !r.succeeded);
+            if (failedDocs.length > 0) {
+                throw new Error(`Failed to update ${failedDocs.length} documents`);
+            }
+        }
+
+        logMessage(context, "Documents published", { documentsPublished: docIds.length });
+        return docIds.length;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'publishDocuments',
+            documentCount: docIds.length
+        });
+        throw new Error(`Failed to publish documents: ${error.message}`);
+    }
+}
+
 /**
  * Uploads documents to the search index
  * @param {Object} context - Azure Functions context
@@ -98,11 +564,14 @@ async function uploadDocuments(context, searchClient, documents) {
         // Validate all documents before upload
         documents.forEach(doc => validateDocument(doc));
 
-        const result = await searchClient.uploadDocuments(documents);
-        
-        const failedDocs = result.results.filter(r => !r.succeeded);
-        if (failedDocs.length > 0) {
-            throw new Error(`Failed to upload ${failedDocs.length} documents`);
+        for (let i = 0; i < documents.length; i += INDEXING_BATCH_SIZE) {
+            const batch = documents.slice(i, i + INDEXING_BATCH_SIZE);
+            const result = await searchRequest(context, 'uploadDocuments', () => searchClient.uploadDocuments(batch));
+
+            const failedDocs = result.results.filter(r => !r.succeeded);
+            if (failedDocs.length > 0) {
+                throw new Error(`Failed to upload ${failedDocs.length} documents`);
+            }
         }
 
         logMessage(context, "Document upload complete", {
@@ -119,36 +588,95 @@ async function uploadDocuments(context, searchClient, documents) {
 }
 
 /**
- * Performs a vector search in the index
+ * Builds the filter that limits results to documents a caller may read.
+ * Documents indexed without permissions never match.
+ * @param {Object} identity - Caller identity (see permissionModel.getCallerPrincipals)
+ * @returns {string} OData filter on allowedPrincipals
+ * @throws {Error} If the identity has no userId
+ */
+function buildSecurityFilter(identity) {
+    const principals = getCallerPrincipals(identity).map(escapeODataString).join(',');
+    return `allowedPrincipals/any(p: search.in(p, '${principals}', ','))`;
+}
+
+/**
+ * Excludes documents of a generation that is not published yet
+ * @constant {string}
+ */
+const PUBLISHED_FILTER = 'pending ne true';
+
+/**
+ * Fields returned by vectorSearch unless others are selected
+ * @constant {Array<string>}
+ */
+const DEFAULT_SEARCH_FIELDS = ["docId", "docTitle", "description", "fileUrl"];
+
+/**
+ * Performs a vector search in the index, returning only published documents the
+ * caller may read. The security filter and any other filter are applied before the
+ * nearest neighbours are picked, so filtering never reduces the number of results.
  * @param {Object} context - Azure Functions context
  * @param {SearchClient} searchClient - Initialized search client
  * @param {Array<number>} vector - Vector to search with
- * @param {number} [top=5] - Number of results to return
- * @returns {Promise<Array>} Search results
+ * @param {Object} identity - Caller identity (see permissionModel.getCallerPrincipals)
+ * @param {Object} [options] - Search options
+ * @param {number} [options.top=5] - Number of results to return
+ * @param {number} [options.skip=0] - Number of results to skip
+ * @param {string} [options.filter] - Additional OData filter
+ * @param {Array<string>} [options.select] - Fields to return; defaults to DEFAULT_SEARCH_FIELDS
+ * @param {string} [options.searchText] - Text to also match on description (hybrid search);
+ *        its matches are returned in @search.highlights
+ * @returns {Promise<Array<Object>>} Documents with their @search.score and @search.highlights
  */
-async function vectorSearch(context, searchClient, vector, top = 5) {
+async function vectorSearch(context, searchClient, vector, identity, {
+    top = 5,
+    skip = 0,
+    filter = null,
+    select = DEFAULT_SEARCH_FIELDS,
+    searchText = null
+} = {}) {
     try {
-        const searchResults = await searchClient.search(null, {
-            vector: {
-                value: vector,
-                fields: ["descriptionVector"],
-                k: top
-            },
-            select: ["docId", "docTitle", "description", "fileUrl"],
-            orderBy: ["@search.score desc"]
-        });
+        const visibleFilter = `${buildSecurityFilter(identity)} and ${PUBLISHED_FILTER}`;
 
-        const results = [];
-        for await (const result of searchResults.results) {
-            results.push(result.document);
-        }
+        return await searchRequest(context, 'vectorSearch', async () => {
+            const searchResults = await searchClient.search(searchText, {
+                filter: filter ? `(${visibleFilter}) and (${filter})` : visibleFilter,
+                top,
+                skip,
+                select,
+                vectorSearchOptions: {
+                    queries: [{
+                        kind: 'vector',
+                        vector,
+                        fields: ['descriptionVector'],
+                        kNearestNeighborsCount: skip + top
+                    }],
+                    filterMode: 'preFilter'
+                },
+                ...(searchText ? {
+                    searchFields: ['description'],
+                    highlightFields: 'description',
+                    highlightPreTag: '<em>',
+                    highlightPostTag: '</em>'
+                } : {})
+            });
 
-        return results;
+            const documents = [];
+            for await (const result of searchResults.results) {
+                documents.push({
+                    ...result.document,
+                    '@search.score': result.score,
+                    '@search.highlights': result.highlights || {}
+                });
+            }
+            return documents;
+        });
     } catch (error) {
         logError(context, error, { 
             operation: 'vectorSearch',
             vectorLength: vector.length,
-            top 
+            top,
+            skip
         });
         throw error;
     }
@@ -157,6 +685,17 @@ async function vectorSearch(context, searchClient, vector, top = 5) {
 module.exports = {
     initializeSearchClient,
     deleteExistingDocuments,
+    deleteDocumentsByFileId,
+    deleteDocumentsById,
+    deleteGeneration,
+    deleteOtherGenerations,
+    findEmbeddingsByHash,
+    getIndexedFileState,
+    publishDocuments,
+    updateDocumentLocation,
+    updateDocumentPermissions,
+    buildSecurityFilter,
+    escapeODataString,
     uploadDocuments,
     vectorSearch
 };
\ No newline at end of file
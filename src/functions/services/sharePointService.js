@@ -0,0 +1,127 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: services/sharePointService.js
+// Purpose: Reads SharePoint site group membership through the SharePoint REST
+//          API, which Microsoft Graph does not expose.
+
+const axios = require('axios');
+const { ClientCertificateCredential } = require('@azure/identity');
+const configService = require('../utils/configService');
+const keyVaultService = require('./keyVaultService');
+const { logMessage, logError } = require('../utils/loggingService');
+const { withRetry } = require('../utils/retryPolicy');
+
+/**
+ * Site group members are read again after this time
+ * @constant {number}
+ */
+const MEMBERSHIP_CACHE_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Credential for SharePoint REST. SharePoint rejects app-only tokens obtained
+ * with a client secret, so the app authenticates with its certificate (PEM
+ * with private key) from Key Vault.
+ * @type {ClientCertificateCredential|null}
+ */
+let credential = null;
+
+/**
+ * Site group members by site URL and group ID
+ * @type {Map<string, {members: Promise<Array<Object>>, expiresAt: number}>}
+ */
+const membershipCache = new Map();
+
+/**
+ * Creates the SharePoint REST credential on first use
+ * @returns {Promise<ClientCertificateCredential>}
+ */
+async function getCredential() {
+    if (!credential) {
+        const [tenantId, clientId, certificate] = await Promise.all([
+            configService.getSetting('SHAREPOINT_BOT_TENANT_ID'),
+            configService.getSetting('SHAREPOINT_BOT_ID'),
+            keyVaultService.getSecret('SECRET-SHAREPOINT-BOT-CERTIFICATE')
+        ]);
+
+        if (!tenantId || !clientId || !certificate) {
+            throw new Error("Missing required SharePoint authentication configuration");
+        }
+        credential = new ClientCertificateCredential(tenantId, clientId, { certificate });
+    }
+    return credential;
+}
+
+/**
+ * Reads the members of a site group
+ * @param {Object} context - Azure Functions context
+ * @param {string} siteUrl - URL of the site (web) the group belongs to
+ * @param {string|number} groupId - SharePoint group ID
+ * @returns {Promise<Array<{loginName: string, userPrincipalName: string|null, principalType: number}>>}
+ *          Members; principalType is 1 for users and 4 for security and Microsoft 365 groups
+ */
+async function fetchSiteGroupMembers(context, siteUrl, groupId) {
+    const { origin } = new URL(siteUrl);
+    const token = await (await getCredential()).getToken(`${origin}/.default`);
+
+    const members = [];
+    let requestUrl = `${siteUrl.replace(/\/+$/, '')}/_api/web/sitegroups/getbyid(${Number(groupId)})/users` +
+        '?$select=LoginName,UserPrincipalName,PrincipalType';
+
+    while (requestUrl) {
+        const response = await withRetry(context, () => axios.get(requestUrl, {
+            headers: {
+                Authorization: `Bearer ${token.token}`,
+                Accept: 'application/json;odata=nometadata'
+            },
+            timeout: 30000
+        }), { operation: 'getSiteGroupMembers', service: 'sharepoint' });
+
+        for (const member of response.data?.value || []) {
+            members.push({
+                loginName: member.LoginName,
+                userPrincipalName: member.UserPrincipalName || null,
+                principalType: member.PrincipalType
+            });
+        }
+        requestUrl = response.data?.['odata.nextLink'] || null;
+    }
+
+    logMessage(context, "Site group members fetched", { siteUrl, groupId, memberCount: members.length });
+    return members;
+}
+
+/**
+ * Reads the members of a site group, from cache when read recently. Files of
+ * a library usually share the same few groups, so each is read once per TTL.
+ * @param {Object} context - Azure Functions context
+ * @param {string} siteUrl - URL of the site (web) the group belongs to
+ * @param {string|number} groupId - SharePoint group ID
+ * @returns {Promise<Array<{loginName: string, userPrincipalName: string|null, principalType: number}>>} Members
+ * @throws {Error} If the members cannot be read
+ */
+async function getSiteGroupMembers(context, siteUrl, groupId) {
+    const key = `${siteUrl.toLowerCase()}|${groupId}`;
+    const cached = membershipCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.members;
+    }
+
+    const members = fetchSiteGroupMembers(context, siteUrl, groupId);
+    membershipCache.set(key, { members, expiresAt: Date.now() + MEMBERSHIP_CACHE_TTL_MS });
+
+    try {
+        return await members;
+    } catch (error) {
+        membershipCache.delete(key);
+        logError(context, error, {
+            operation: 'getSiteGroupMembers',
+            siteUrl,
+            groupId
+        });
+        throw new Error(`Failed to fetch site group members: ${error.message}`);
+    }
+}
+
+module.exports = {
+    getSiteGroupMembers
+};
@@ -0,0 +1,159 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: services/stateService.js
+// Purpose: Persists small pieces of indexer state (delta tokens, subscriptions, etc.)
+//          in Azure Table Storage using the Functions storage account.
+
+const { TableClient, odata } = require("@azure/data-tables");
+const { withRetry } = require('../utils/retryPolicy');
+
+/**
+ * Characters that Azure Table Storage does not allow in PartitionKey/RowKey values
+ * @constant {RegExp}
+ */
+const INVALID_KEY_CHARACTERS = /[\/\\#?\u0000-\u001f\u007f-\u009f]/g;
+
+/**
+ * Service class to handle all indexer state operations
+ */
+class StateService {
+    constructor() {
+        this.tableClients = {};
+    }
+
+    /**
+     * Get (and create if needed) a client for the given table
+     * @private
+     * @param {string} tableName - Name of the table
+     * @returns {Promise<TableClient>} Table client
+     */
+    async _getTableClient(tableName) {
+        if (!this.tableClients[tableName]) {
+            const connectionString = process.env.AzureWebJobsStorage;
+            if (!connectionString) {
+                throw new Error("AzureWebJobsStorage not found in environment variables");
+            }
+
+            console.log(`Initializing Table client for: ${tableName}`);
+            const tableClient = TableClient.fromConnectionString(connectionString, tableName);
+            await this._request('createTable', () => tableClient.createTable());
+
+            this.tableClients[tableName] = tableClient;
+        }
+        return this.tableClients[tableName];
+    }
+
+    /**
+     * Run a table request with the shared retry policy
+     * @private
+     * @param {string} operation - Operation name for logs
+     * @param {function(): Promise<*>} request - Request to run; invoked again on every attempt
+     * @returns {Promise<*>} Request result
+     */
+    _request(operation, request) {
+        return withRetry(null, request, { operation, service: 'storage' });
+    }
+
+    /**
+     * Convert an arbitrary identifier into a valid table key
+     * @private
+     * @param {string} key - Raw key value
+     * @returns {string} Sanitized key
+     */
+    _toKey(key) {
+        return String(key).replace(INVALID_KEY_CHARACTERS, '_');
+    }
+
+    /**
+     * Get a stored state entity
+     * @param {string} tableName - Name of the table
+     * @param {string} partitionKey - Partition key
+     * @param {string} rowKey - Row key
+     * @returns {Promise<Object|null>} Stored entity or null if not found
+     */
+    async getState(tableName, partitionKey, rowKey) {
+        try {
+            const tableClient = await this._getTableClient(tableName);
+            return await this._request('getEntity', () =>
+                tableClient.getEntity(this._toKey(partitionKey), this._toKey(rowKey)));
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            console.error(`Failed to read state ${tableName}/${partitionKey}/${rowKey}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or replace a state entity
+     * @param {string} tableName - Name of the table
+     * @param {string} partitionKey - Partition key
+     * @param {string} rowKey - Row key
+     * @param {Object} values - Properties to store
+     */
+    async setState(tableName, partitionKey, rowKey, values) {
+        try {
+            const tableClient = await this._getTableClient(tableName);
+            await this._request('upsertEntity', () => tableClient.upsertEntity({
+                ...values,
+                partitionKey: this._toKey(partitionKey),
+                rowKey: this._toKey(rowKey)
+            }, 'Replace'));
+        } catch (error) {
+            console.error(`Failed to write state ${tableName}/${partitionKey}/${rowKey}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List all state entities in a partition
+     * @param {string} tableName - Name of the table
+     * @param {string} partitionKey - Partition key
+     * @returns {Promise<Array<Object>>} Stored entities
+     */
+    async listState(tableName, partitionKey) {
+        try {
+            const tableClient = await this._getTableClient(tableName);
+            // Entities are paged while iterating, so the whole listing is retried
+            return await this._request('listEntities', async () => {
+                const entities = [];
+                const iterator = tableClient.listEntities({
+                    queryOptions: { filter: odata`PartitionKey eq ${this._toKey(partitionKey)}` }
+                });
+
+                for await (const entity of iterator) {
+                    entities.push(entity);
+                }
+                return entities;
+            });
+        } catch (error) {
+            console.error(`Failed to list state ${tableName}/${partitionKey}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a state entity if it exists
+     * @param {string} tableName - Name of the table
+     * @param {string} partitionKey - Partition key
+     * @param {string} rowKey - Row key
+     */
+    async deleteState(tableName, partitionKey, rowKey) {
+        try {
+            const tableClient = await this._getTableClient(tableName);
+            await this._request('deleteEntity', () =>
+                tableClient.deleteEntity(this._toKey(partitionKey), this._toKey(rowKey)));
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return;
+            }
+            console.error(`Failed to delete state ${tableName}/${partitionKey}/${rowKey}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+// Export singleton instance
+const stateService = new StateService();
+module.exports = stateService;
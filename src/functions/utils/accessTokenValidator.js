@@ -0,0 +1,188 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/accessTokenValidator.js
+// Purpose: Validates Entra ID bearer tokens sent to the search endpoint:
+//          signature against the tenant signing keys, issuer, audience and lifetime.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const configService = require('./configService');
+const { logMessage } = require('./loggingService');
+
+/**
+ * Error code of the error thrown for a missing or invalid access token
+ * @constant {string}
+ */
+const INVALID_ACCESS_TOKEN_CODE = 'INVALID_ACCESS_TOKEN';
+
+/**
+ * Allowed difference between our clock and the token issuer's
+ * @constant {number}
+ */
+const CLOCK_SKEW_SECONDS = 300;
+
+/**
+ * Signing keys are read again after this time, and at most this often
+ * when a token names an unknown key
+ * @constant {{maxAgeMs: number, minRefreshMs: number}}
+ */
+const SIGNING_KEY_CACHE = {
+    maxAgeMs: 24 * 60 * 60 * 1000,
+    minRefreshMs: 5 * 60 * 1000
+};
+
+/**
+ * Signing keys of the tenant by key ID
+ * @type {{tenantId: string, keys: Map<string, crypto.KeyObject>, fetchedAt: number}|null}
+ */
+let signingKeys = null;
+
+/**
+ * Creates the error thrown for a missing or invalid access token
+ * @param {string} message - Why the token was rejected
+ * @returns {Error} Error with code INVALID_ACCESS_TOKEN
+ */
+function invalidToken(message) {
+    const error = new Error(message);
+    error.code = INVALID_ACCESS_TOKEN_CODE;
+    return error;
+}
+
+/**
+ * Reads the token of an Authorization header
+ * @param {string|null} authorization - Authorization header value
+ * @returns {string|null} Token, or null when the header holds no bearer token
+ */
+function getBearerToken(authorization) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Decodes a base64url encoded JSON token segment
+ * @param {string} segment - Token segment
+ * @param {string} name - Segment name for errors
+ * @returns {Object}
+ */
+function decodeSegment(segment, name) {
+    try {
+        const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+        if (value && typeof value === 'object') {
+            return value;
+        }
+    } catch {
+        // Reported below
+    }
+    throw invalidToken(`Malformed access token ${name}`);
+}
+
+/**
+ * Reads the tenant signing keys, from cache unless they are stale or a
+ * token names a key that is not cached
+ * @param {Object} context - Azure Functions context
+ * @param {string} tenantId - Entra ID tenant ID
+ * @param {string} keyId - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject|null>} Public key, or null when the tenant has no such key
+ */
+async function getSigningKey(context, tenantId, keyId) {
+    const age = signingKeys?.tenantId === tenantId ? Date.now() - signingKeys.fetchedAt : Infinity;
+    const cached = age < SIGNING_KEY_CACHE.maxAgeMs ? signingKeys.keys.get(keyId) : null;
+    if (cached || age < SIGNING_KEY_CACHE.minRefreshMs) {
+        return cached || null;
+    }
+
+    try {
+        const response = await axios.get(
+            `https://login.microsoftonline.com/${encodeURIComponent(tenantId)}/discovery/v2.0/keys`,
+            { timeout: 10000 }
+        );
+
+        const keys = new Map();
+        for (const jwk of response.data?.keys || []) {
+            if (jwk.kty === 'RSA' && jwk.kid) {
+                keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            }
+        }
+        signingKeys = { tenantId, keys, fetchedAt: Date.now() };
+
+        logMessage(context, "Signing keys loaded", { keyCount: keys.size });
+        return keys.get(keyId) || null;
+    } catch (error) {
+        throw new Error(`Failed to load signing keys: ${error.message}`);
+    }
+}
+
+/**
+ * Validates a delegated Entra ID access token issued for the search API.
+ * App-only tokens are rejected: results are trimmed to a signed-in user.
+ * @param {Object} context - Azure Functions context
+ * @param {string} token - Bearer token
+ * @returns {Promise<{userId: string, claims: Object}>} Object ID of the user and the token claims
+ * @throws {Error} With code INVALID_ACCESS_TOKEN if the token is not valid
+ */
+async function validateAccessToken(context, token) {
+    const [headerSegment, payloadSegment, signatureSegment, ...rest] = String(token || '').split('.');
+    if (!headerSegment || !payloadSegment || !signatureSegment || rest.length > 0) {
+        throw invalidToken('Malformed access token');
+    }
+
+    const header = decodeSegment(headerSegment, 'header');
+    const claims = decodeSegment(payloadSegment, 'payload');
+    if (header.alg !== 'RS256' || !header.kid) {
+        throw invalidToken(`Unsupported access token algorithm: ${header.alg}`);
+    }
+
+    const [tenantId, audienceSetting] = await Promise.all([
+        configService.getSetting('SHAREPOINT_BOT_TENANT_ID'),
+        configService.getSetting('SEARCH_API_AUDIENCE')
+    ]);
+    if (!tenantId || !audienceSetting) {
+        throw new Error("Missing required access token configuration");
+    }
+
+    const key = await getSigningKey(context, tenantId, header.kid);
+    if (!key) {
+        throw invalidToken('Access token was signed with an unknown key');
+    }
+
+    const signed = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${headerSegment}.${payloadSegment}`),
+        key,
+        Buffer.from(signatureSegment, 'base64url')
+    );
+    if (!signed) {
+        throw invalidToken('Access token signature is not valid');
+    }
+
+    const issuers = [
+        `https://login.microsoftonline.com/${tenantId}/v2.0`,
+        `https://sts.windows.net/${tenantId}/`
+    ];
+    const audiences = audienceSetting.split(',').map(audience => audience.trim()).filter(Boolean);
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.tid !== tenantId || !issuers.includes(claims.iss)) {
+        throw invalidToken('Access token was not issued by the tenant');
+    }
+    if (!audiences.includes(claims.aud)) {
+        throw invalidToken('Access token was not issued for the search API');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw invalidToken('Access token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+        throw invalidToken('Access token is not valid yet');
+    }
+    if (!claims.scp || !claims.oid) {
+        throw invalidToken('Access token does not belong to a signed-in user');
+    }
+
+    return { userId: String(claims.oid).toLowerCase(), claims };
+}
+
+module.exports = {
+    getBearerToken,
+    validateAccessToken,
+    INVALID_ACCESS_TOKEN_CODE
+};
@@ -0,0 +1,189 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/chunkIndexer.js
+// Purpose: Embeds chunks and writes them to the search index as a generation
+//          that replaces the file's previous documents only once complete.
+
+const crypto = require('crypto');
+const { logMessage, logError } = require('./loggingService');
+const { embedWithCache } = require('./embeddingCache');
+const { isRetryableError, CIRCUIT_OPEN_CODE } = require('./retryPolicy');
+const { createSearchDocument, validateDocument } = require('../models/documentModel');
+const { deleteDocumentsById, deleteOtherGenerations, uploadDocuments } = require('../services/searchService');
+
+/**
+ * Creates a re-index generation id: time ordered, unique, and valid in a document key
+ * @returns {string} Generation id
+ */
+function createGeneration() {
+    return Date.now().toString(36) + crypto.randomBytes(3).toString('hex');
+}
+
+/**
+ * Removes the partly uploaded documents of a failed generation. A failed
+ * rollback is only logged: the upload error is the one worth reporting, and
+ * the leftovers are deleted with the previous generation on the next success.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} searchClient - Search client instance
+ * @param {Array<Object>} documents - Documents of the failed generation
+ * @param {string} generation - Failed generation id
+ */
+async function rollbackGeneration(context, searchClient, documents, generation) {
+    logMessage(context, "Rolling back failed generation", {
+        generation,
+        documentCount: documents.length
+    });
+
+    try {
+        await deleteDocumentsById(context, searchClient, documents.map(document => document.docId));
+    } catch (error) {
+        logError(context, error, {
+            operation: 'rollbackGeneration',
+            generation
+        });
+    }
+}
+
+/**
+ * Embeds chunks and creates their search documents. Unchanged chunk text
+ * reuses the embedding already in the index; the rest is embedded in batches.
+ * A chunk rejected as invalid is skipped, while any other embedding failure
+ * is thrown so the work is retried.
+ * @param {Object} context - Azure Functions context
+ * @param {Array<{content: string, metadata: Object}>} chunks - Content chunks
+ * @param {Object} fileInfo - File metadata
+ * @param {Object} searchClient - Search client instance
+ * @param {string} fileUrl - Original file URL
+ * @param {Object} range - Where the chunks sit in the file
+ * @param {string} range.generation - Generation the documents belong to
+ * @param {number} [range.firstChunkIndex=0] - Zero-based index of the first chunk in the file
+ * @param {number} [range.totalChunks] - Number of chunks in the file; defaults to chunks.length
+ * @param {boolean} [range.pending=false] - Hide the documents from search until the generation is published
+ * @returns {Promise<Array<Object>>} Validated documents
+ */
+async function buildDocuments(context, chunks, fileInfo, searchClient, fileUrl, { generation, firstChunkIndex = 0, totalChunks = chunks.length, pending = false }) {
+    const results = await embedWithCache(context, searchClient, chunks.map(chunk => chunk.content));
+
+    const failed = results
+        .map((result, index) => ({ ...result, index }))
+        .filter(result => result.error);
+    const transient = failed.filter(result => isRetryableError(result.error) || result.error.code === CIRCUIT_OPEN_CODE);
+    if (transient.length > 0) {
+        throw new Error(`Failed to embed ${transient.length} of ${chunks.length} chunks: ${transient[0].error.message}`);
+    }
+    for (const { index, error } of failed) {
+        logError(context, error, {
+            operation: 'processChunks',
+            chunkIndex: firstChunkIndex + index,
+            fileUrl,
+            skipped: true
+        });
+    }
+
+    const documents = [];
+    for (let i = 0; i < chunks.length; i++) {
+        if (!results[i].embedding) {
+            continue;
+        }
+
+        try {
+            const document = createSearchDocument({
+                fileId: fileInfo.id,
+                chunkIndex: firstChunkIndex + i + 1,
+                fileInfo: {
+                    ...fileInfo,
+                    webUrl: fileUrl
+                },
+                content: chunks[i].content,
+                embedding: results[i].embedding,
+                totalChunks,
+                generation,
+                pending,
+                contentHash: results[i].contentHash,
+                metadata: chunks[i].metadata
+            });
+
+            validateDocument(document);
+            documents.push(document);
+        } catch (error) {
+            logError(context, error, {
+                operation: 'processChunks',
+                chunkIndex: firstChunkIndex + i,
+                fileUrl
+            });
+            throw error;
+        }
+    }
+
+    logMessage(context, "Chunks embedded", {
+        documentCount: documents.length,
+        skippedChunks: failed.length,
+        firstChunkIndex,
+        generation
+    });
+
+    return documents;
+}
+
+/**
+ * Processes chunks and creates search documents (see buildDocuments).
+ *
+ * The chunks are written as a new generation next to the file's current
+ * documents, which are only deleted once every upload has succeeded. A failed
+ * upload removes the new generation again, leaving the previous one in place,
+ * and so does a file none of whose chunks could be embedded.
+ * @param {Object} context - Azure Functions context
+ * @param {Array<{content: string, metadata: Object}>} chunks - Content chunks
+ * @param {Object} fileInfo - File metadata
+ * @param {Object} searchClient - Search client instance
+ * @param {string} fileUrl - Original file URL
+ * @returns {Promise<Array>} Processed documents
+ */
+async function processChunks(context, chunks, fileInfo, searchClient, fileUrl) {
+    const generation = createGeneration();
+    const documents = await buildDocuments(context, chunks, fileInfo, searchClient, fileUrl, { generation });
+
+    // Retiring the previous generation for a file whose every chunk was rejected would drop it from the index
+    if (chunks.length > 0 && documents.length === 0) {
+        throw new Error(`Failed to index ${fileUrl}: all ${chunks.length} chunks were rejected; previous version kept`);
+    }
+
+    if (documents.length > 0) {
+        try {
+            await uploadDocuments(context, searchClient, documents);
+        } catch (error) {
+            await rollbackGeneration(context, searchClient, documents, generation);
+            throw error;
+        }
+    }
+
+    await deleteOtherGenerations(context, searchClient, fileInfo.id, generation);
+    return documents;
+}
+
+/**
+ * Embeds and uploads one range of a file's chunks into a generation that is
+ * finalized separately, once every range is uploaded (see fanOutProcessor).
+ * The documents are uploaded as pending, so they stay out of search results
+ * until the generation is published.
+ * @param {Object} context - Azure Functions context
+ * @param {Array<{content: string, metadata: Object}>} chunks - Chunks of the range
+ * @param {Object} fileInfo - File metadata
+ * @param {Object} searchClient - Search client instance
+ * @param {string} fileUrl - Original file URL
+ * @param {Object} range - Generation and position of the range (see buildDocuments)
+ * @returns {Promise<Array<Object>>} Uploaded documents
+ */
+async function indexChunkRange(context, chunks, fileInfo, searchClient, fileUrl, range) {
+    const documents = await buildDocuments(context, chunks, fileInfo, searchClient, fileUrl, { ...range, pending: true });
+    if (documents.length > 0) {
+        await uploadDocuments(context, searchClient, documents);
+    }
+    return documents;
+}
+
+module.exports = {
+    createGeneration,
+    processChunks,
+    indexChunkRange
+};
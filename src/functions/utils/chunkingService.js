@@ -0,0 +1,368 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/chunkingService.js
+// Purpose: Splits text into chunks measured in embedding-model tokens, with
+//          configurable overlap and splitting strategies.
+
+const { getEncoding } = require('js-tiktoken');
+const { splitTableBlocks, parseTableText } = require('./markdownTable');
+
+/**
+ * Available chunking strategies
+ * - sentence: merge sentences (Latin and CJK punctuation)
+ * - paragraph: merge blank-line separated paragraphs
+ * - recursive: split on paragraphs, then lines, sentences, words and finally tokens
+ * - fixed: fixed token windows
+ * Markdown tables are chunked by rows whatever the strategy.
+ * @constant {Array<string>}
+ */
+const CHUNKING_STRATEGIES = ['sentence', 'paragraph', 'recursive', 'fixed'];
+
+/**
+ * Defaults used when configuration does not override them
+ * @constant {{strategy: string, maxTokens: number, overlapTokens: number}}
+ */
+const DEFAULT_CHUNK_OPTIONS = {
+    strategy: 'recursive',
+    maxTokens: 512,
+    overlapTokens: 64
+};
+
+/**
+ * Split points tried in order by the recursive strategy: before blank lines,
+ * line breaks, the space after a sentence and whitespace. Separators start the
+ * following piece, which keeps the original spacing when pieces are merged and
+ * matches how the tokenizer attaches leading spaces to words.
+ * @constant {Array<RegExp>}
+ */
+const RECURSIVE_SEPARATORS = [/(?=\n\s*\n)/, /(?=\n)/, /(?<=[.!?])(?=\s)|(?<=[。！？])/, /(?=\s)/];
+
+/**
+ * Tokenizer shared by the text-embedding-ada-002 and text-embedding-3 models
+ * @constant {string}
+ */
+const ENCODING_NAME = 'cl100k_base';
+
+let encoding = null;
+
+/**
+ * Initialize or get the tokenizer
+ * @returns {Object} js-tiktoken encoding
+ */
+function getTokenizer() {
+    if (!encoding) {
+        encoding = getEncoding(ENCODING_NAME);
+    }
+    return encoding;
+}
+
+/**
+ * Counts the model tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} Token count
+ */
+function countTokens(text) {
+    return text ? getTokenizer().encode(text).length : 0;
+}
+
+/**
+ * Splits text into windows of at most maxTokens tokens, overlapping by overlapTokens.
+ * Window edges are moved off partial multi-byte characters.
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Window size
+ * @param {number} overlapTokens - Tokens shared by consecutive windows
+ * @returns {Array<string>} Windows
+ */
+function splitByTokens(text, maxTokens, overlapTokens = 0) {
+    const tokenizer = getTokenizer();
+    const tokens = tokenizer.encode(text);
+    const step = Math.max(1, maxTokens - overlapTokens);
+    const windows = [];
+
+    for (let start = 0; start < tokens.length; start += step) {
+        let end = Math.min(start + maxTokens, tokens.length);
+        let window = tokenizer.decode(tokens.slice(start, end));
+
+        // A CJK character can span several tokens; trim partial characters at the edges
+        for (let i = 0; i < 3 && end < tokens.length && window.endsWith('\uFFFD'); i++) {
+            window = tokenizer.decode(tokens.slice(start, --end));
+        }
+        window = window.replace(/^\uFFFD+/, '').replace(/\uFFFD+$/, '').trim();
+
+        if (window) {
+            windows.push(window);
+        }
+        if (start + maxTokens >= tokens.length) {
+            break;
+        }
+    }
+
+    return windows;
+}
+
+/**
+ * Splits text into sentences without dropping text that lacks final punctuation.
+ * Sentences keep the whitespace before them, so joining them restores the text;
+ * CJK sentences are not separated by spaces.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text) {
+    return (text.match(/[^.!?。！？]+(?:[.!?。！？]+|$)/g) || [])
+        .filter(sentence => sentence.trim());
+}
+
+/**
+ * Splits text into paragraphs
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Paragraphs
+ */
+function splitParagraphs(text) {
+    return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * Splits text on the first separator that applies and recursively splits
+ * pieces that are still too large with the following separators
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Maximum tokens per piece
+ * @param {number} [level=0] - Current separator index
+ * @returns {Array<string>} Pieces no larger than maxTokens
+ */
+function splitRecursive(text, maxTokens, level = 0) {
+    if (countTokens(text) <= maxTokens) {
+        return [text];
+    }
+    if (level >= RECURSIVE_SEPARATORS.length) {
+        return splitByTokens(text, maxTokens);
+    }
+
+    return text.split(RECURSIVE_SEPARATORS[level])
+        .filter(piece => piece.trim())
+        .flatMap(piece => splitRecursive(piece, maxTokens, level + 1));
+}
+
+/**
+ * Merges units into chunks of at most maxTokens, starting each new chunk with
+ * trailing units of the previous one up to overlapTokens. Units larger than
+ * maxTokens are split into token windows first.
+ * @param {Array<string>} units - Text units (sentences, paragraphs, ...)
+ * @param {string} joiner - Text placed between units
+ * @param {number} maxTokens - Maximum tokens per chunk
+ * @param {number} overlapTokens - Tokens repeated from the previous chunk
+ * @returns {Array<string>} Chunks
+ */
+function mergeUnits(units, joiner, maxTokens, overlapTokens) {
+    const measured = units.flatMap(unit => {
+        const tokens = countTokens(unit);
+        return tokens > maxTokens ?
+            splitByTokens(unit, maxTokens, overlapTokens).map(window => ({ text: window, tokens: countTokens(window), oversized: true })) :
+            [{ text: unit, tokens }];
+    });
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const unit of measured) {
+        if (current.length > 0 && currentTokens + unit.tokens > maxTokens) {
+            chunks.push(current.map(item => item.text).join(joiner).trim());
+
+            // Carry trailing units into the next chunk as overlap; windows of an
+            // oversized unit already overlap each other
+            const overlap = [];
+            let overlapSize = 0;
+            for (let i = current.length - 1; i >= 0 && !unit.oversized; i--) {
+                if (overlapSize + current[i].tokens > overlapTokens ||
+                    overlapSize + current[i].tokens + unit.tokens > maxTokens) {
+                    break;
+                }
+                overlap.unshift(current[i]);
+                overlapSize += current[i].tokens;
+            }
+
+            current = overlap;
+            currentTokens = overlapSize;
+        }
+
+        current.push(unit);
+        currentTokens += unit.tokens;
+    }
+
+    if (current.length > 0) {
+        chunks.push(current.map(item => item.text).join(joiner).trim());
+    }
+
+    return chunks;
+}
+
+/**
+ * Chunks a Markdown table by rows. A table that fits stays in one chunk;
+ * otherwise every chunk repeats the header. A row that does not fit next to
+ * the header is split into token windows.
+ * @param {string} table - Markdown table
+ * @param {number} maxTokens - Maximum tokens per chunk
+ * @returns {Array<string>} Chunks
+ */
+function chunkTable(table, maxTokens) {
+    const { header, rows } = parseTableText(table);
+    const headerTokens = countTokens(header) + 1;
+    if (countTokens(table) <= maxTokens) {
+        return [table];
+    }
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = headerTokens;
+
+    const flush = () => {
+        if (current.length > 0) {
+            chunks.push([header, ...current].join('\n'));
+        }
+        current = [];
+        currentTokens = headerTokens;
+    };
+
+    for (const row of rows) {
+        const rowTokens = countTokens(row) + 1;
+        if (headerTokens + rowTokens > maxTokens) {
+            flush();
+            chunks.push(...splitByTokens(row, maxTokens));
+            continue;
+        }
+        if (currentTokens + rowTokens > maxTokens) {
+            flush();
+        }
+        current.push(row);
+        currentTokens += rowTokens;
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Splits prose into chunks using the given strategy
+ * @param {string} text - Text to chunk
+ * @param {string} strategy - One of CHUNKING_STRATEGIES
+ * @param {number} maxTokens - Maximum tokens per chunk
+ * @param {number} overlapTokens - Tokens shared by consecutive chunks
+ * @returns {Array<string>} Chunks
+ */
+function chunkProse(text, strategy, maxTokens, overlapTokens) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        return [];
+    }
+
+    switch (strategy) {
+        case 'fixed':
+            return splitByTokens(trimmed, maxTokens, overlapTokens);
+
+        case 'sentence':
+            return mergeUnits(splitSentences(trimmed), '', maxTokens, overlapTokens);
+
+        case 'paragraph':
+            return mergeUnits(splitParagraphs(trimmed), '\n\n', maxTokens, overlapTokens);
+
+        case 'recursive':
+        default:
+            return mergeUnits(splitRecursive(trimmed, maxTokens), '', maxTokens, overlapTokens);
+    }
+}
+
+/**
+ * Splits text into chunks using the given strategy. Markdown tables are
+ * chunked separately from the prose around them so rows stay together.
+ * @param {string} text - Text to chunk
+ * @param {Object} [options] - Chunking options
+ * @param {string} [options.strategy='recursive'] - One of CHUNKING_STRATEGIES
+ * @param {number} [options.maxTokens=512] - Maximum tokens per chunk
+ * @param {number} [options.overlapTokens=64] - Tokens shared by consecutive chunks
+ * @returns {Array<string>} Chunks
+ */
+function chunkText(text, options = {}) {
+    const { strategy, maxTokens, overlapTokens } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown chunking strategy: ${strategy}`);
+    }
+    if (!(maxTokens > 0) || overlapTokens < 0 || overlapTokens >= maxTokens) {
+        throw new Error(`Invalid chunk size: maxTokens ${maxTokens}, overlapTokens ${overlapTokens}`);
+    }
+
+    return splitTableBlocks((text || '').trim()).flatMap(block => (block.type === 'table' ?
+        chunkTable(block.text, maxTokens) :
+        chunkProse(block.text, strategy, maxTokens, overlapTokens)));
+}
+
+/**
+ * Collapses whitespace runs to single spaces, keeping a map from each
+ * character of the result to its offset in the original text
+ * @param {string} text - Text to normalize
+ * @returns {{normalized: string, offsets: Array<number>}}
+ */
+function normalizeWhitespace(text) {
+    let normalized = '';
+    const offsets = [];
+
+    for (let i = 0; i < text.length; i++) {
+        if (/\s/.test(text[i])) {
+            if (normalized.endsWith(' ')) {
+                continue;
+            }
+            normalized += ' ';
+        } else {
+            normalized += text[i];
+        }
+        offsets.push(i);
+    }
+
+    return { normalized, offsets };
+}
+
+/**
+ * Finds where each chunk produced by chunkText lies in the source text.
+ * Strategies may rejoin units with different whitespace, so chunks are
+ * matched with whitespace collapsed, and table chunks that repeat the table
+ * header are matched on their rows. Chunks are searched in order, each
+ * starting after the previous chunk's start since chunks may overlap.
+ * @param {string} text - Text that was chunked
+ * @param {Array<string>} chunks - Chunks in order
+ * @returns {Array<{start: number, end: number}|null>} Character span of each
+ *          chunk in text (end exclusive), or null when a chunk was not found
+ */
+function locateChunks(text, chunks) {
+    const { normalized, offsets } = normalizeWhitespace(text);
+    let searchFrom = 0;
+
+    const find = candidate => {
+        const needle = normalizeWhitespace(candidate.trim()).normalized;
+        return { needle, index: needle ? normalized.indexOf(needle, searchFrom) : -1 };
+    };
+
+    return chunks.map(chunk => {
+        let { needle, index } = find(chunk);
+        const table = index < 0 ? parseTableText(chunk) : null;
+        if (table) {
+            ({ needle, index } = find(table.rows.join('\n')));
+        }
+        if (index < 0) {
+            return null;
+        }
+
+        searchFrom = index + 1;
+        return {
+            start: offsets[index],
+            end: offsets[index + needle.length - 1] + 1
+        };
+    });
+}
+
+module.exports = {
+    CHUNKING_STRATEGIES,
+    DEFAULT_CHUNK_OPTIONS,
+    countTokens,
+    chunkText,
+    locateChunks
+};
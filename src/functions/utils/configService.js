@@ -6,6 +6,12 @@
 
 const { AppConfigurationClient } = require("@azure/app-configuration");
 
+/**
+ * Optional settings are read again after this time
+ * @constant {number}
+ */
+const OPTIONAL_SETTING_TTL_MS = 5 * 60 * 1000;
+
 /**
  * Configuration service class to handle App Configuration operations
  */
@@ -14,6 +20,7 @@ class ConfigurationService {
         this.initialized = false;
         this.settings = null;
         this.appConfigClient = null;
+        this.optionalSettings = new Map();
     }
 
     /**
@@ -49,6 +56,54 @@ class ConfigurationService {
         }
     }
 
+    /**
+     * Get an optional setting, falling back to a default when it is not defined.
+     * Values are cached for a few minutes, as they are read for every file.
+     * @param {string} settingName - Name of the setting to retrieve
+     * @param {*} [defaultValue=null] - Value returned when the setting does not exist
+     * @returns {Promise<string|*>} The setting value or the default
+     */
+    async getOptionalSetting(settingName, defaultValue = null) {
+        let cached = this.optionalSettings.get(settingName);
+        if (!cached || cached.expiresAt <= Date.now()) {
+            cached = { value: this._fetchOptionalSetting(settingName), expiresAt: Date.now() + OPTIONAL_SETTING_TTL_MS };
+            this.optionalSettings.set(settingName, cached);
+        }
+
+        let value;
+        try {
+            value = await cached.value;
+        } catch (error) {
+            this.optionalSettings.delete(settingName);
+            throw error;
+        }
+        return value === undefined || value === null || value === '' ? defaultValue : value;
+    }
+
+    /**
+     * Fetch an optional setting; a setting that does not exist is expected
+     * and not reported as a failure
+     * @private
+     * @param {string} settingName - Name of the setting to retrieve
+     * @returns {Promise<string|null>} The setting value, or null when it does not exist
+     */
+    async _fetchOptionalSetting(settingName) {
+        try {
+            if (!this.appConfigClient) {
+                await this._initializeAppConfig();
+            }
+
+            const setting = await this.appConfigClient.getConfigurationSetting({ key: settingName });
+            return setting.value;
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            console.error(`Failed to retrieve setting ${settingName}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get all settings from App Configuration
      * @returns {Promise<Object>} Object containing all settings
@@ -0,0 +1,190 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/csvExtractor.js
+// Purpose: Extracts CSV files row by row as "header: value" text, grouping rows
+//          into chunks that repeat the header line and never split a row.
+
+const csv = require('csv-parser');
+const { Readable } = require('stream');
+const { logMessage } = require('./loggingService');
+const { chunkRows } = require('./rowChunker');
+
+/**
+ * Delimiters considered during detection, in order of preference
+ * @constant {Array<string>}
+ */
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Number of lines sampled for delimiter detection
+ * @constant {number}
+ */
+const DETECTION_SAMPLE_LINES = 20;
+
+/**
+ * Decodes a CSV buffer, detecting UTF-8/UTF-16 byte order marks and
+ * BOM-less UTF-16 exports, and falling back to Latin-1 for invalid UTF-8
+ * @param {Buffer} buffer - File content buffer
+ * @returns {{text: string, encoding: string}} Decoded text and detected encoding
+ */
+function decodeCsvBuffer(buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { text: buffer.subarray(2).toString('utf16le'), encoding: 'utf16le' };
+    }
+
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        const swapped = Buffer.from(buffer.subarray(2));
+        swapped.swap16();
+        return { text: swapped.toString('utf16le'), encoding: 'utf16be' };
+    }
+
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf8' };
+    }
+
+    // Without a BOM, UTF-16 text shows up as mostly zero bytes at odd (LE) or even (BE) offsets
+    const sample = buffer.subarray(0, Math.min(buffer.length, 1000) & ~1);
+    let zeroOdd = 0;
+    let zeroEven = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            i % 2 === 0 ? zeroEven++ : zeroOdd++;
+        }
+    }
+    const pairs = sample.length / 2;
+    if (pairs > 0 && zeroOdd / pairs > 0.3 && zeroEven === 0) {
+        return { text: buffer.subarray(0, buffer.length & ~1).toString('utf16le'), encoding: 'utf16le' };
+    }
+    if (pairs > 0 && zeroEven / pairs > 0.3 && zeroOdd === 0) {
+        const swapped = Buffer.from(buffer.subarray(0, buffer.length & ~1));
+        swapped.swap16();
+        return { text: swapped.toString('utf16le'), encoding: 'utf16be' };
+    }
+
+    const utf8 = buffer.toString('utf8');
+    if (utf8.includes('\uFFFD')) {
+        return { text: buffer.toString('latin1'), encoding: 'latin1' };
+    }
+    return { text: utf8, encoding: 'utf8' };
+}
+
+/**
+ * Counts delimiter occurrences in a line, ignoring quoted sections
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Delimiter to count
+ * @returns {number}
+ */
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of line) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === delimiter && !inQuotes) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Detects the delimiter that splits the sampled lines into the most consistent columns
+ * @param {string} text - Decoded CSV text
+ * @returns {string} Detected delimiter
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, DETECTION_SAMPLE_LINES);
+    if (lines.length === 0) {
+        return ',';
+    }
+
+    let best = { delimiter: ',', score: 0 };
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const headerCount = countDelimiter(lines[0], delimiter);
+        if (headerCount === 0) {
+            continue;
+        }
+
+        // Prefer delimiters whose count matches the header on most lines
+        const consistentLines = lines.filter(line => countDelimiter(line, delimiter) === headerCount).length;
+        const score = consistentLines * 1000 + headerCount;
+        if (score > best.score) {
+            best = { delimiter, score };
+        }
+    }
+    return best.delimiter;
+}
+
+/**
+ * Parses CSV text into row objects keyed by header
+ * @param {string} text - Decoded CSV text
+ * @param {string} separator - Column delimiter
+ * @returns {Promise<{headers: Array<string>, rows: Array<Object>}>}
+ */
+function parseCsv(text, separator) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let headers = [];
+
+        Readable.from([text])
+            .pipe(csv({
+                separator,
+                mapHeaders: ({ header }) => header.trim()
+            }))
+            .on('headers', parsedHeaders => { headers = parsedHeaders; })
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve({ headers, rows }))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Formats a row as "header: value" pairs, skipping empty cells
+ * @param {Array<string>} headers - Column headers
+ * @param {Object} row - Parsed row
+ * @returns {string}
+ */
+function formatRow(headers, row) {
+    return headers
+        .map(header => [header, (row[header] ?? '').toString().trim()])
+        .filter(([, value]) => value.length > 0)
+        .map(([header, value]) => `${header}: ${value}`)
+        .join(' | ');
+}
+
+/**
+ * Extracts a CSV file as pre-chunked sections. Each chunk starts with the
+ * header line and contains whole rows only.
+ * @param {Object} context - Azure Functions context
+ * @param {Buffer} buffer - File content buffer
+ * @param {number} maxTokens - Maximum size of each chunk in model tokens
+ * @returns {Promise<Array<{text: string, metadata: Object, chunked: boolean}>>} Chunked sections
+ */
+async function extractCsvRows(context, buffer, maxTokens) {
+    const { text, encoding } = decodeCsvBuffer(buffer);
+    const delimiter = detectDelimiter(text);
+    const { headers, rows } = await parseCsv(text, delimiter);
+
+    // Row numbers follow the file, with the header on row 1
+    const sections = chunkRows(
+        `Columns: ${headers.join(', ')}`,
+        rows.map((row, index) => ({ line: formatRow(headers, row), rowNumber: index + 2 })),
+        maxTokens
+    );
+
+    logMessage(context, "CSV extraction complete", {
+        encoding,
+        delimiter: delimiter === '\t' ? 'tab' : delimiter,
+        columnCount: headers.length,
+        rowCount: rows.length,
+        chunkCount: sections.length
+    });
+
+    return sections;
+}
+
+module.exports = {
+    decodeCsvBuffer,
+    detectDelimiter,
+    extractCsvRows
+};
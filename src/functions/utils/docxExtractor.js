@@ -0,0 +1,94 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/docxExtractor.js
+// Purpose: Extracts Word (.docx) documents as one section per heading, keeping
+//          the heading hierarchy as a section path (e.g. "3 Safety > 3.2 PPE").
+
+const mammoth = require('mammoth');
+const { logMessage } = require('./loggingService');
+const { htmlToText } = require('./htmlToText');
+
+/**
+ * Separator between heading titles in a section path
+ * @constant {string}
+ */
+const SECTION_PATH_SEPARATOR = ' > ';
+
+/**
+ * Converts a document to HTML. Heading styles map to h1-h6 by default;
+ * images are dropped instead of being inlined as base64.
+ * @param {Buffer|string} input - File content buffer or path of the file
+ * @returns {Promise<string>} Document HTML
+ */
+async function convertDocxToHtml(input) {
+    const result = await mammoth.convertToHtml(Buffer.isBuffer(input) ? { buffer: input } : { path: input }, {
+        convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+    });
+    return result.value;
+}
+
+/**
+ * Extracts a document as sections split at headings. Each section starts with
+ * its heading and carries the path of headings above it.
+ * @param {Object} context - Azure Functions context
+ * @param {Buffer|string} input - File content buffer or path of the file
+ * @returns {Promise<Array<{text: string, metadata: Object}>>} Sections in document order
+ */
+async function extractDocxSections(context, input) {
+    const html = await convertDocxToHtml(input);
+    const parts = html.split(/(<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>)/i);
+
+    const sections = [];
+    const headings = [];
+    let current = { title: '', path: '', body: [] };
+
+    const flush = () => {
+        const body = htmlToText(current.body.join(''));
+        if (body) {
+            sections.push({
+                text: current.title ? `${current.title}\n\n${body}` : body,
+                metadata: current.path ? { sectionPath: current.path } : {}
+            });
+        }
+    };
+
+    for (const part of parts) {
+        const heading = part.match(/^<h([1-6])[^>]*>([\s\S]*?)<\/h[1-6]>$/i);
+        if (!heading) {
+            current.body.push(part);
+            continue;
+        }
+
+        const title = htmlToText(heading[2]);
+        if (!title) {
+            continue;
+        }
+
+        flush();
+
+        // A heading closes every open heading at its level or deeper
+        const level = parseInt(heading[1], 10);
+        while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+            headings.pop();
+        }
+        headings.push({ level, title });
+
+        current = {
+            title,
+            path: headings.map(item => item.title).join(SECTION_PATH_SEPARATOR),
+            body: []
+        };
+    }
+    flush();
+
+    logMessage(context, "DOCX extraction complete", {
+        sectionCount: sections.length,
+        headingCount: parts.filter((part, index) => index % 2 === 1).length
+    });
+
+    return sections;
+}
+
+module.exports = {
+    extractDocxSections
+};
@@ -0,0 +1,209 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/driveCrawler.js
+// Purpose: Walks a SharePoint document library with the Graph delta endpoint and
+//          enqueues new or changed files for indexing.
+
+const path = require('path');
+const { logMessage, logError } = require('./loggingService');
+const configService = require('./configService');
+const { SUPPORTED_FILE_EXTENSIONS } = require('./fileProcessors');
+const { resolveSharePointUrl } = require('./sharePointUrlResolver');
+const { crawlSitePages } = require('./sitePageProcessor');
+const { initializeGraphClient, getDriveDelta } = require('../services/graphService');
+const { enqueueMessages } = require('../services/queueService');
+const stateService = require('../services/stateService');
+
+/**
+ * Table used to persist the delta link for each crawled drive
+ * @constant {string}
+ */
+const DELTA_TOKEN_TABLE = 'DeltaTokens';
+
+/**
+ * Reads the comma separated list of sites to crawl from CRAWL_SITE_URLS
+ * @returns {Promise<Array<string>>} Site URLs
+ */
+async function getConfiguredSiteUrls() {
+    return (await configService.getOptionalSetting('CRAWL_SITE_URLS', ''))
+        .split(',')
+        .map(siteUrl => siteUrl.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Returns true when a delta item is a file the indexer can process
+ * @param {Object} item - driveItem from the delta response
+ * @returns {boolean}
+ */
+function isIndexableFile(item) {
+    if (!item.file || item.deleted) {
+        return false;
+    }
+    return SUPPORTED_FILE_EXTENSIONS.includes(path.extname(item.name || '').toLowerCase());
+}
+
+/**
+ * Reads drive changes, falling back to a full crawl if the stored delta link has expired
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} driveId - Drive ID
+ * @param {string|null} deltaLink - Stored delta link
+ * @returns {Promise<{items: Array<Object>, deltaLink: string, fullCrawl: boolean}>}
+ */
+async function readDriveChanges(context, graphClient, driveId, deltaLink) {
+    try {
+        const delta = await getDriveDelta(context, graphClient, driveId, deltaLink);
+        return { ...delta, fullCrawl: !deltaLink };
+    } catch (error) {
+        // Graph answers 410 Gone when a delta token can no longer be used
+        if (deltaLink && error.statusCode === 410) {
+            logMessage(context, "Delta link expired, restarting full crawl", { driveId });
+            const delta = await getDriveDelta(context, graphClient, driveId, null);
+            return { ...delta, fullCrawl: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Resolves the site and document library behind a SharePoint site or library URL
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} siteUrl - Site URL (default library) or library URL
+ * @returns {Promise<{site: Object, drive: Object}>} Site and drive information
+ */
+async function resolveSiteDrive(context, graphClient, siteUrl) {
+    const { site, drive } = await resolveSharePointUrl(context, graphClient, siteUrl);
+    return { site, drive };
+}
+
+/**
+ * Enqueues files in a drive that were added or changed since the previous crawl
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} siteId - SharePoint site ID
+ * @param {string} driveId - Drive ID
+ * @param {Object} [options] - Crawl options
+ * @param {boolean} [options.fullCrawl=false] - Ignore the stored delta link and enqueue every file
+ * @returns {Promise<Object>} Crawl summary
+ */
+async function crawlDrive(context, graphClient, siteId, driveId, { fullCrawl = false } = {}) {
+    const storedState = fullCrawl ?
+        null :
+        await stateService.getState(DELTA_TOKEN_TABLE, siteId, driveId);
+
+    const changes = await readDriveChanges(
+        context,
+        graphClient,
+        driveId,
+        storedState?.deltaLink || null
+    );
+
+    const messages = changes.items
+        .filter(isIndexableFile)
+        .map(item => ({
+            fileUrl: item.webUrl,
+            driveId,
+            itemId: item.id
+        }));
+
+    // Deleted items carry no name, so every deleted non-folder item is purged by ID
+    const deletions = changes.items
+        .filter(item => item.deleted && !item.folder)
+        .map(item => ({
+            action: 'delete',
+            fileId: item.id,
+            driveId
+        }));
+
+    await enqueueMessages(context, [...messages, ...deletions]);
+
+    // Only advance the token once every change has been handed to the queue
+    await stateService.setState(DELTA_TOKEN_TABLE, siteId, driveId, {
+        deltaLink: changes.deltaLink,
+        lastCrawl: new Date().toISOString()
+    });
+
+    const summary = {
+        siteId,
+        driveId,
+        fullCrawl: changes.fullCrawl,
+        changedItems: changes.items.length,
+        filesEnqueued: messages.length,
+        deletionsEnqueued: deletions.length
+    };
+
+    logMessage(context, "Drive crawl complete", summary);
+    return summary;
+}
+
+/**
+ * Crawls the document library of a site and enqueues files added or changed
+ * since the previous crawl
+ * @param {Object} context - Azure Functions context
+ * @param {string} siteUrl - Site URL (default library) or library URL
+ * @param {Object} [options] - Crawl options
+ * @param {boolean} [options.fullCrawl=false] - Ignore the stored delta link and enqueue every file
+ * @returns {Promise<Object>} Crawl summary
+ */
+async function crawlSite(context, siteUrl, { fullCrawl = false } = {}) {
+    try {
+        logMessage(context, "Starting site crawl", { siteUrl, fullCrawl });
+
+        const graphClient = await initializeGraphClient();
+        const { site, drive } = await resolveSiteDrive(context, graphClient, siteUrl);
+        const summary = await crawlDrive(context, graphClient, site.id, drive.id, { fullCrawl });
+
+        // Site pages live in a list rather than a drive, so they are crawled separately
+        let pagesEnqueued = 0;
+        if (String(await configService.getOptionalSetting('CRAWL_SITE_PAGES', 'true')).toLowerCase() === 'true') {
+            try {
+                ({ pagesEnqueued } = await crawlSitePages(context, graphClient, site.id));
+            } catch (error) {
+                logError(context, error, { operation: 'crawlSitePages', siteUrl });
+            }
+        }
+
+        return { siteUrl, ...summary, pagesEnqueued };
+    } catch (error) {
+        logError(context, error, {
+            operation: 'crawlSite',
+            siteUrl
+        });
+        throw error;
+    }
+}
+
+/**
+ * Handles a drive change message produced by the Graph webhook
+ * @param {Object} context - Azure Functions context
+ * @param {Object} message - Queue message
+ * @param {string} message.siteId - SharePoint site ID
+ * @param {string} message.driveId - Drive ID that changed
+ * @returns {Promise<Object>} Crawl summary
+ */
+async function crawlChangedDrive(context, { siteId, driveId }) {
+    try {
+        logMessage(context, "Processing drive change", { siteId, driveId });
+
+        const graphClient = await initializeGraphClient();
+        return await crawlDrive(context, graphClient, siteId, driveId);
+    } catch (error) {
+        logError(context, error, {
+            operation: 'crawlChangedDrive',
+            siteId,
+            driveId
+        });
+        throw error;
+    }
+}
+
+module.exports = {
+    crawlSite,
+    crawlChangedDrive,
+    crawlDrive,
+    resolveSiteDrive,
+    getConfiguredSiteUrls,
+    DELTA_TOKEN_TABLE
+};
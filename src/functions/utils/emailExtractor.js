@@ -0,0 +1,169 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/emailExtractor.js
+// Purpose: Extracts Outlook (.msg) and MIME (.eml) messages: headers, body and
+//          the text of supported attachments.
+
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const MsgReader = require('@kenjiuno/msgreader').default;
+const { logMessage, logError } = require('./loggingService');
+const { htmlToText } = require('./htmlToText');
+
+/**
+ * Normalizes a parsed message from either format
+ * @typedef {Object} ParsedEmail
+ * @property {string} subject
+ * @property {string} from
+ * @property {string} to
+ * @property {string} cc
+ * @property {string} date
+ * @property {string} body
+ * @property {Array<{name: string, content: Buffer}>} attachments
+ */
+
+/**
+ * Parses a .eml (MIME) message
+ * @param {Buffer} buffer - File content buffer
+ * @returns {Promise<ParsedEmail>}
+ */
+async function parseEml(buffer) {
+    const parsed = await simpleParser(buffer);
+
+    return {
+        subject: parsed.subject || '',
+        from: parsed.from?.text || '',
+        to: parsed.to?.text || '',
+        cc: parsed.cc?.text || '',
+        date: parsed.date ? parsed.date.toISOString() : '',
+        body: parsed.text || htmlToText(parsed.html || ''),
+        attachments: (parsed.attachments || [])
+            .filter(attachment => attachment.filename)
+            .map(attachment => ({ name: attachment.filename, content: attachment.content }))
+    };
+}
+
+/**
+ * Formats Outlook recipients of one type as "Name <email>" pairs
+ * @param {Array<Object>} recipients - msgreader recipients
+ * @param {string} recipType - to, cc or bcc
+ * @returns {string}
+ */
+function formatRecipients(recipients, recipType) {
+    return (recipients || [])
+        .filter(recipient => (recipient.recipType || 'to') === recipType)
+        .map(recipient => {
+            const email = recipient.smtpAddress || recipient.email;
+            return recipient.name && email && recipient.name !== email ?
+                `${recipient.name} <${email}>` :
+                (recipient.name || email);
+        })
+        .join(', ');
+}
+
+/**
+ * Parses a .msg (Outlook) message
+ * @param {Buffer} buffer - File content buffer
+ * @returns {ParsedEmail}
+ */
+function parseMsg(buffer) {
+    // msgreader needs a view over exactly this file, not the Buffer's shared pool
+    const reader = new MsgReader(new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength));
+    const data = reader.getFileData();
+
+    if (data.error) {
+        throw new Error(`Invalid Outlook message: ${data.error}`);
+    }
+
+    const sender = data.senderName && data.senderEmail && data.senderName !== data.senderEmail ?
+        `${data.senderName} <${data.senderSmtpAddress || data.senderEmail}>` :
+        (data.senderName || data.senderSmtpAddress || data.senderEmail || '');
+
+    const attachments = [];
+    for (const attachment of data.attachments || []) {
+        try {
+            const { fileName, content } = reader.getAttachment(attachment);
+            attachments.push({ name: fileName, content: Buffer.from(content) });
+        } catch (error) {
+            logError(null, error, { operation: 'parseMsg', attachment: attachment.fileName });
+        }
+    }
+
+    return {
+        subject: data.subject || '',
+        from: sender,
+        to: formatRecipients(data.recipients, 'to'),
+        cc: formatRecipients(data.recipients, 'cc'),
+        date: data.messageDeliveryTime || data.clientSubmitTime || '',
+        body: data.body || htmlToText(data.bodyHtml || ''),
+        attachments
+    };
+}
+
+/**
+ * Extracts a message and its supported attachments as sections. Attachments are
+ * extracted through the callback so they use the same extractors as files.
+ * @param {Object} context - Azure Functions context
+ * @param {string} fileExtension - .eml or .msg
+ * @param {Buffer} buffer - File content buffer
+ * @param {Object} options - Extraction options
+ * @param {Array<string>} options.supportedExtensions - Attachment extensions to extract
+ * @param {function(string, Buffer): Promise<string>} options.extractAttachment - Extracts text
+ *        from an attachment given its extension and content
+ * @returns {Promise<Array<{text: string, metadata: Object}>>} Message and attachment sections
+ */
+async function extractEmailSections(context, fileExtension, buffer, { supportedExtensions, extractAttachment }) {
+    const email = fileExtension.toLowerCase() === '.msg' ? parseMsg(buffer) : await parseEml(buffer);
+    const subject = email.subject || '(no subject)';
+
+    const header = [
+        `Subject: ${subject}`,
+        email.from && `From: ${email.from}`,
+        email.to && `To: ${email.to}`,
+        email.cc && `Cc: ${email.cc}`,
+        email.date && `Date: ${email.date}`
+    ].filter(Boolean).join('\n');
+
+    const sections = [{
+        text: `${header}\n\n${email.body || ''}`.trim(),
+        metadata: { parentMessage: subject }
+    }];
+
+    let skippedAttachments = 0;
+    for (const attachment of email.attachments) {
+        const extension = path.extname(attachment.name).toLowerCase();
+        if (!supportedExtensions.includes(extension)) {
+            skippedAttachments++;
+            continue;
+        }
+
+        try {
+            const text = await extractAttachment(extension, attachment.content);
+            if (text && text.trim()) {
+                sections.push({
+                    text: `Attachment: ${attachment.name}\nFrom message: ${subject}\n\n${text}`,
+                    metadata: { parentMessage: subject, attachmentName: attachment.name }
+                });
+            }
+        } catch (error) {
+            // One unreadable attachment should not stop the message from being indexed
+            skippedAttachments++;
+            logError(context, error, {
+                operation: 'extractEmailSections',
+                attachmentName: attachment.name
+            });
+        }
+    }
+
+    logMessage(context, "Email extraction complete", {
+        subject,
+        attachmentCount: email.attachments.length,
+        skippedAttachments
+    });
+
+    return sections;
+}
+
+module.exports = {
+    extractEmailSections
+};
@@ -0,0 +1,71 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/embeddingCache.js
+// Purpose: Reuses embeddings already stored in the search index for chunk text
+//          that has not changed, so re-indexing a file only embeds new text.
+
+const crypto = require('crypto');
+const configService = require('./configService');
+const { logMessage, logError } = require('./loggingService');
+const { generateEmbeddingBatch } = require('../services/openAiService');
+const { findEmbeddingsByHash } = require('../services/searchService');
+
+/**
+ * Hashes chunk text together with the deployment that embeds it, so switching
+ * the embedding model never reuses vectors from the previous one
+ * @param {string} deployment - Azure OpenAI embedding deployment name
+ * @param {string} text - Chunk text
+ * @returns {string} Hex SHA-256 hash
+ */
+function getContentHash(deployment, text) {
+    return crypto.createHash('sha256').update(`${deployment}\n${text}`).digest('hex');
+}
+
+/**
+ * Embeds texts, taking the embedding of any text already in the index from
+ * the document with the same content hash. The cache is on unless
+ * EMBEDDING_CACHE_ENABLED is "false"; a failed lookup only costs tokens.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} searchClient - Search client instance
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<{embedding: Array<number>|null, error: Error|null, contentHash: string}>>} One result per text, in input order
+ */
+async function embedWithCache(context, searchClient, texts) {
+    const [deployment, enabled] = await Promise.all([
+        configService.getSetting('AZURE_OPENAI_EMBEDDING_DEPLOYMENT'),
+        configService.getOptionalSetting('EMBEDDING_CACHE_ENABLED', 'true')
+    ]);
+    const hashes = texts.map(text => getContentHash(deployment, text));
+
+    let cached = new Map();
+    if (String(enabled).toLowerCase() !== 'false') {
+        try {
+            cached = await findEmbeddingsByHash(context, searchClient, [...new Set(hashes)]);
+        } catch (error) {
+            logError(context, error, { operation: 'embedWithCache' });
+        }
+    }
+
+    // Texts repeated within the file are embedded once
+    const textByHash = new Map(hashes.map((hash, index) => [hash, texts[index]]));
+    const missing = [...textByHash.keys()].filter(hash => !cached.has(hash));
+    const generated = missing.length > 0 ?
+        await generateEmbeddingBatch(context, missing.map(hash => textByHash.get(hash))) :
+        [];
+    const generatedByHash = new Map(missing.map((hash, index) => [hash, generated[index]]));
+
+    logMessage(context, "Embedding cache lookup complete", {
+        textCount: texts.length,
+        cacheHits: hashes.filter(hash => cached.has(hash)).length,
+        embeddedCount: missing.length
+    });
+
+    return hashes.map(hash => (cached.has(hash) ?
+        { embedding: cached.get(hash), error: null, contentHash: hash } :
+        { ...generatedByHash.get(hash), contentHash: hash }));
+}
+
+module.exports = {
+    getContentHash,
+    embedWithCache
+};
@@ -0,0 +1,195 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/excelExtractor.js
+// Purpose: Extracts Excel workbooks sheet by sheet, detecting header rows and
+//          emitting each row as "header: value" text with resolved cell values.
+
+const Excel = require('exceljs');
+const { logMessage } = require('./loggingService');
+const { chunkRows } = require('./rowChunker');
+
+/**
+ * Number of leading rows searched for a header row
+ * @constant {number}
+ */
+const HEADER_SEARCH_ROWS = 10;
+
+/**
+ * Formats a date cell, keeping the time only when the cell format shows one
+ * @param {Date} date - Cell date value
+ * @param {string} [numFmt] - Cell number format
+ * @returns {string}
+ */
+function formatDate(date, numFmt) {
+    if (isNaN(date.getTime())) {
+        return '';
+    }
+    const hasTime = /[hs]/i.test(numFmt || '') || date.getUTCHours() + date.getUTCMinutes() + date.getUTCSeconds() > 0;
+    return hasTime ?
+        date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '') :
+        date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves a cell value (formula results, rich text, hyperlinks, dates, errors) to text
+ * @param {*} value - exceljs cell value
+ * @param {string} [numFmt] - Cell number format
+ * @returns {string}
+ */
+function valueToText(value, numFmt) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return formatDate(value, numFmt);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value !== 'object') {
+        return String(value).trim();
+    }
+    if (value.formula !== undefined || value.sharedFormula !== undefined) {
+        return valueToText(value.result, numFmt);
+    }
+    if (Array.isArray(value.richText)) {
+        return value.richText.map(part => part.text).join('').trim();
+    }
+    if (value.hyperlink !== undefined) {
+        const text = valueToText(value.text, numFmt);
+        return text && text !== value.hyperlink ? `${text} (${value.hyperlink})` : value.hyperlink;
+    }
+    if (value.error !== undefined) {
+        return String(value.error);
+    }
+    return '';
+}
+
+/**
+ * Reads a worksheet row into cell texts and raw values indexed by column number
+ * @param {Object} row - exceljs row
+ * @returns {{cells: Array<string>, rawValues: Array<*>}} Cell texts and values (index 0 unused)
+ */
+function readRow(row) {
+    const cells = [];
+    const rawValues = [];
+    row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+        cells[colNumber] = valueToText(cell.value, cell.numFmt);
+        rawValues[colNumber] = cell.value;
+    });
+    return { cells, rawValues };
+}
+
+/**
+ * Converts a column number to its letter (1 -> A, 27 -> AA)
+ * @param {number} colNumber - Column number
+ * @returns {string}
+ */
+function columnLetter(colNumber) {
+    let letter = '';
+    for (let n = colNumber; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Finds the header row: the first row within the search window whose non-empty
+ * cells are all text and that covers at least half of the following row's columns
+ * @param {Array<{rowNumber: number, cells: Array<string>, rawValues: Array<*>}>} rows - Sheet rows
+ * @returns {number} Index into rows of the header row, or -1 if none was found
+ */
+function detectHeaderRow(rows) {
+    const limit = Math.min(rows.length - 1, HEADER_SEARCH_ROWS);
+    for (let i = 0; i < limit; i++) {
+        const values = rows[i].rawValues.filter(value => value !== null && value !== undefined && value !== '');
+        const nextCount = rows[i + 1].cells.filter(Boolean).length;
+        const isText = values.every(value => typeof value === 'string' || Array.isArray(value?.richText));
+
+        if (values.length >= 2 && isText && values.length * 2 >= nextCount) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Extracts a workbook as pre-chunked sections, one or more per sheet
+ * @param {Object} context - Azure Functions context
+ * @param {Buffer|string} input - File content buffer or path of the file
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxTokens - Maximum size of each chunk in model tokens
+ * @param {boolean} [options.skipHiddenSheets=false] - Skip hidden and very hidden sheets
+ * @returns {Promise<Array<{text: string, metadata: Object, chunked: boolean}>>} Chunked sections
+ */
+async function extractExcelSheets(context, input, { maxTokens, skipHiddenSheets = false }) {
+    const workbook = new Excel.Workbook();
+    if (Buffer.isBuffer(input)) {
+        await workbook.xlsx.load(input);
+    } else {
+        await workbook.xlsx.readFile(input);
+    }
+
+    const sections = [];
+    let skippedSheets = 0;
+
+    for (const worksheet of workbook.worksheets) {
+        if (skipHiddenSheets && worksheet.state !== 'visible') {
+            skippedSheets++;
+            continue;
+        }
+
+        const rows = [];
+        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+            const { cells, rawValues } = readRow(row);
+            if (cells.some(Boolean)) {
+                rows.push({ rowNumber, cells, rawValues });
+            }
+        });
+
+        if (rows.length === 0) {
+            continue;
+        }
+
+        const headerIndex = detectHeaderRow(rows);
+        const headerCells = headerIndex >= 0 ? rows[headerIndex].cells : [];
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.cells.length), 0);
+        const headers = [];
+        for (let col = 1; col < columnCount; col++) {
+            headers[col] = headerCells[col] || columnLetter(col);
+        }
+
+        const dataRows = rows.slice(headerIndex + 1).map(({ rowNumber, cells }) => ({
+            rowNumber,
+            line: cells
+                .map((text, col) => (text ? `${headers[col]}: ${text}` : null))
+                .filter(Boolean)
+                .join(' | ')
+        }));
+
+        // Rows above the header (report titles, notes) are repeated with it as context
+        const preamble = rows.slice(0, Math.max(headerIndex, 0))
+            .map(({ cells }) => cells.filter(Boolean).join(' '));
+
+        const headerText = [
+            `Sheet: ${worksheet.name}`,
+            ...preamble,
+            headerIndex >= 0 ? `Columns: ${headers.filter(Boolean).join(', ')}` : null
+        ].filter(Boolean).join('\n');
+
+        sections.push(...chunkRows(headerText, dataRows, maxTokens, { sheetName: worksheet.name }));
+    }
+
+    logMessage(context, "Excel extraction complete", {
+        sheetCount: workbook.worksheets.length,
+        skippedSheets,
+        chunkCount: sections.length
+    });
+
+    return sections;
+}
+
+module.exports = {
+    extractExcelSheets,
+    valueToText
+};
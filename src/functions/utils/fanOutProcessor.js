@@ -0,0 +1,466 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/fanOutProcessor.js
+// Purpose: Splits the embedding and upload of large files into parts processed
+//          by separate queue messages. Each part is checkpointed in table storage
+//          and the file's new generation is published once every part is done.
+
+const hostConfig = require('../../../host.json');
+const { logMessage, logError } = require('./loggingService');
+const configService = require('./configService');
+const { createGeneration, indexChunkRange } = require('./chunkIndexer');
+const {
+    initializeSearchClient,
+    deleteDocumentsById,
+    deleteGeneration,
+    deleteOtherGenerations,
+    publishDocuments
+} = require('../services/searchService');
+const { uploadJson, downloadJson, deleteBlobsByPrefix } = require('../services/blobService');
+const { enqueueMessages } = require('../services/queueService');
+const stateService = require('../services/stateService');
+
+/**
+ * Table holding one job row per file and one checkpoint row per finished part
+ * @constant {string}
+ */
+const FANOUT_TABLE = 'FileFanOut';
+
+/**
+ * Row key of a file's job row
+ * @constant {string}
+ */
+const JOB_ROW = 'job';
+
+/**
+ * Container holding the chunks of each part while the job runs
+ * @constant {string}
+ */
+const CHUNK_CONTAINER = 'indexer-chunks';
+
+/**
+ * Deliveries of a queue message before it is moved to the poison queue:
+ * host.json maxDequeueCount, or the Functions default of 5
+ * @constant {number}
+ */
+const MAX_DEQUEUE_COUNT = hostConfig.extensions?.queues?.maxDequeueCount ?? 5;
+
+/**
+ * Fan-out defaults, overridable with FANOUT_CHUNK_THRESHOLD and FANOUT_PART_SIZE
+ * @constant {{chunkThreshold: number, partSize: number}}
+ */
+const DEFAULT_FANOUT_OPTIONS = {
+    chunkThreshold: 300,
+    partSize: 100
+};
+
+/**
+ * Reads the fan-out options from configuration
+ * @returns {Promise<{chunkThreshold: number, partSize: number}>} Files with more chunks than
+ *          chunkThreshold are split into parts of partSize chunks
+ */
+async function getFanOutOptions() {
+    const [chunkThreshold, partSize] = await Promise.all([
+        configService.getOptionalSetting('FANOUT_CHUNK_THRESHOLD', DEFAULT_FANOUT_OPTIONS.chunkThreshold),
+        configService.getOptionalSetting('FANOUT_PART_SIZE', DEFAULT_FANOUT_OPTIONS.partSize)
+    ]);
+
+    return {
+        chunkThreshold: parseInt(chunkThreshold, 10) || DEFAULT_FANOUT_OPTIONS.chunkThreshold,
+        partSize: parseInt(partSize, 10) || DEFAULT_FANOUT_OPTIONS.partSize
+    };
+}
+
+/**
+ * Row key of a part's checkpoint row, also used as its blob name
+ * @param {number} part - Zero-based part number
+ * @returns {string}
+ */
+function partKey(part) {
+    return `part-${String(part).padStart(5, '0')}`;
+}
+
+/**
+ * Blob name prefix of a generation's parts
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation id
+ * @returns {string}
+ */
+function partPrefix(fileId, generation) {
+    return `${fileId}/${generation}/`;
+}
+
+/**
+ * Blob name of the file metadata of a generation, kept out of the job row
+ * because its principal list can exceed the 64 KB table property limit
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation id
+ * @returns {string}
+ */
+function fileInfoBlob(fileId, generation) {
+    return `${partPrefix(fileId, generation)}file-info`;
+}
+
+/**
+ * Blob name of the docIds a finished part uploaded
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation id
+ * @param {number} part - Zero-based part number
+ * @returns {string}
+ */
+function partDocumentsBlob(fileId, generation, part) {
+    return `${partPrefix(fileId, generation)}${partKey(part)}-documents`;
+}
+
+/**
+ * Properties stored on a job row; entities read back also carry keys, etag and timestamp
+ * @param {Object} job - Job row
+ * @returns {Object} Job properties
+ */
+function jobValues(job) {
+    const { generation, contentTag, fileUrl, partCount, totalChunks, status, startedAt } = job;
+    return { generation, contentTag, fileUrl, partCount, totalChunks, status, startedAt };
+}
+
+/**
+ * Reads the job row of a file
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @returns {Promise<Object|null>} Job row
+ */
+function getJob(fileId) {
+    return stateService.getState(FANOUT_TABLE, fileId, JOB_ROW);
+}
+
+/**
+ * Reads the job row of a file when it is still running the given generation.
+ * A newer job for the file, or an inline re-index, supersedes older parts.
+ * @param {Object} context - Azure Functions context
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation of the message
+ * @returns {Promise<Object|null>} Running job, or null when the message is stale
+ */
+async function getRunningJob(context, fileId, generation) {
+    const job = await getJob(fileId);
+    if (!job || job.generation !== generation || job.status !== 'running') {
+        logMessage(context, "Fan-out message superseded; ignoring", {
+            fileId,
+            generation,
+            currentGeneration: job?.generation,
+            status: job?.status
+        });
+        return null;
+    }
+    return job;
+}
+
+/**
+ * Lists the parts of a generation that have finished
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation id
+ * @returns {Promise<Map<string, number>>} Number of documents uploaded by each finished part, by row key
+ */
+async function getCompletedParts(fileId, generation) {
+    const rows = await stateService.listState(FANOUT_TABLE, fileId);
+    return new Map(rows
+        .filter(row => row.rowKey !== JOB_ROW && row.generation === generation && row.status === 'done')
+        .map(row => [row.rowKey, row.documentCount || 0]));
+}
+
+/**
+ * Removes a generation's part blobs and checkpoint rows
+ * @param {Object} context - Azure Functions context
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @param {string} generation - Generation id
+ */
+async function cleanUpParts(context, fileId, generation) {
+    await deleteBlobsByPrefix(context, CHUNK_CONTAINER, partPrefix(fileId, generation));
+
+    const rows = await stateService.listState(FANOUT_TABLE, fileId);
+    for (const row of rows.filter(row => row.rowKey !== JOB_ROW && row.generation === generation)) {
+        await stateService.deleteState(FANOUT_TABLE, fileId, row.rowKey);
+    }
+}
+
+/**
+ * Stops a running job of a file, e.g. before the file is indexed again or
+ * removed, and deletes the documents its parts uploaded. Its parts still in
+ * the queue find the job superseded and do nothing; a part that was uploading
+ * meanwhile finds it superseded afterwards and deletes its own documents.
+ * @param {Object} context - Azure Functions context
+ * @param {string} fileId - Stable driveItem ID of the file
+ * @returns {Promise<boolean>} True when a running job was stopped
+ */
+async function supersedeFanOut(context, fileId) {
+    const job = await getJob(fileId);
+    if (!job || job.status !== 'running') {
+        return false;
+    }
+
+    await stateService.setState(FANOUT_TABLE, fileId, JOB_ROW, { ...jobValues(job), status: 'superseded' });
+
+    const searchClient = await initializeSearchClient();
+    await deleteGeneration(context, searchClient, fileId, job.generation);
+    await cleanUpParts(context, fileId, job.generation);
+
+    logMessage(context, "Fan-out job superseded", { fileId, generation: job.generation });
+    return true;
+}
+
+/**
+ * Stores a file's chunks as parts and enqueues one message per part. The new
+ * generation is uploaded part by part as pending documents, and is published
+ * in place of the previous one when finalizeFanOut runs.
+ * @param {Object} context - Azure Functions context
+ * @param {Array<{content: string, metadata: Object}>} chunks - Content chunks of the file
+ * @param {Object} fileInfo - driveItem metadata
+ * @param {string} fileUrl - URL the file is indexed under
+ * @param {{partSize: number}} options - Fan-out options
+ * @returns {Promise<number>} Number of parts enqueued
+ */
+async function startFanOut(context, chunks, fileInfo, fileUrl, { partSize }) {
+    await supersedeFanOut(context, fileInfo.id);
+
+    const generation = createGeneration();
+    const partCount = Math.ceil(chunks.length / partSize);
+
+    for (let part = 0; part < partCount; part++) {
+        await uploadJson(context, CHUNK_CONTAINER, partPrefix(fileInfo.id, generation) + partKey(part), {
+            firstChunkIndex: part * partSize,
+            chunks: chunks.slice(part * partSize, (part + 1) * partSize)
+        });
+    }
+    await uploadJson(context, CHUNK_CONTAINER, fileInfoBlob(fileInfo.id, generation), {
+        id: fileInfo.id,
+        name: fileInfo.name,
+        webUrl: fileInfo.webUrl,
+        lastModifiedDateTime: fileInfo.lastModifiedDateTime,
+        cTag: fileInfo.cTag,
+        eTag: fileInfo.eTag,
+        allowedPrincipals: fileInfo.allowedPrincipals
+    });
+
+    await stateService.setState(FANOUT_TABLE, fileInfo.id, JOB_ROW, {
+        generation,
+        contentTag: fileInfo.cTag || fileInfo.eTag || '',
+        fileUrl,
+        partCount,
+        totalChunks: chunks.length,
+        status: 'running',
+        startedAt: new Date().toISOString()
+    });
+
+    await enqueueMessages(context, Array.from({ length: partCount }, (_, part) => ({
+        type: 'indexPart',
+        fileId: fileInfo.id,
+        generation,
+        part
+    })));
+
+    logMessage(context, "Fan-out job started", {
+        fileId: fileInfo.id,
+        generation,
+        totalChunks: chunks.length,
+        partCount
+    });
+
+    return partCount;
+}
+
+/**
+ * Resumes a running job for the same version of a file instead of extracting
+ * it again: parts without a checkpoint are enqueued again, or the coordinator
+ * when every part is done
+ * @param {Object} context - Azure Functions context
+ * @param {Object} fileInfo - driveItem metadata
+ * @returns {Promise<number|null>} Number of parts enqueued again, or null when there is no job to resume
+ */
+async function resumeFanOut(context, fileInfo) {
+    const job = await getJob(fileInfo.id);
+    if (!job || job.status !== 'running' || job.contentTag !== (fileInfo.cTag || fileInfo.eTag || '')) {
+        return null;
+    }
+
+    const completed = await getCompletedParts(fileInfo.id, job.generation);
+    const missing = Array.from({ length: job.partCount }, (_, part) => part)
+        .filter(part => !completed.has(partKey(part)));
+
+    await enqueueMessages(context, missing.length > 0 ?
+        missing.map(part => ({ type: 'indexPart', fileId: fileInfo.id, generation: job.generation, part })) :
+        [{ type: 'finalizeFile', fileId: fileInfo.id, generation: job.generation }]);
+
+    logMessage(context, "Fan-out job resumed", {
+        fileId: fileInfo.id,
+        generation: job.generation,
+        completedParts: completed.size,
+        requeuedParts: missing.length
+    });
+
+    return missing.length;
+}
+
+/**
+ * Gives up on a job whose part failed on its last delivery: the new generation
+ * is removed so the previous one stays the only indexed version of the file
+ * @param {Object} context - Azure Functions context
+ * @param {Object} job - Job row
+ * @param {string} fileId - Stable driveItem ID of the file
+ */
+async function abandonFanOut(context, job, fileId) {
+    try {
+        await stateService.setState(FANOUT_TABLE, fileId, JOB_ROW, { ...jobValues(job), status: 'failed' });
+
+        const searchClient = await initializeSearchClient();
+        await deleteGeneration(context, searchClient, fileId, job.generation);
+        await cleanUpParts(context, fileId, job.generation);
+
+        logMessage(context, "Fan-out job abandoned; previous generation kept", {
+            fileId,
+            generation: job.generation
+        });
+    } catch (error) {
+        logError(context, error, {
+            operation: 'abandonFanOut',
+            fileId,
+            generation: job.generation
+        });
+    }
+}
+
+/**
+ * Embeds and uploads one part of a file. A part with a checkpoint is skipped,
+ * so redelivered and re-enqueued messages do no work twice. The part that
+ * completes the job enqueues the coordinator.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} message - Part message
+ * @param {string} message.fileId - Stable driveItem ID of the file
+ * @param {string} message.generation - Generation being written
+ * @param {number} message.part - Zero-based part number
+ * @returns {Promise<string>} Processing result message
+ */
+async function processFanOutPart(context, { fileId, generation, part }) {
+    const job = await getRunningJob(context, fileId, generation);
+    if (!job) {
+        return `Part ${part} of ${fileId} skipped: generation ${generation} is no longer running`;
+    }
+
+    let completed = await getCompletedParts(fileId, generation);
+    if (!completed.has(partKey(part))) {
+        try {
+            const [stored, fileInfo] = await Promise.all([
+                downloadJson(context, CHUNK_CONTAINER, partPrefix(fileId, generation) + partKey(part)),
+                downloadJson(context, CHUNK_CONTAINER, fileInfoBlob(fileId, generation))
+            ]);
+            if (!stored || !fileInfo) {
+                throw new Error(`${stored ? 'File info' : 'Chunks'} of part ${part} not found`);
+            }
+
+            const searchClient = await initializeSearchClient();
+            const documents = await indexChunkRange(context, stored.chunks, fileInfo, searchClient, job.fileUrl, {
+                generation,
+                firstChunkIndex: stored.firstChunkIndex,
+                totalChunks: job.totalChunks
+            });
+            const docIds = documents.map(document => document.docId);
+
+            // A job superseded or abandoned during the upload deleted its
+            // generation before these documents existed
+            if (!await getRunningJob(context, fileId, generation)) {
+                await deleteDocumentsById(context, searchClient, docIds);
+                return `Part ${part} of ${fileId} discarded: generation ${generation} is no longer running`;
+            }
+
+            // The coordinator publishes the part's documents by key
+            await uploadJson(context, CHUNK_CONTAINER, partDocumentsBlob(fileId, generation, part), docIds);
+
+            await stateService.setState(FANOUT_TABLE, fileId, partKey(part), {
+                generation,
+                status: 'done',
+                documentCount: documents.length,
+                completedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            logError(context, error, {
+                operation: 'processFanOutPart',
+                fileId,
+                generation,
+                part
+            });
+            if ((context?.triggerMetadata?.dequeueCount || 0) >= MAX_DEQUEUE_COUNT) {
+                await abandonFanOut(context, job, fileId);
+            }
+            throw error;
+        }
+
+        completed = await getCompletedParts(fileId, generation);
+    }
+
+    // Checkpoints are written before this read, so at least one part sees them all
+    if (completed.size >= job.partCount) {
+        await enqueueMessages(context, [{ type: 'finalizeFile', fileId, generation }]);
+    }
+
+    return `Part ${part + 1} of ${job.partCount} indexed for ${fileId}`;
+}
+
+/**
+ * Coordinator: once every part is done, publishes the new generation, retires
+ * the file's previous one and removes the job's parts. A generation without
+ * documents, every chunk having been rejected, is abandoned instead so the
+ * previous one stays indexed. Safe to run more than once.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} message - Coordinator message
+ * @param {string} message.fileId - Stable driveItem ID of the file
+ * @param {string} message.generation - Generation to finalize
+ * @returns {Promise<string>} Processing result message
+ */
+async function finalizeFanOut(context, { fileId, generation }) {
+    const job = await getRunningJob(context, fileId, generation);
+    if (!job) {
+        return `Finalization of ${fileId} skipped: generation ${generation} is no longer running`;
+    }
+
+    const completed = await getCompletedParts(fileId, generation);
+    if (completed.size < job.partCount) {
+        throw new Error(`Cannot finalize ${fileId}: ${completed.size} of ${job.partCount} parts done`);
+    }
+
+    const documentCount = [...completed.values()].reduce((sum, count) => sum + count, 0);
+    if (documentCount === 0) {
+        await abandonFanOut(context, job, fileId);
+        throw new Error(`Failed to index ${job.fileUrl}: all ${job.totalChunks} chunks were rejected; previous version kept`);
+    }
+
+    const docIds = [];
+    for (let part = 0; part < job.partCount; part++) {
+        const partDocIds = await downloadJson(context, CHUNK_CONTAINER, partDocumentsBlob(fileId, generation, part));
+        if (!partDocIds) {
+            throw new Error(`Cannot finalize ${fileId}: documents of part ${part} not found`);
+        }
+        docIds.push(...partDocIds);
+    }
+
+    const searchClient = await initializeSearchClient();
+    await publishDocuments(context, searchClient, docIds);
+    await deleteOtherGenerations(context, searchClient, fileId, generation);
+    await stateService.setState(FANOUT_TABLE, fileId, JOB_ROW, { ...jobValues(job), status: 'complete' });
+    await cleanUpParts(context, fileId, generation);
+
+    logMessage(context, "Fan-out job complete", {
+        fileId,
+        generation,
+        partCount: job.partCount,
+        totalChunks: job.totalChunks,
+        documentCount
+    });
+
+    return `Finalized ${fileId}: ${documentCount} of ${job.totalChunks} chunks in ${job.partCount} parts`;
+}
+
+module.exports = {
+    getFanOutOptions,
+    startFanOut,
+    resumeFanOut,
+    supersedeFanOut,
+    processFanOutPart,
+    finalizeFanOut
+};
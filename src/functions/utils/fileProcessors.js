@@ -4,143 +4,266 @@
 // Purpose: Handles extraction and processing of content from various file types.
 //          Supports DOCX, XLSX, PDF, PPTX, CSV, and TXT files.
 
-const mammoth = require('mammoth');
-const Excel = require('exceljs');
-const pdfParse = require('pdf-parse');
+const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { logMessage, logError } = require('./loggingService');
-const { generateEmbedding } = require('../services/openAiService');
-const { createSearchDocument, validateDocument } = require('../models/documentModel');
-const { initializeGraphClient, getSiteInfo, getDriveInfo, getFileMetadata } = require('../services/graphService');
-const { initializeSearchClient, deleteExistingDocuments } = require('../services/searchService');
+const { resolveFileReference } = require('./sharePointUrlResolver');
+const { extractDocxSections } = require('./docxExtractor');
+const { extractPptxSlides } = require('./pptxExtractor');
+const { extractPdfPages } = require('./pdfExtractor');
+const { extractCsvRows, decodeCsvBuffer } = require('./csvExtractor');
+const { extractExcelSheets } = require('./excelExtractor');
+const { extractEmailSections } = require('./emailExtractor');
+const { chunkText, countTokens, locateChunks, DEFAULT_CHUNK_OPTIONS } = require('./chunkingService');
+const { normalizeSections } = require('./textNormalizer');
+const configService = require('./configService');
+const { processChunks } = require('./chunkIndexer');
+const { getFanOutOptions, startFanOut, resumeFanOut, supersedeFanOut } = require('./fanOutProcessor');
+const {
+    initializeGraphClient,
+    getFileMetadata,
+    getFileById,
+    getFilePermissions,
+    downloadFile,
+    deleteDownloadedFile,
+    FILE_TOO_LARGE_CODE
+} = require('../services/graphService');
+const {
+    initializeSearchClient,
+    deleteDocumentsByFileId,
+    getIndexedFileState,
+    updateDocumentLocation,
+    updateDocumentPermissions
+} = require('../services/searchService');
+const { samePrincipals } = require('../models/permissionModel');
 
 /**
- * Controls the maximum size of content chunks for processing
+ * File extensions that extractTextContent can handle
+ * @constant {Array<string>}
+ */
+const SUPPORTED_FILE_EXTENSIONS = ['.docx', '.xlsx', '.pdf', '.pptx', '.csv', '.txt', '.eml', '.msg'];
+
+/**
+ * Default download size limit in megabytes, overridable with MAX_FILE_SIZE_MB
  * @constant {number}
  */
-const MAX_CHUNK_SIZE = 2000;
+const DEFAULT_MAX_FILE_SIZE_MB = 200;
+
+/**
+ * Reads the chunking options for a file type from configuration.
+ * CHUNK_STRATEGIES maps extensions to strategies, e.g. {".pdf": "paragraph"};
+ * other types use CHUNK_STRATEGY.
+ * @param {string} fileExtension - File extension
+ * @returns {Promise<{strategy: string, maxTokens: number, overlapTokens: number}>}
+ */
+async function getChunkingOptions(fileExtension) {
+    const [strategy, maxTokens, overlapTokens, strategyMap] = await Promise.all([
+        configService.getOptionalSetting('CHUNK_STRATEGY', DEFAULT_CHUNK_OPTIONS.strategy),
+        configService.getOptionalSetting('CHUNK_MAX_TOKENS', DEFAULT_CHUNK_OPTIONS.maxTokens),
+        configService.getOptionalSetting('CHUNK_OVERLAP_TOKENS', DEFAULT_CHUNK_OPTIONS.overlapTokens),
+        configService.getOptionalSetting('CHUNK_STRATEGIES', '{}')
+    ]);
+
+    let strategies;
+    try {
+        strategies = JSON.parse(strategyMap);
+    } catch (error) {
+        throw new Error(`Invalid CHUNK_STRATEGIES setting: ${error.message}`);
+    }
+
+    return {
+        strategy: strategies[fileExtension.toLowerCase()] || strategy,
+        maxTokens: parseInt(maxTokens, 10),
+        overlapTokens: parseInt(overlapTokens, 10)
+    };
+}
 
 /**
- * Splits content into chunks while preserving sentence boundaries
+ * Splits content into chunks measured in embedding-model tokens
  * @param {Object} context - Azure Functions context
  * @param {string} content - Text content to chunk
- * @param {number} [maxChunkSize=2000] - Maximum size of each chunk
+ * @param {Object} [options] - Chunking options (strategy, maxTokens, overlapTokens)
  * @returns {Array<string>} Array of content chunks
  */
-function chunkContent(context, content, maxChunkSize = MAX_CHUNK_SIZE) {
+function chunkContent(context, content, options = DEFAULT_CHUNK_OPTIONS) {
     logMessage(context, "Starting content chunking", {
         contentLength: content.length,
-        maxChunkSize
+        ...options
     });
 
-    const chunks = [];
-    let currentChunk = "";
-    
-    // Split into sentences using regex
-    const sentences = content.match(/[^.!?]+[.!?]+|\s+/g) || [];
-
-    for (const sentence of sentences) {
-        if ((currentChunk + sentence).length > maxChunkSize && currentChunk.length > 0) {
-            chunks.push(currentChunk.trim());
-            currentChunk = "";
-        }
-        currentChunk += sentence;
-    }
-
-    if (currentChunk.trim().length > 0) {
-        chunks.push(currentChunk.trim());
-    }
+    const chunks = chunkText(content, options);
 
     logMessage(context, "Content chunking complete", {
-        averageChunkSize: Math.round(chunks.reduce((acc, chunk) => acc + chunk.length, 0) / chunks.length)
+        chunkCount: chunks.length,
+        averageChunkTokens: chunks.length > 0 ?
+            Math.round(chunks.reduce((acc, chunk) => acc + countTokens(chunk), 0) / chunks.length) :
+            0
     });
 
     return chunks;
 }
 
 /**
- * Processes chunks and creates search documents
+ * Finds the pages a span of text covers
+ * @param {Array<{pageNumber: number, offset: number}>} pageOffsets - Start offset of each page
+ * @param {{start: number, end: number}} span - Character span (end exclusive)
+ * @returns {{pageStart: number, pageEnd: number}}
+ */
+function getPageRange(pageOffsets, { start, end }) {
+    const pageAt = offset => {
+        let pageNumber = pageOffsets[0].pageNumber;
+        for (const page of pageOffsets) {
+            if (page.offset > offset) {
+                break;
+            }
+            pageNumber = page.pageNumber;
+        }
+        return pageNumber;
+    };
+
+    return { pageStart: pageAt(start), pageEnd: pageAt(end - 1) };
+}
+
+/**
+ * Chunks each extracted section separately so every chunk keeps the
+ * location metadata (slide, rows, ...) of the section it came from.
+ * Sections flagged as chunked by their extractor are used as is, and
+ * sections with pageOffsets give each chunk the pages it spans.
  * @param {Object} context - Azure Functions context
- * @param {Array<string>} chunks - Content chunks
- * @param {Object} fileInfo - File metadata
- * @param {Object} searchClient - Search client instance
- * @param {string} fileUrl - Original file URL
- * @returns {Promise<Array>} Processed documents
+ * @param {Array<{text: string, metadata: Object, chunked?: boolean, pageOffsets?: Array<Object>}>} sections - Extracted sections
+ * @param {Object} [options] - Chunking options (strategy, maxTokens, overlapTokens)
+ * @returns {Array<{content: string, metadata: Object}>} Chunks with metadata
  */
-async function processChunks(context, chunks, fileInfo, searchClient, fileUrl) {
-    const documents = [];
-    
-    for (let i = 0; i < chunks.length; i++) {
-        try {
-            const embedding = await generateEmbedding(context, chunks[i]);
-            
-            const document = createSearchDocument({
-                fileId: fileInfo.id,
-                chunkIndex: i + 1,
-                fileInfo: {
-                    ...fileInfo,
-                    webUrl: fileUrl
-                },
-                content: chunks[i],
-                embedding,
-                totalChunks: chunks.length
-            });
+function chunkSections(context, sections, options = DEFAULT_CHUNK_OPTIONS) {
+    return sections
+        .filter(section => section.text && section.text.trim().length > 0)
+        .flatMap(section => {
+            const contents = section.chunked ? [section.text.trim()] : chunkContent(context, section.text, options);
+            const spans = section.pageOffsets?.length > 0 ? locateChunks(section.text, contents) : [];
+
+            return contents.map((content, index) => ({
+                content,
+                metadata: {
+                    ...section.metadata,
+                    ...(spans[index] ? getPageRange(section.pageOffsets, spans[index]) : {})
+                }
+            }));
+        });
+}
 
-            validateDocument(document);
-            documents.push(document);
-            
-            logMessage(context, `Processed chunk ${i + 1}/${chunks.length}`, {
-                docId: document.docId,
-                contentLength: chunks[i].length
-            });
-        } catch (error) {
-            logError(context, error, {
-                operation: 'processChunks',
-                chunkIndex: i,
-                fileUrl
-            });
-            throw error;
-        }
+/**
+ * Reads the Excel extraction options from configuration
+ * @param {number} maxTokens - Maximum size of each chunk in model tokens
+ * @returns {Promise<{maxTokens: number, skipHiddenSheets: boolean}>}
+ */
+async function getExcelOptions(maxTokens) {
+    const skipHiddenSheets = await configService.getOptionalSetting('EXCEL_SKIP_HIDDEN_SHEETS', 'false');
+    return {
+        maxTokens,
+        skipHiddenSheets: String(skipHiddenSheets).toLowerCase() === 'true'
+    };
+}
+
+/**
+ * Reads the text normalization rules from configuration. Every rule is on
+ * unless its setting is "false"; TEXT_BOILERPLATE_PATTERNS is a JSON array of
+ * regular expressions for lines to drop (e.g. confidentiality notices).
+ * @returns {Promise<Object>} Normalization options
+ */
+async function getNormalizationOptions() {
+    const [repeatedLines, pageNumbers, hyphenation, whitespace, patterns] = await Promise.all([
+        configService.getOptionalSetting('TEXT_REMOVE_REPEATED_LINES', 'true'),
+        configService.getOptionalSetting('TEXT_REMOVE_PAGE_NUMBERS', 'true'),
+        configService.getOptionalSetting('TEXT_FIX_HYPHENATION', 'true'),
+        configService.getOptionalSetting('TEXT_COLLAPSE_WHITESPACE', 'true'),
+        configService.getOptionalSetting('TEXT_BOILERPLATE_PATTERNS', '[]')
+    ]);
+
+    let boilerplatePatterns;
+    try {
+        boilerplatePatterns = JSON.parse(patterns);
+    } catch (error) {
+        throw new Error(`Invalid TEXT_BOILERPLATE_PATTERNS setting: ${error.message}`);
     }
 
-    await searchClient.uploadDocuments(documents);
-    return documents;
+    const isEnabled = value => String(value).toLowerCase() !== 'false';
+    return {
+        removeRepeatedLines: isEnabled(repeatedLines),
+        removePageNumbers: isEnabled(pageNumbers),
+        fixHyphenation: isEnabled(hyphenation),
+        collapseWhitespace: isEnabled(whitespace),
+        boilerplatePatterns
+    };
+}
+
+/**
+ * Reads the download size limit from configuration
+ * @returns {Promise<number>} Maximum file size in bytes
+ */
+async function getMaxFileBytes() {
+    const maxSizeMb = await configService.getOptionalSetting('MAX_FILE_SIZE_MB', DEFAULT_MAX_FILE_SIZE_MB);
+    return (parseFloat(maxSizeMb) || DEFAULT_MAX_FILE_SIZE_MB) * 1024 * 1024;
+}
+
+/**
+ * Reads extractor input into memory, for formats that cannot read from disk
+ * @param {Buffer|string} input - File content buffer or path of a downloaded file
+ * @returns {Promise<Buffer>} File content
+ */
+function readInput(input) {
+    return Buffer.isBuffer(input) ? Promise.resolve(input) : fs.promises.readFile(input);
+}
+
+/**
+ * Options for email extraction; attachments go back through extractTextContent
+ * @param {Object} context - Azure Functions context
+ * @returns {Object} Email extraction options
+ */
+function getEmailOptions(context) {
+    return {
+        supportedExtensions: SUPPORTED_FILE_EXTENSIONS,
+        extractAttachment: (extension, content) => extractTextContent(context, extension, content)
+    };
 }
 
 /**
  * Extracts text content based on file type
  * @param {Object} context - Azure Functions context
  * @param {string} fileExtension - File extension
- * @param {Buffer} buffer - File content buffer
+ * @param {Buffer|string} input - File content buffer or path of a downloaded file
  * @returns {Promise<string>} Extracted text content
  */
-async function extractTextContent(context, fileExtension, buffer) {
+async function extractTextContent(context, fileExtension, input) {
     logMessage(context, "Starting text extraction", { fileExtension });
 
     try {
         switch (fileExtension.toLowerCase()) {
             case '.docx':
-                const result = await mammoth.extractRawText({ buffer });
-                return result.value;
+                return (await extractDocxSections(context, input)).map(section => section.text).join('\n\n');
                 
             case '.xlsx': {
-                const workbook = new Excel.Workbook();
-                await workbook.xlsx.load(buffer);
-                let content = '';
-                workbook.worksheets.forEach(worksheet => {
-                    worksheet.eachRow((row) => {
-                        content += row.values.slice(1).join(' ') + '\n';
-                    });
-                });
-                return content;
+                const sheets = await extractExcelSheets(context, input, await getExcelOptions(DEFAULT_CHUNK_OPTIONS.maxTokens));
+                return sheets.map(sheet => sheet.text).join('\n\n');
             }
 
             case '.pdf':
-                return (await pdfParse(buffer)).text;
+                return (await extractPdfPages(context, await readInput(input)))[0].text;
+
+            case '.pptx':
+                return (await extractPptxSlides(context, input)).map(slide => slide.text).join('\n\n');
+
+            case '.csv':
+                return decodeCsvBuffer(await readInput(input)).text;
 
             case '.txt':
-                return buffer.toString('utf8');
+                return (await readInput(input)).toString('utf8');
+
+            case '.eml':
+            case '.msg': {
+                const sections = await extractEmailSections(context, fileExtension, await readInput(input), getEmailOptions(context));
+                return sections.map(section => section.text).join('\n\n');
+            }
 
             default:
                 throw new Error(`Unsupported file format: ${fileExtension}`);
@@ -155,86 +278,210 @@ async function extractTextContent(context, fileExtension, buffer) {
 }
 
 /**
- * Main file processing function
+ * Extracts content as sections that carry location metadata. Formats without
+ * a natural structure yield a single section.
+ * @param {Object} context - Azure Functions context
+ * @param {string} fileExtension - File extension
+ * @param {Buffer|string} input - File content buffer or path of a downloaded file; Office
+ *        formats read the file from disk, other formats load it into memory
+ * @param {Object} [chunkOptions] - Chunking options; row-based formats chunk during extraction
+ * @returns {Promise<Array<{text: string, metadata: Object}>>} Extracted sections
+ */
+async function extractContentSections(context, fileExtension, input, chunkOptions = DEFAULT_CHUNK_OPTIONS) {
+    switch (fileExtension.toLowerCase()) {
+        case '.docx':
+            return extractDocxSections(context, input);
+
+        case '.pptx':
+            return extractPptxSlides(context, input);
+
+        case '.pdf':
+            return extractPdfPages(context, await readInput(input));
+
+        case '.csv':
+            return extractCsvRows(context, await readInput(input), chunkOptions.maxTokens);
+
+        case '.xlsx':
+            return extractExcelSheets(context, input, await getExcelOptions(chunkOptions.maxTokens));
+
+        case '.eml':
+        case '.msg':
+            return extractEmailSections(context, fileExtension, await readInput(input), getEmailOptions(context));
+
+        default:
+            return [{
+                text: await extractTextContent(context, fileExtension, input),
+                metadata: {}
+            }];
+    }
+}
+
+/**
+ * Whether the indexed version of a file is its current version: same content
+ * tag and same last modified time
+ * @param {Object|null} indexed - Indexed file state (see getIndexedFileState)
+ * @param {Object} metadata - driveItem metadata
+ * @returns {boolean}
+ */
+function isIndexedVersion(indexed, metadata) {
+    const contentTag = metadata.cTag || metadata.eTag;
+    if (!indexed || !contentTag || !indexed.contentTag || !indexed.lastModified) {
+        return false;
+    }
+    return indexed.contentTag === contentTag &&
+        new Date(indexed.lastModified).getTime() === new Date(metadata.lastModifiedDateTime).getTime();
+}
+
+/**
+ * Main file processing function. Files whose indexed version is current are
+ * skipped without downloading them, unless force is set; only their location
+ * and permissions are brought up to date.
  * @param {Object} context - Azure Functions context
- * @param {string} fileUrl - URL of the file to process
+ * @param {string|Object} fileRef - File URL, sharing link or OneDrive URL, or an object
+ *        with fileUrl and/or a driveId/itemId pair and an optional force flag
  * @returns {Promise<string>} Processing result message
  */
-async function processSharePointFile(context, fileUrl) {
+async function processSharePointFile(context, fileRef) {
+    const { fileUrl, driveId, itemId, force = false } = typeof fileRef === 'string' ? { fileUrl: fileRef } : fileRef;
+
     try {
         // If no context is provided, create a minimal context for logging
         const loggingContext = context || { 
             log: (msg) => console.log(msg) 
         }; 
 
-        logMessage(loggingContext, "Starting file processing", { fileUrl });
+        logMessage(loggingContext, "Starting file processing", { fileUrl, driveId, itemId, force });
 
         // Initialize graph client using the updated service
         const graphClient = await initializeGraphClient();
 
-        // Parse URL components
-        const url = new URL(fileUrl);
-        const tenantName = url.hostname.split('.')[0];
-        const sitePath = url.pathname.split('/sites/')[1].split('/')[0];
-        const filePath = decodeURIComponent(url.pathname.split('/Shared%20Documents/')[1].split('?')[0]);
+        // Resolve the drive and item (by ID, sharing link or path)
+        const location = await resolveFileReference(loggingContext, graphClient, { fileUrl, driveId, itemId });
+        logMessage(loggingContext, "Resolved file location", location);
+
+        // Get file metadata
+        const metadata = location.itemId ?
+            await getFileById(loggingContext, graphClient, location.driveId, location.itemId) :
+            await getFileMetadata(
+                loggingContext, 
+                graphClient, 
+                location.siteId, 
+                location.driveId, 
+                location.itemPath
+            );
+
+        // Index under the canonical URL rather than a sharing link
+        const indexedUrl = metadata.webUrl || fileUrl;
+
+        // Stored on every chunk so search results can be trimmed to what the caller may read
+        const fileInfo = {
+            ...metadata,
+            allowedPrincipals: await getFilePermissions(
+                loggingContext,
+                graphClient,
+                metadata.parentReference?.driveId || location.driveId,
+                metadata.id
+            )
+        };
 
-        logMessage(loggingContext, "URL Components", { 
-            tenantName, 
-            sitePath, 
-            filePath 
-        });
+        // Initialize search client
+        const searchClient = await initializeSearchClient();
 
-        // Get site information
-        const site = await getSiteInfo(loggingContext, graphClient, tenantName, sitePath);
-        logMessage(loggingContext, "Retrieved site info", { siteId: site.id });
-
-        // Get drive information (document library)
-        const drive = await getDriveInfo(loggingContext, graphClient, site.id);
-        logMessage(loggingContext, "Retrieved drive info", { driveId: drive.id });
-
-        // Get file metadata and content
-        const { metadata, content } = await getFileMetadata(
-            loggingContext, 
-            graphClient, 
-            site.id, 
-            drive.id, 
-            filePath
-        );
+        // Skip files that have not changed since they were indexed
+        if (!force) {
+            const indexed = await getIndexedFileState(loggingContext, searchClient, metadata.id);
+            if (isIndexedVersion(indexed, metadata)) {
+                // A parent folder move changes the URL but not the item itself
+                if (indexed.fileUrl !== indexedUrl || indexed.filename !== metadata.name) {
+                    await updateDocumentLocation(loggingContext, searchClient, metadata.id, {
+                        fileUrl: indexedUrl,
+                        name: metadata.name
+                    });
+                }
+
+                // Sharing changes are reported as changes to the file but leave its content alone
+                if (!samePrincipals(indexed.allowedPrincipals, fileInfo.allowedPrincipals)) {
+                    await updateDocumentPermissions(loggingContext, searchClient, metadata.id, fileInfo.allowedPrincipals);
+                }
+
+                logMessage(loggingContext, "File unchanged since last indexed; skipping", {
+                    fileUrl: indexedUrl,
+                    contentTag: indexed.contentTag,
+                    documentCount: indexed.documentCount
+                });
+                return `Skipped ${metadata.name}: unchanged since it was last indexed`;
+            }
+
+            // A fan-out job already running for this version picks up where it stopped
+            const requeuedParts = await resumeFanOut(loggingContext, metadata);
+            if (requeuedParts !== null) {
+                return `Resumed ${metadata.name}: ${requeuedParts} parts queued again`;
+            }
+        }
+
+        // Download to a temporary file rather than memory; files over the size limit are skipped
+        let download;
+        try {
+            download = await downloadFile(loggingContext, metadata, { maxBytes: await getMaxFileBytes() });
+        } catch (error) {
+            if (error.code !== FILE_TOO_LARGE_CODE) {
+                throw error;
+            }
+            logMessage(loggingContext, "File too large; skipping", {
+                fileUrl: indexedUrl,
+                fileSize: error.size,
+                maxBytes: error.maxBytes
+            });
+            return `Skipped ${metadata.name}: file too large (${error.size} bytes, limit ${error.maxBytes} bytes)`;
+        }
         logMessage(loggingContext, "Retrieved file", { 
             fileName: metadata.name,
-            fileSize: content.length 
+            fileSize: download.size 
         });
 
         // Extract text content based on file type
         const fileExtension = path.extname(metadata.name).toLowerCase();
-        const textContent = await extractTextContent(loggingContext, fileExtension, content);
+        const chunkOptions = await getChunkingOptions(fileExtension);
+        let extracted;
+        try {
+            extracted = await extractContentSections(loggingContext, fileExtension, download.filePath, chunkOptions);
+        } finally {
+            await deleteDownloadedFile(download.filePath);
+        }
         logMessage(loggingContext, "Extracted text content", { 
-            contentLength: textContent.length 
+            sectionCount: extracted.length,
+            contentLength: extracted.reduce((acc, section) => acc + section.text.length, 0)
         });
 
+        // Strip running headers, footers and boilerplate before chunking
+        const sections = normalizeSections(loggingContext, fileExtension, extracted, await getNormalizationOptions());
+
         // Split content into chunks
-        const chunks = chunkContent(loggingContext, textContent);
+        const chunks = chunkSections(loggingContext, sections, chunkOptions);
         logMessage(loggingContext, "Content chunked", { 
             numberOfChunks: chunks.length 
         });
 
-        // Initialize search client
-        const searchClient = await initializeSearchClient();
-
-        // Delete any existing documents for this file
-        await deleteExistingDocuments(loggingContext, searchClient, fileUrl);
+        // Large files are embedded and uploaded in parts by separate queue messages
+        const fanOutOptions = await getFanOutOptions();
+        if (chunks.length > fanOutOptions.chunkThreshold) {
+            const partCount = await startFanOut(loggingContext, chunks, fileInfo, indexedUrl, fanOutOptions);
+            return `Queued ${metadata.name}: ${chunks.length} chunks in ${partCount} parts`;
+        }
+        await supersedeFanOut(loggingContext, metadata.id);
 
-        // Process and index chunks
+        // Process and index chunks as a new generation; the previous generation,
+        // wherever the file was indexed from, is replaced only once it succeeds
         const documents = await processChunks(
             loggingContext,
             chunks,
-            metadata,
+            fileInfo,
             searchClient,
-            fileUrl
+            indexedUrl
         );
 
         logMessage(loggingContext, "File processing complete", {
-            fileUrl,
+            fileUrl: indexedUrl,
             chunksProcessed: documents.length
         });
 
@@ -242,7 +489,71 @@ async function processSharePointFile(context, fileUrl) {
     } catch (error) {
         logError(context || console, error, { 
             operation: 'processSharePointFile', 
-            fileUrl 
+            fileUrl,
+            driveId,
+            itemId
+        });
+        throw error;
+    }
+}
+
+/**
+ * Removes every indexed chunk of a file that was deleted from SharePoint
+ * @param {Object} context - Azure Functions context
+ * @param {Object} params - File identity
+ * @param {string} params.fileId - Stable driveItem ID of the deleted file
+ * @returns {Promise<string>} Processing result message
+ */
+async function removeSharePointFile(context, { fileId }) {
+    try {
+        if (!fileId) {
+            throw new Error("fileId is required to remove a file from the index");
+        }
+
+        await supersedeFanOut(context, fileId);
+
+        const searchClient = await initializeSearchClient();
+        const removed = await deleteDocumentsByFileId(context, searchClient, fileId);
+
+        return `Removed ${removed} chunks for file ${fileId}`;
+    } catch (error) {
+        logError(context || console, error, {
+            operation: 'removeSharePointFile',
+            fileId
+        });
+        throw error;
+    }
+}
+
+/**
+ * Points the indexed chunks of a moved or renamed file at its new location
+ * without re-embedding the content
+ * @param {Object} context - Azure Functions context
+ * @param {Object} params - File identity and new location
+ * @param {string} params.fileId - Stable driveItem ID of the file
+ * @param {string} params.fileUrl - New file URL
+ * @param {string} [params.name] - New file name; derived from fileUrl when omitted
+ * @returns {Promise<string>} Processing result message
+ */
+async function moveSharePointFile(context, { fileId, fileUrl, name }) {
+    try {
+        if (!fileId || !fileUrl) {
+            throw new Error("fileId and fileUrl are required to move a file in the index");
+        }
+
+        const fileName = name || decodeURIComponent(new URL(fileUrl).pathname.split('/').pop());
+        const searchClient = await initializeSearchClient();
+        const updated = await updateDocumentLocation(context, searchClient, fileId, {
+            fileUrl,
+            name: fileName
+        });
+
+        return `Moved ${updated} chunks for file ${fileId} to ${fileUrl}`;
+    } catch (error) {
+        logError(context || console, error, {
+            operation: 'moveSharePointFile',
+            fileId,
+            fileUrl
         });
         throw error;
     }
@@ -250,7 +561,12 @@ async function processSharePointFile(context, fileUrl) {
 
 module.exports = {
     processSharePointFile,
+    removeSharePointFile,
+    moveSharePointFile,
+    getChunkingOptions,
     chunkContent,
+    chunkSections,
     extractTextContent,
-    MAX_CHUNK_SIZE
+    extractContentSections,
+    SUPPORTED_FILE_EXTENSIONS
 };
\ No newline at end of file
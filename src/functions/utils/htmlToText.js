@@ -0,0 +1,143 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/htmlToText.js
+// Purpose: Converts HTML fragments (page web parts, email bodies, DOCX) to plain
+//          text, with data tables as Markdown tables.
+
+const { toMarkdownTable } = require('./markdownTable');
+
+/**
+ * Named entities decoded besides numeric ones
+ * @constant {Object<string, string>}
+ */
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * Decodes HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1].toLowerCase() === 'x' ?
+                parseInt(entity.slice(2), 16) :
+                parseInt(entity.slice(1), 10);
+            // Out-of-range and surrogate code points are not characters; keep them as written
+            const isCharacter = codePoint <= 0x10FFFF && !(codePoint >= 0xD800 && codePoint <= 0xDFFF);
+            return isCharacter ? String.fromCodePoint(codePoint) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * A table containing no other table
+ * @constant {RegExp}
+ */
+const INNERMOST_TABLE_PATTERN = /<table[^>]*>(?:(?!<table)[\s\S])*?<\/table>/i;
+
+/**
+ * Marks where a converted table is put back after the rest is converted
+ * @constant {string}
+ */
+const TABLE_PLACEHOLDER = '\uE000';
+
+/**
+ * Reads the rows of a table that contains no nested table. Cells spanning
+ * several columns are followed by empty cells to keep columns aligned.
+ * @param {string} tableHtml - Table HTML
+ * @returns {Array<Array<string>>} Cell texts by row
+ */
+function readTableRows(tableHtml) {
+    const rows = [];
+    for (const [, rowHtml] of tableHtml.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+        const cells = [];
+        for (const [, attributes, cellHtml] of rowHtml.matchAll(/<t[dh]([^>]*)>([\s\S]*?)<\/t[dh]>/gi)) {
+            const colspan = parseInt(attributes.match(/colspan\s*=\s*["']?(\d+)/i)?.[1] || '1', 10);
+            cells.push(htmlToText(cellHtml).replace(/\s*\n\s*/g, ' '), ...Array(Math.max(colspan - 1, 0)).fill(''));
+        }
+        if (cells.some(Boolean)) {
+            rows.push(cells);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Replaces top-level data tables (two or more rows and columns) with
+ * placeholders and returns them as Markdown. Nested and layout tables are
+ * flattened to plain lines.
+ * @param {string} html - HTML
+ * @returns {{html: string, tables: Array<string>}}
+ */
+function extractTables(html) {
+    const tables = [];
+    let remaining = html;
+    let match;
+
+    while ((match = remaining.match(INNERMOST_TABLE_PATTERN))) {
+        const before = remaining.slice(0, match.index);
+        const depth = (before.match(/<table/gi) || []).length - (before.match(/<\/table>/gi) || []).length;
+        const rows = readTableRows(match[0]);
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+        let replacement;
+        if (depth === 0 && rows.length >= 2 && columnCount >= 2) {
+            replacement = `\n${TABLE_PLACEHOLDER}${tables.length}${TABLE_PLACEHOLDER}\n`;
+            tables.push(toMarkdownTable(rows));
+        } else {
+            // Cell text is already decoded; escape it again so it survives tag stripping
+            const lines = rows.map(row => row.filter(Boolean).join(' ')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;'));
+            replacement = `<p>${lines.join('<br>')}</p>`;
+        }
+
+        remaining = before + replacement + remaining.slice(match.index + match[0].length);
+    }
+
+    return { html: remaining, tables };
+}
+
+/**
+ * Converts HTML to plain text, keeping paragraph and list structure as line
+ * breaks and data tables as Markdown tables
+ * @param {string} html - HTML fragment or document
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+    if (!html) {
+        return '';
+    }
+
+    const { html: withoutTables, tables } = extractTables(html);
+
+    const text = withoutTables
+        .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|blockquote|section|article)>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+        .replace(/[ \t\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(new RegExp(`${TABLE_PLACEHOLDER}(\\d+)${TABLE_PLACEHOLDER}`, 'g'), (match, index) => `\n${tables[index]}\n`)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    htmlToText
+};
@@ -0,0 +1,199 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/indexMigration.js
+// Purpose: Provisions the search index from the document model and migrates
+//          the indexed documents to a new index version behind an alias.
+
+const { logMessage, logError } = require('./loggingService');
+const configService = require('./configService');
+const { withRetry } = require('./retryPolicy');
+const { VECTOR_FIELD, buildIndexDefinition, toCurrentDocument } = require('../models/indexSchema');
+const { getEmbeddingDimensions } = require('../services/openAiService');
+const { initializeSearchClient, escapeODataString } = require('../services/searchService');
+const {
+    initializeSearchIndexClient,
+    createOrUpdateIndex,
+    listIndexNames,
+    getAliasIndex,
+    setAliasIndex
+} = require('../services/searchIndexService');
+
+/**
+ * Documents read from the source index per request (the service maximum)
+ * @constant {number}
+ */
+const COPY_PAGE_SIZE = 1000;
+
+/**
+ * Documents written to the new index per request
+ * @constant {number}
+ */
+const COPY_BATCH_SIZE = 100;
+
+/**
+ * Creates the index, or updates it to the current definition. When the name
+ * is an alias, the index it points at is updated.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} [options] - Provisioning options
+ * @param {string} [options.indexName] - Index or alias name; defaults to SEARCH_INDEX_NAME
+ * @returns {Promise<string>} Name of the index created or updated
+ */
+async function provisionIndex(context, { indexName } = {}) {
+    try {
+        const name = indexName || await configService.getSetting('SEARCH_INDEX_NAME');
+        const targetIndex = await getAliasIndex(context, name) || name;
+        const dimensions = await getEmbeddingDimensions(context);
+
+        const indexClient = await initializeSearchIndexClient();
+        await createOrUpdateIndex(context, indexClient, buildIndexDefinition(targetIndex, { dimensions }));
+
+        logMessage(context, "Search index provisioned", { indexName: targetIndex, dimensions });
+        return targetIndex;
+    } catch (error) {
+        logError(context, error, { operation: 'provisionIndex', indexName });
+        throw new Error(`Failed to provision index: ${error.message}`);
+    }
+}
+
+/**
+ * Name of the next version of an alias's index: <alias>-v<n>
+ * @param {Array<string>} indexNames - Existing index names
+ * @param {string} aliasName - Alias name
+ * @returns {string} Index name
+ */
+function getNextIndexVersion(indexNames, aliasName) {
+    const prefix = `${aliasName}-v`;
+    const versions = indexNames
+        .filter(name => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)))
+        .map(name => parseInt(name.slice(prefix.length), 10));
+
+    return `${prefix}${versions.length > 0 ? Math.max(...versions) + 1 : 1}`;
+}
+
+/**
+ * Reads the next page of documents in docId order
+ * @param {Object} context - Azure Functions context
+ * @param {SearchClient} sourceClient - Client of the source index
+ * @param {string|null} afterDocId - Last docId of the previous page
+ * @returns {Promise<Array<Object>>} Documents with every retrievable field
+ */
+function readDocumentPage(context, sourceClient, afterDocId) {
+    return withRetry(context, async () => {
+        const results = await sourceClient.search('*', {
+            filter: afterDocId === null ? undefined : `docId gt '${escapeODataString(afterDocId)}'`,
+            orderBy: ['docId asc'],
+            top: COPY_PAGE_SIZE
+        });
+
+        const documents = [];
+        for await (const result of results.results) {
+            documents.push(result.document);
+        }
+        return documents;
+    }, { operation: 'readDocumentPage', service: 'search' });
+}
+
+/**
+ * Copies every document, embeddings included, from one index to another,
+ * renaming legacy fields on the way. Pages by docId rather than skip, which
+ * the service caps at 100,000 documents, so docId must be sortable in the source.
+ * @param {Object} context - Azure Functions context
+ * @param {string} sourceIndex - Index to copy from
+ * @param {string} targetIndex - Index to copy to
+ * @returns {Promise<number>} Number of documents copied
+ */
+async function copyDocuments(context, sourceIndex, targetIndex) {
+    const sourceClient = await initializeSearchClient(sourceIndex);
+    const targetClient = await initializeSearchClient(targetIndex);
+
+    let copied = 0;
+    let afterDocId = null;
+    for (;;) {
+        const page = await readDocumentPage(context, sourceClient, afterDocId);
+        if (page.length === 0) {
+            break;
+        }
+        if (!Array.isArray(page[0][VECTOR_FIELD])) {
+            throw new Error(`${sourceIndex} does not return ${VECTOR_FIELD}; make it retrievable before migrating`);
+        }
+
+        const documents = page.map(toCurrentDocument);
+        for (let i = 0; i < documents.length; i += COPY_BATCH_SIZE) {
+            const batch = documents.slice(i, i + COPY_BATCH_SIZE);
+            const result = await withRetry(context, () => targetClient.uploadDocuments(batch),
+                { operation: 'copyDocuments', service: 'search' });
+
+            const failedDocs = result.results.filter(r => !r.succeeded);
+            if (failedDocs.length > 0) {
+                throw new Error(`Failed to copy ${failedDocs.length} documents, first ${failedDocs[0].key}: ${failedDocs[0].errorMessage}`);
+            }
+        }
+
+        copied += documents.length;
+        afterDocId = page[page.length - 1].docId;
+        logMessage(context, "Documents copied", { sourceIndex, targetIndex, copied });
+    }
+
+    return copied;
+}
+
+/**
+ * Migrates the index behind an alias to a new version: creates <alias>-v<n>
+ * from the current definition, copies every document into it and then points
+ * the alias at it. The previous index is kept for rollback. Documents written
+ * to the previous index during the copy may be missed, so indexing should be
+ * paused while this runs.
+ *
+ * The first migration of an index created before aliases needs the name of
+ * that index as sourceIndex and a new alias name; SEARCH_INDEX_NAME is then
+ * changed to the alias.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} [options] - Migration options
+ * @param {string} [options.aliasName] - Alias to migrate; defaults to SEARCH_INDEX_NAME
+ * @param {string} [options.sourceIndex] - Index to copy from; defaults to the alias's current index
+ * @returns {Promise<{aliasName: string, sourceIndex: string, targetIndex: string, documentCount: number}>}
+ */
+async function migrateIndex(context, { aliasName, sourceIndex } = {}) {
+    try {
+        const alias = aliasName || await configService.getSetting('SEARCH_INDEX_NAME');
+        const indexClient = await initializeSearchIndexClient();
+        const indexNames = await listIndexNames(context, indexClient);
+
+        if (indexNames.includes(alias)) {
+            throw new Error(`${alias} is an index, not an alias; migrate it under a new alias name and point SEARCH_INDEX_NAME at the alias`);
+        }
+
+        const source = sourceIndex || await getAliasIndex(context, alias);
+        if (!source) {
+            throw new Error(`Alias ${alias} does not exist; name the index to migrate from`);
+        }
+        if (!indexNames.includes(source)) {
+            throw new Error(`Source index ${source} does not exist`);
+        }
+
+        const targetIndex = getNextIndexVersion(indexNames, alias);
+        const dimensions = await getEmbeddingDimensions(context);
+        await createOrUpdateIndex(context, indexClient, buildIndexDefinition(targetIndex, { dimensions }));
+
+        logMessage(context, "Index migration started", { aliasName: alias, sourceIndex: source, targetIndex });
+        const documentCount = await copyDocuments(context, source, targetIndex);
+
+        await setAliasIndex(context, alias, targetIndex);
+
+        logMessage(context, "Index migration complete", {
+            aliasName: alias,
+            sourceIndex: source,
+            targetIndex,
+            documentCount
+        });
+        return { aliasName: alias, sourceIndex: source, targetIndex, documentCount };
+    } catch (error) {
+        logError(context, error, { operation: 'migrateIndex', aliasName, sourceIndex });
+        throw new Error(`Index migration failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    provisionIndex,
+    migrateIndex
+};
@@ -80,7 +80,10 @@ function logMessage(context, message, obj = null) {
 function logError(context, error, extraProperties = {}) {
     initializeLogging();
     
-    context.log.error?.(error) ?? context.log(`Error: ${error.message}`);
+    // If context is null/undefined, use console
+    const logger = context || console;
+    
+    logger.log.error?.(error) ?? logger.log(`Error: ${error.message}`);
     appInsightsClient.trackException({ 
         exception: error,
         properties: {
@@ -0,0 +1,120 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/markdownTable.js
+// Purpose: Formats extracted table rows as Markdown tables and recognizes
+//          Markdown tables in text so the chunker can keep them intact.
+
+/**
+ * A Markdown table header separator row: | --- | :---: |
+ * @constant {RegExp}
+ */
+const SEPARATOR_ROW_PATTERN = /^\|(\s*:?-+:?\s*\|)+\s*$/;
+
+/**
+ * A Markdown table row: | a | b |
+ * @constant {RegExp}
+ */
+const TABLE_ROW_PATTERN = /^\|.*\|\s*$/;
+
+/**
+ * Escapes a cell so it stays on one line and does not break the column layout
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function escapeCell(text) {
+    return String(text ?? '')
+        .replace(/\s*\n\s*/g, ' ')
+        // Backslashes before a pipe are doubled so they do not escape the pipe's own escape
+        .replace(/\\+(?=\|)/g, backslashes => backslashes + backslashes)
+        .replace(/\|/g, '\\|')
+        .trim();
+}
+
+/**
+ * Formats rows as a Markdown table, using the first row as the header.
+ * Short rows are padded so every row has the same number of columns.
+ * @param {Array<Array<string>>} rows - Cell texts, header row first
+ * @returns {string} Markdown table, or an empty string when there are no rows
+ */
+function toMarkdownTable(rows) {
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    if (columnCount === 0) {
+        return '';
+    }
+
+    const formatRow = row => {
+        const cells = Array.from({ length: columnCount }, (_, index) => escapeCell(row[index]));
+        return `| ${cells.join(' | ')} |`;
+    };
+
+    return [
+        formatRow(rows[0]),
+        `|${' --- |'.repeat(columnCount)}`,
+        ...rows.slice(1).map(formatRow)
+    ].join('\n');
+}
+
+/**
+ * Splits text into prose blocks and Markdown table blocks. A table is a run of
+ * row lines whose second line is a header separator.
+ * @param {string} text - Text to split
+ * @returns {Array<{type: string, text: string}>} Blocks of type 'text' or 'table' in order
+ */
+function splitTableBlocks(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+    let prose = [];
+
+    const flushProse = () => {
+        if (prose.join('\n').trim()) {
+            blocks.push({ type: 'text', text: prose.join('\n') });
+        }
+        prose = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        if (TABLE_ROW_PATTERN.test(lines[i]) && SEPARATOR_ROW_PATTERN.test(lines[i + 1] || '')) {
+            let end = i + 2;
+            while (end < lines.length && TABLE_ROW_PATTERN.test(lines[end])) {
+                end++;
+            }
+            flushProse();
+            blocks.push({ type: 'table', text: lines.slice(i, end).join('\n') });
+            i = end - 1;
+        } else {
+            prose.push(lines[i]);
+        }
+    }
+    flushProse();
+
+    return blocks;
+}
+
+/**
+ * Whether a line is a Markdown table row
+ * @param {string} line - Line text
+ * @returns {boolean}
+ */
+function isTableRow(line) {
+    return TABLE_ROW_PATTERN.test(line);
+}
+
+/**
+ * Separates a Markdown table into its header (header row and separator) and data rows
+ * @param {string} text - Markdown table
+ * @returns {{header: string, rows: Array<string>}|null} Table parts, or null when text is not a table
+ */
+function parseTableText(text) {
+    const lines = text.trim().split('\n');
+    if (lines.length < 2 || !TABLE_ROW_PATTERN.test(lines[0]) || !SEPARATOR_ROW_PATTERN.test(lines[1])) {
+        return null;
+    }
+    return { header: lines.slice(0, 2).join('\n'), rows: lines.slice(2) };
+}
+
+module.exports = {
+    toMarkdownTable,
+    splitTableBlocks,
+    parseTableText,
+    isTableRow
+};
@@ -0,0 +1,234 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/pdfExtractor.js
+// Purpose: Extracts PDF text page by page and records where each page starts
+//          so chunks can be mapped back to page numbers. Tables are detected
+//          from text positions and emitted as Markdown.
+
+const pdfParse = require('pdf-parse');
+const { logMessage } = require('./loggingService');
+const { toMarkdownTable } = require('./markdownTable');
+
+/**
+ * Text placed between pages in the extracted text
+ * @constant {string}
+ */
+const PAGE_SEPARATOR = '\n\n';
+
+/**
+ * Horizontal gap, in multiples of the font size, that separates table cells
+ * on a line; word spacing is far smaller
+ * @constant {number}
+ */
+const CELL_GAP_EM = 1.5;
+
+/**
+ * Minimum number of consecutive multi-cell lines (header included) that form a table
+ * @constant {number}
+ */
+const MIN_TABLE_ROWS = 3;
+
+/**
+ * Median cell length above which aligned lines are taken for multi-column
+ * prose rather than a table
+ * @constant {number}
+ */
+const MAX_MEDIAN_CELL_LENGTH = 40;
+
+/**
+ * Groups text items into lines, starting a new line whenever the vertical
+ * position changes (same approach as pdf-parse's default renderer)
+ * @param {Array<Object>} items - pdf.js text items in content order
+ * @returns {Array<Array<Object>>} Lines of items
+ */
+function groupLines(items) {
+    const lines = [];
+    let lastY;
+    for (const item of items) {
+        if (lastY === undefined || lastY !== item.transform[5]) {
+            lines.push([]);
+        }
+        lines[lines.length - 1].push(item);
+        lastY = item.transform[5];
+    }
+    return lines;
+}
+
+/**
+ * Splits a line into cells wherever the gap between items is wide
+ * @param {Array<Object>} items - Items of one line
+ * @returns {Array<{start: number, end: number, text: string}>} Non-empty cells, left to right
+ */
+function splitCells(items) {
+    const cells = [];
+    for (const item of items) {
+        const x = item.transform[4];
+        const fontSize = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+        const previous = cells[cells.length - 1];
+
+        if (previous && x - previous.end <= fontSize * CELL_GAP_EM) {
+            previous.text += item.str;
+            previous.end = Math.max(previous.end, x + item.width);
+        } else {
+            cells.push({ start: x, end: x + item.width, text: item.str });
+        }
+    }
+    return cells
+        .map(cell => ({ ...cell, text: cell.text.trim() }))
+        .filter(cell => cell.text);
+}
+
+/**
+ * Builds table rows from aligned lines. Columns are the horizontal ranges
+ * left after merging overlapping cells of every line.
+ * @param {Array<Array<{start: number, end: number, text: string}>>} lines - Cells of each line
+ * @returns {Array<Array<string>>|null} Rows, or null when the lines do not form a table
+ */
+function buildTable(lines) {
+    const allCells = lines.flat();
+    const lengths = allCells.map(cell => cell.text.length).sort((a, b) => a - b);
+    if (lengths[Math.floor(lengths.length / 2)] > MAX_MEDIAN_CELL_LENGTH) {
+        return null;
+    }
+
+    const columns = [];
+    for (const cell of [...allCells].sort((a, b) => a.start - b.start)) {
+        const last = columns[columns.length - 1];
+        if (last && cell.start <= last.end) {
+            last.end = Math.max(last.end, cell.end);
+        } else {
+            columns.push({ start: cell.start, end: cell.end });
+        }
+    }
+    if (columns.length < 2) {
+        return null;
+    }
+
+    return lines.map(cells => {
+        const row = columns.map(() => []);
+        for (const cell of cells) {
+            const middle = (cell.start + cell.end) / 2;
+            const index = columns.findIndex(column => middle <= column.end);
+            row[index < 0 ? columns.length - 1 : index].push(cell.text);
+        }
+        return row.map(parts => parts.join(' '));
+    });
+}
+
+/**
+ * Renders a page's text content line by line, replacing runs of aligned
+ * multi-cell lines with Markdown tables
+ * @param {Object} pageData - pdf.js page proxy
+ * @returns {Promise<string>} Page text
+ */
+async function renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+    });
+
+    const lines = groupLines(textContent.items).map(items => ({
+        text: items.map(item => item.str).join(''),
+        cells: splitCells(items)
+    }));
+
+    const output = [];
+    for (let i = 0; i < lines.length; i++) {
+        let end = i;
+        while (end < lines.length && lines[end].cells.length >= 2) {
+            end++;
+        }
+
+        const rows = end - i >= MIN_TABLE_ROWS ? buildTable(lines.slice(i, end).map(line => line.cells)) : null;
+        if (rows) {
+            output.push(toMarkdownTable(rows));
+            i = end - 1;
+        } else {
+            output.push(lines[i].text);
+        }
+    }
+    return output.join('\n');
+}
+
+/**
+ * Reads the text of every page of a PDF
+ * @param {Buffer} buffer - File content buffer
+ * @returns {Promise<Array<string>>} Page texts, index 0 being page 1
+ */
+async function readPdfPages(buffer) {
+    const pages = [];
+
+    // pdf.js misreads Node Buffers; a plain Uint8Array view over the same memory reads correctly
+    const data = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+    await pdfParse(data, {
+        pagerender: async pageData => {
+            const text = await renderPageText(pageData);
+            pages[pageData.pageNumber - 1] = text;
+            return text;
+        }
+    });
+
+    // Pages that failed to render are left empty rather than shifting later pages
+    return Array.from(pages, text => text || '');
+}
+
+/**
+ * Joins page texts and records the offset at which each page starts
+ * @param {Array<string>} pages - Page texts, index 0 being page 1
+ * @returns {{text: string, pageOffsets: Array<{pageNumber: number, offset: number}>}}
+ */
+function joinPages(pages) {
+    const pageOffsets = [];
+    let text = '';
+
+    pages.forEach((pageText, index) => {
+        if (index > 0) {
+            text += PAGE_SEPARATOR;
+        }
+        pageOffsets.push({ pageNumber: index + 1, offset: text.length });
+        text += pageText;
+    });
+
+    return { text, pageOffsets };
+}
+
+/**
+ * Splits joined text back into page texts
+ * @param {string} text - Text produced by joinPages
+ * @param {Array<{pageNumber: number, offset: number}>} pageOffsets - Start offset of each page
+ * @returns {Array<string>} Page texts in pageOffsets order
+ */
+function splitPages(text, pageOffsets) {
+    return pageOffsets.map((page, index) => {
+        const next = pageOffsets[index + 1];
+        return next ?
+            text.slice(page.offset, next.offset - PAGE_SEPARATOR.length) :
+            text.slice(page.offset);
+    });
+}
+
+/**
+ * Extracts a PDF as a single section whose pageOffsets let chunkSections
+ * give every chunk the pages it spans
+ * @param {Object} context - Azure Functions context
+ * @param {Buffer} buffer - File content buffer
+ * @returns {Promise<Array<{text: string, metadata: Object, pageOffsets: Array<Object>}>>} Sections
+ */
+async function extractPdfPages(context, buffer) {
+    const pages = await readPdfPages(buffer);
+    const { text, pageOffsets } = joinPages(pages);
+
+    logMessage(context, "PDF extraction complete", {
+        pageCount: pages.length,
+        emptyPages: pages.filter(page => !page.trim()).length
+    });
+
+    return [{ text, metadata: {}, pageOffsets }];
+}
+
+module.exports = {
+    extractPdfPages,
+    joinPages,
+    splitPages
+};
@@ -0,0 +1,157 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/pptxExtractor.js
+// Purpose: Extracts slide text and speaker notes from PowerPoint (.pptx) files
+//          in presentation order.
+
+const unzipper = require('unzipper');
+const xml2js = require('xml2js');
+const path = require('path');
+const { logMessage } = require('./loggingService');
+
+/**
+ * Relationship type of a slide's notes page
+ * @constant {string}
+ */
+const NOTES_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide';
+
+/**
+ * Reads and parses an XML entry of the package
+ * @param {Object} files - Package entries keyed by path
+ * @param {string} entryPath - Path inside the package
+ * @returns {Promise<Object|null>} Parsed XML, or null if the entry does not exist
+ */
+async function readXml(files, entryPath) {
+    const entry = files[entryPath];
+    if (!entry) {
+        return null;
+    }
+    const content = await entry.buffer();
+    return xml2js.parseStringPromise(content.toString('utf8'));
+}
+
+/**
+ * Reads a relationships part into a map of relationship ID to target path
+ * @param {Object} files - Package entries keyed by path
+ * @param {string} partPath - Path of the part whose relationships are read
+ * @returns {Promise<Object>} Map of rId to { target, type }
+ */
+async function readRelationships(files, partPath) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const rels = await readXml(files, relsPath);
+    const relationships = {};
+
+    for (const rel of rels?.Relationships?.Relationship || []) {
+        relationships[rel.$.Id] = {
+            target: path.posix.normalize(path.posix.join(path.posix.dirname(partPath), rel.$.Target)),
+            type: rel.$.Type
+        };
+    }
+    return relationships;
+}
+
+/**
+ * Returns the text of an a:t element (plain string or element with attributes)
+ * @param {string|Object} textNode - Parsed a:t node
+ * @returns {string}
+ */
+function nodeText(textNode) {
+    return typeof textNode === 'string' ? textNode : (textNode?._ || '');
+}
+
+/**
+ * Collects paragraph text from a parsed slide or notes part in document order.
+ * Field runs (slide numbers, dates) are skipped.
+ * @param {Object} node - Parsed XML node
+ * @param {Array<string>} [paragraphs=[]] - Accumulator
+ * @returns {Array<string>} Non-empty paragraphs
+ */
+function collectParagraphs(node, paragraphs = []) {
+    if (!node || typeof node !== 'object') {
+        return paragraphs;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key === '$') {
+            continue;
+        }
+
+        const children = Array.isArray(value) ? value : [value];
+
+        if (key === 'a:p') {
+            for (const paragraph of children) {
+                const text = (paragraph['a:r'] || [])
+                    .map(run => (run['a:t'] || []).map(nodeText).join(''))
+                    .join('')
+                    .trim();
+                if (text) {
+                    paragraphs.push(text);
+                }
+            }
+            continue;
+        }
+
+        children.forEach(child => collectParagraphs(child, paragraphs));
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Extracts slide text and speaker notes from a .pptx file
+ * @param {Object} context - Azure Functions context
+ * @param {Buffer|string} input - File content buffer, or the path of the file; entries
+ *        are then read from disk as needed instead of holding the whole file in memory
+ * @returns {Promise<Array<{text: string, metadata: {slideNumber: number}}>>} One section per slide
+ */
+async function extractPptxSlides(context, input) {
+    const directory = Buffer.isBuffer(input) ?
+        await unzipper.Open.buffer(input) :
+        await unzipper.Open.file(input);
+    const files = Object.fromEntries(directory.files.map(file => [file.path, file]));
+
+    const presentation = await readXml(files, 'ppt/presentation.xml');
+    if (!presentation) {
+        throw new Error("Invalid PowerPoint file: ppt/presentation.xml not found");
+    }
+
+    const presentationRels = await readRelationships(files, 'ppt/presentation.xml');
+    const slideIds = presentation['p:presentation']?.['p:sldIdLst']?.[0]?.['p:sldId'] || [];
+
+    const slides = [];
+    for (let i = 0; i < slideIds.length; i++) {
+        const slidePath = presentationRels[slideIds[i].$['r:id']]?.target;
+        if (!slidePath) {
+            continue;
+        }
+
+        const slideText = collectParagraphs(await readXml(files, slidePath));
+
+        const slideRels = await readRelationships(files, slidePath);
+        const notesRel = Object.values(slideRels).find(rel => rel.type === NOTES_RELATIONSHIP);
+        const notesText = notesRel ? collectParagraphs(await readXml(files, notesRel.target)) : [];
+
+        const parts = [`Slide ${i + 1}`, ...slideText];
+        if (notesText.length > 0) {
+            parts.push('Speaker notes:', ...notesText);
+        }
+
+        if (slideText.length > 0 || notesText.length > 0) {
+            slides.push({
+                text: parts.join('\n'),
+                metadata: { slideNumber: i + 1 }
+            });
+        }
+    }
+
+    logMessage(context, "PowerPoint extraction complete", {
+        slideCount: slideIds.length,
+        slidesWithText: slides.length
+    });
+
+    return slides;
+}
+
+module.exports = {
+    extractPptxSlides
+};
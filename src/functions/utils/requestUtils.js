@@ -0,0 +1,37 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/requestUtils.js
+// Purpose: Shared helpers for HTTP-triggered functions.
+
+const { TextDecoder } = require('util');
+
+/**
+ * Parses the request body from various possible formats
+ * @param {string|ReadableStream|Object} body - Raw request body
+ * @returns {Promise<Object>} Parsed body
+ */
+async function parseRequestBody(body) {
+    if (typeof body === 'string') {
+        return JSON.parse(body);
+    }
+    
+    if (body && typeof body.getReader === 'function') {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let result = '';
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            result += decoder.decode(value, { stream: true });
+        }
+        
+        return result ? JSON.parse(result) : null;
+    }
+    
+    return body;
+}
+
+module.exports = {
+    parseRequestBody
+};
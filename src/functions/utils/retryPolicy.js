@@ -0,0 +1,309 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/retryPolicy.js
+// Purpose: Shared retry policy for outbound calls (OpenAI, Graph, Search,
+//          Storage, Key Vault): jittered backoff that honors Retry-After,
+//          retryable/fatal error classification and per-service circuit breakers.
+
+const { logMessage } = require('./loggingService');
+
+/**
+ * HTTP status codes worth retrying
+ * @constant {Array<number>}
+ */
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying
+ * @constant {Array<string>}
+ */
+const RETRYABLE_ERROR_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'REQUEST_SEND_ERROR'
+];
+
+/**
+ * Error names of failed fetch calls. The Graph client reports them as a
+ * GraphError with statusCode -1 and the name in code.
+ * @constant {Array<string>}
+ */
+const NETWORK_ERROR_NAMES = ['FetchError', 'AbortError'];
+
+/**
+ * Retry defaults
+ * @constant {{maxRetries: number, baseDelayMs: number, maxDelayMs: number}}
+ */
+const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 60000
+};
+
+/**
+ * Circuit breaker defaults: open after this many consecutive transient
+ * failures and let a trial call through after the reset timeout
+ * @constant {{failureThreshold: number, resetTimeoutMs: number}}
+ */
+const DEFAULT_CIRCUIT_OPTIONS = {
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
+};
+
+/**
+ * Error code of the error thrown while a circuit is open
+ * @constant {string}
+ */
+const CIRCUIT_OPEN_CODE = 'CIRCUIT_OPEN';
+
+/**
+ * Stops calls to a failing service for a while instead of piling on retries
+ */
+class CircuitBreaker {
+    /**
+     * @param {string} name - Service name used in errors and logs
+     * @param {Object} [options] - See DEFAULT_CIRCUIT_OPTIONS
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULT_CIRCUIT_OPTIONS, ...options };
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a call may go through. Once the reset timeout has passed a
+     * single trial call is allowed (half-open).
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (this.openedAt === null) {
+            return true;
+        }
+        if (Date.now() - this.openedAt < this.options.resetTimeoutMs || this.trialInFlight) {
+            return false;
+        }
+        this.trialInFlight = true;
+        return true;
+    }
+
+    /**
+     * Records a call that reached the service; closes the circuit
+     */
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Records a throttled call. Throttling means the service is up but busy, so
+     * it neither opens nor closes the circuit; a throttled trial call only
+     * lets the next trial through.
+     */
+    recordThrottled() {
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Records a transient failure; opens the circuit at the threshold or when a trial call fails
+     */
+    recordFailure() {
+        this.failures++;
+        if (this.trialInFlight || this.failures >= this.options.failureThreshold) {
+            this.openedAt = Date.now();
+        }
+        this.trialInFlight = false;
+    }
+}
+
+const circuitBreakers = {};
+
+/**
+ * Get (and create if needed) the circuit breaker of a service
+ * @param {string} name - Service name
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name) {
+    if (!circuitBreakers[name]) {
+        circuitBreakers[name] = new CircuitBreaker(name);
+    }
+    return circuitBreakers[name];
+}
+
+/**
+ * Reads the HTTP status of an error from Graph, Azure SDK or axios
+ * @param {Error} error - Failed call error
+ * @returns {number|undefined}
+ */
+function getStatusCode(error) {
+    return error?.statusCode ?? error?.status ?? error?.response?.status;
+}
+
+/**
+ * Reads a response header from an error, whatever shape its headers have
+ * (fetch Headers, Azure HttpHeaders or a plain axios object)
+ * @param {Error} error - Failed call error
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined}
+ */
+function getResponseHeader(error, name) {
+    for (const headers of [error?.response?.headers, error?.headers]) {
+        if (!headers) {
+            continue;
+        }
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (value !== undefined && value !== null) {
+            return String(value);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Reads the delay the service asked for (retry-after-ms, x-ms-retry-after-ms
+ * or Retry-After in seconds or as an HTTP date)
+ * @param {Error} error - Failed call error
+ * @returns {number|null} Delay in milliseconds, or null when none was given
+ */
+function getRetryAfterMs(error) {
+    for (const name of ['retry-after-ms', 'x-ms-retry-after-ms']) {
+        const milliseconds = parseFloat(getResponseHeader(error, name));
+        if (Number.isFinite(milliseconds) && milliseconds >= 0) {
+            return milliseconds;
+        }
+    }
+
+    const retryAfter = getResponseHeader(error, 'retry-after');
+    if (retryAfter === undefined) {
+        return null;
+    }
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed call may succeed when repeated: throttling, server
+ * errors, timeouts and network failures. Other client errors are fatal.
+ * @param {Error} error - Failed call error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (!error || error.code === CIRCUIT_OPEN_CODE) {
+        return false;
+    }
+
+    // Only an answer from the service has a status; the Graph client uses -1 when there was none
+    const status = Number(getStatusCode(error));
+    if (status > 0) {
+        return RETRYABLE_STATUS_CODES.includes(status);
+    }
+
+    return RETRYABLE_ERROR_CODES.includes(error.code) ||
+        NETWORK_ERROR_NAMES.includes(error.name) ||
+        NETWORK_ERROR_NAMES.includes(error.code);
+}
+
+/**
+ * Whether a failed call was throttled: a 429 or any answer with Retry-After
+ * @param {Error} error - Failed call error
+ * @returns {boolean}
+ */
+function isThrottled(error) {
+    return Number(getStatusCode(error)) === 429 || getRetryAfterMs(error) !== null;
+}
+
+/**
+ * Delay before the next attempt: the service's Retry-After when given,
+ * otherwise exponential backoff with jitter
+ * @param {Error} error - Failed call error
+ * @param {number} attempt - Zero-based attempt that failed
+ * @param {Object} options - Retry options
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs }) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, maxDelayMs);
+    }
+
+    const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Runs an outbound call with retries and the service's circuit breaker
+ * @param {Object} context - Azure Functions context
+ * @param {function(): Promise<*>} call - Call to run; invoked again on every attempt
+ * @param {Object} options - Retry options
+ * @param {string} options.operation - Operation name for logs
+ * @param {string} options.service - Service name; calls to the same service share a circuit breaker
+ * @param {number} [options.maxRetries=4] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000] - Backoff base delay
+ * @param {number} [options.maxDelayMs=60000] - Longest single delay
+ * @returns {Promise<*>} Result of the call
+ * @throws {Error} The last error when the call is fatal or retries run out,
+ *         or an error with code CIRCUIT_OPEN while the service's circuit is open
+ */
+async function withRetry(context, call, options) {
+    const { operation, service, ...retryOptions } = options;
+    const settings = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+    const breaker = getCircuitBreaker(service);
+
+    for (let attempt = 0; ; attempt++) {
+        if (!breaker.allowRequest()) {
+            const circuitError = new Error(`${service} circuit is open after repeated failures; ${operation} not attempted`);
+            circuitError.code = CIRCUIT_OPEN_CODE;
+            throw circuitError;
+        }
+
+        try {
+            const result = await call();
+            breaker.recordSuccess();
+            return result;
+        } catch (error) {
+            if (!isRetryableError(error)) {
+                // The service answered; a fatal error says nothing about its health
+                breaker.recordSuccess();
+                throw error;
+            }
+
+            // 429s and Retry-After answers are paced by the delay below rather
+            // than counted as failures, so concurrent throttled calls cannot open the circuit
+            if (isThrottled(error)) {
+                breaker.recordThrottled();
+            } else {
+                breaker.recordFailure();
+            }
+            if (attempt >= settings.maxRetries) {
+                throw error;
+            }
+
+            const delay = getRetryDelay(error, attempt, settings);
+            logMessage(context, `Retrying ${operation} after ${delay}ms`, {
+                service,
+                attempt: attempt + 1,
+                statusCode: getStatusCode(error),
+                error: error.message
+            });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+    isRetryableError,
+    getRetryAfterMs,
+    CIRCUIT_OPEN_CODE
+};
@@ -0,0 +1,59 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/rowChunker.js
+// Purpose: Groups formatted table rows into chunks that repeat the header
+//          and never split a row. Shared by the CSV and Excel extractors.
+
+const { countTokens } = require('./chunkingService');
+
+/**
+ * Groups rows into pre-chunked sections
+ * @param {string} headerText - Header repeated at the start of every chunk
+ * @param {Array<{line: string, rowNumber: number}>} rows - Formatted rows with their source row number
+ * @param {number} maxTokens - Maximum size of each chunk in model tokens; a single
+ *        row larger than this becomes a chunk on its own
+ * @param {Object} [metadata={}] - Metadata shared by every chunk (e.g. sheet name)
+ * @returns {Array<{text: string, metadata: Object, chunked: boolean}>} Chunked sections
+ */
+function chunkRows(headerText, rows, maxTokens, metadata = {}) {
+    const headerTokens = countTokens(headerText);
+    const sections = [];
+    let current = null;
+
+    const flush = () => {
+        if (current && current.lines.length > 0) {
+            sections.push({
+                text: [headerText, ...current.lines].join('\n'),
+                metadata: { ...metadata, rowStart: current.rowStart, rowEnd: current.rowEnd },
+                chunked: true
+            });
+        }
+        current = null;
+    };
+
+    for (const { line, rowNumber } of rows) {
+        if (!line) {
+            continue;
+        }
+
+        // Counted per line plus one for the line break; close enough to the joined text
+        const lineTokens = countTokens(line) + 1;
+        if (current && headerTokens + current.tokens + lineTokens > maxTokens) {
+            flush();
+        }
+        if (!current) {
+            current = { lines: [], tokens: 0, rowStart: rowNumber, rowEnd: rowNumber };
+        }
+
+        current.lines.push(line);
+        current.tokens += lineTokens;
+        current.rowEnd = rowNumber;
+    }
+    flush();
+
+    return sections;
+}
+
+module.exports = {
+    chunkRows
+};
@@ -0,0 +1,293 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/searchQuery.js
+// Purpose: Answers search requests: validates the query and filters, embeds the
+//          query text and groups the matching chunks per file.
+
+const { logMessage } = require('./loggingService');
+const { CHUNK_METADATA_FIELDS, normalizeUrl } = require('../models/documentModel');
+const { generateEmbedding } = require('../services/openAiService');
+const { initializeGraphClient, getUserAccess } = require('../services/graphService');
+const { initializeSearchClient, vectorSearch, escapeODataString } = require('../services/searchService');
+
+/**
+ * Error code of the error thrown for an invalid search request
+ * @constant {string}
+ */
+const INVALID_SEARCH_REQUEST_CODE = 'INVALID_SEARCH_REQUEST';
+
+/**
+ * Paging limits, in files. The files of a page are grouped from at most
+ * (skip + top) * CHUNKS_PER_FILE chunks, so the limits keep that under 1000.
+ * @constant {{defaultTop: number, maxTop: number, maxSkip: number}}
+ */
+const PAGING_LIMITS = {
+    defaultTop: 10,
+    maxTop: 50,
+    maxSkip: 150
+};
+
+/**
+ * Chunks read per requested file, so files with several matching chunks
+ * still fill a page
+ * @constant {number}
+ */
+const CHUNKS_PER_FILE = 5;
+
+/**
+ * Longest query text accepted
+ * @constant {number}
+ */
+const MAX_QUERY_LENGTH = 1000;
+
+/**
+ * Fields read for every matching chunk
+ * @constant {Array<string>}
+ */
+const RESULT_FIELDS = [
+    'docId',
+    'fileId',
+    'docTitle',
+    'filename',
+    'filetype',
+    'fileUrl',
+    'lastmodified',
+    'description',
+    'chunkindex',
+    ...Object.keys(CHUNK_METADATA_FIELDS)
+];
+
+/**
+ * Creates the error thrown for an invalid search request
+ * @param {string} message - What is wrong with the request
+ * @returns {Error} Error with code INVALID_SEARCH_REQUEST
+ */
+function invalidRequest(message) {
+    const error = new Error(message);
+    error.code = INVALID_SEARCH_REQUEST_CODE;
+    return error;
+}
+
+/**
+ * Reads an optional whole number parameter
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name for errors
+ * @param {{defaultValue: number, min: number, max: number}} limits - Default and allowed range
+ * @returns {number}
+ */
+function parseInteger(value, name, { defaultValue, min, max }) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw invalidRequest(`${name} must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Reads an optional date parameter
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name for errors
+ * @returns {string|null} ISO date, or null when not given
+ */
+function parseDate(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw invalidRequest(`${name} must be a date`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Reads an optional list given as an array or a comma separated string
+ * @param {*} value - Raw value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validates a search request
+ * @param {Object} params - Request parameters
+ * @param {string} params.q - Query text
+ * @param {string|Array<string>} [params.fileType] - File extensions, e.g. "pdf,docx"
+ * @param {string} [params.site] - Site URL whose files are searched
+ * @param {string} [params.urlPrefix] - Folder or file URL; matches whole path segments
+ * @param {string} [params.modifiedFrom] - Earliest last modified date
+ * @param {string} [params.modifiedTo] - Latest last modified date
+ * @param {number|string} [params.top] - Files per page
+ * @param {number|string} [params.skip] - Files to skip
+ * @returns {{query: string, top: number, skip: number, filters: Object}} Search request
+ * @throws {Error} With code INVALID_SEARCH_REQUEST if a parameter is invalid
+ */
+function parseSearchRequest(params) {
+    const query = String(params.q ?? params.query ?? '').trim();
+    if (!query) {
+        throw invalidRequest('q is required');
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw invalidRequest(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const fileTypes = parseList(params.fileType).map(fileType => {
+        if (!/^\.?[a-z0-9]+$/i.test(fileType)) {
+            throw invalidRequest(`Invalid fileType: ${fileType}`);
+        }
+        return (fileType.startsWith('.') ? fileType : `.${fileType}`).toLowerCase();
+    });
+
+    const filters = {
+        fileTypes,
+        site: params.site || null,
+        urlPrefix: params.urlPrefix || null,
+        modifiedFrom: parseDate(params.modifiedFrom, 'modifiedFrom'),
+        modifiedTo: parseDate(params.modifiedTo, 'modifiedTo')
+    };
+    if (filters.modifiedFrom && filters.modifiedTo && filters.modifiedFrom > filters.modifiedTo) {
+        throw invalidRequest('modifiedFrom must not be after modifiedTo');
+    }
+
+    return {
+        query,
+        top: parseInteger(params.top, 'top', { defaultValue: PAGING_LIMITS.defaultTop, min: 1, max: PAGING_LIMITS.maxTop }),
+        skip: parseInteger(params.skip, 'skip', { defaultValue: 0, min: 0, max: PAGING_LIMITS.maxSkip }),
+        filters
+    };
+}
+
+/**
+ * Builds the OData filter for the request filters
+ * @param {Object} filters - Filters from parseSearchRequest
+ * @returns {string|null} Filter, or null when there is nothing to filter on
+ */
+function buildSearchFilter({ fileTypes, site, urlPrefix, modifiedFrom, modifiedTo }) {
+    const clauses = [];
+
+    if (fileTypes.length > 0) {
+        clauses.push(`search.in(filetype, '${fileTypes.map(escapeODataString).join(',')}', ',')`);
+    }
+    for (const prefix of [site, urlPrefix].filter(Boolean)) {
+        clauses.push(`urlPrefixes/any(p: p eq '${escapeODataString(normalizeUrl(prefix))}')`);
+    }
+    if (modifiedFrom) {
+        clauses.push(`lastmodified ge ${modifiedFrom}`);
+    }
+    if (modifiedTo) {
+        clauses.push(`lastmodified le ${modifiedTo}`);
+    }
+
+    return clauses.length > 0 ? clauses.join(' and ') : null;
+}
+
+/**
+ * Groups matching chunks per file, in the order of each file's best chunk
+ * @param {Array<Object>} documents - Matching chunks, best first
+ * @returns {Array<Object>} One result per file with its best chunk
+ */
+function groupResultsByFile(documents) {
+    const files = new Map();
+
+    for (const document of documents) {
+        const file = files.get(document.fileId);
+        if (file) {
+            file.matchingChunks++;
+            continue;
+        }
+
+        const location = {};
+        for (const field of Object.keys(CHUNK_METADATA_FIELDS)) {
+            if (document[field] !== undefined && document[field] !== null) {
+                location[field] = document[field];
+            }
+        }
+
+        files.set(document.fileId, {
+            fileId: document.fileId,
+            title: document.docTitle,
+            filename: document.filename,
+            filetype: document.filetype,
+            fileUrl: document.fileUrl,
+            lastModified: document.lastmodified,
+            score: document['@search.score'],
+            matchingChunks: 1,
+            bestChunk: {
+                docId: document.docId,
+                chunkIndex: document.chunkindex,
+                text: document.description,
+                highlights: document['@search.highlights']?.description || [],
+                location
+            }
+        });
+    }
+
+    return [...files.values()];
+}
+
+/**
+ * Reads the identity search results are trimmed to
+ * @param {Object} context - Azure Functions context
+ * @param {string} userId - Entra ID object ID of the caller
+ * @returns {Promise<{userId: string, groupIds: Array<string>, external: boolean}>} Caller identity
+ */
+async function getCallerIdentity(context, userId) {
+    const graphClient = await initializeGraphClient();
+    return { userId, ...await getUserAccess(context, graphClient, userId) };
+}
+
+/**
+ * Searches the files a caller may read: the query text is embedded and
+ * matched against the chunk vectors and text, and the chunks are grouped per file
+ * @param {Object} context - Azure Functions context
+ * @param {Object} identity - Caller identity (see getCallerIdentity)
+ * @param {Object} request - Search request from parseSearchRequest
+ * @returns {Promise<{query: string, top: number, skip: number, hasMore: boolean, results: Array<Object>}>}
+ *          Page of files, best match first
+ */
+async function searchFiles(context, identity, { query, top, skip, filters }) {
+    const vector = await generateEmbedding(context, query);
+    const searchClient = await initializeSearchClient();
+
+    const documents = await vectorSearch(context, searchClient, vector, identity, {
+        top: (skip + top) * CHUNKS_PER_FILE,
+        filter: buildSearchFilter(filters),
+        select: RESULT_FIELDS,
+        searchText: query
+    });
+
+    const files = groupResultsByFile(documents);
+    const results = files.slice(skip, skip + top);
+
+    logMessage(context, "Search complete", {
+        chunkCount: documents.length,
+        fileCount: files.length,
+        returned: results.length,
+        top,
+        skip
+    });
+
+    return {
+        query,
+        top,
+        skip,
+        hasMore: files.length > skip + top,
+        results
+    };
+}
+
+module.exports = {
+    parseSearchRequest,
+    buildSearchFilter,
+    groupResultsByFile,
+    getCallerIdentity,
+    searchFiles,
+    INVALID_SEARCH_REQUEST_CODE
+};
@@ -0,0 +1,232 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/sharePointUrlResolver.js
+// Purpose: Resolves SharePoint URLs (any site collection, subsite, library or folder
+//          layout), sharing links and driveItem IDs to the Graph drive and item they point to.
+
+const { logMessage, logError } = require('./loggingService');
+const { getSiteByPath, listDrives, getDriveInfo, getSharedDriveItem } = require('../services/graphService');
+
+/**
+ * Managed paths that are followed by a site collection name
+ * @constant {Array<string>}
+ */
+const MANAGED_PATHS = ['sites', 'teams', 'personal'];
+
+/**
+ * Maximum number of subsite levels probed below the site collection
+ * @constant {number}
+ */
+const MAX_SUBSITE_DEPTH = 5;
+
+/**
+ * Decodes a URL path segment, leaving malformed escapes untouched
+ * @param {string} segment - Encoded path segment
+ * @returns {string} Decoded segment
+ */
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * Splits a URL path into decoded, non-empty segments
+ * @param {string} pathname - URL path
+ * @returns {Array<string>} Decoded segments
+ */
+function toSegments(pathname) {
+    return pathname.split('/').filter(Boolean).map(decodeSegment);
+}
+
+/**
+ * Parses an absolute URL
+ * @param {string} rawUrl - SharePoint or OneDrive URL
+ * @returns {URL} Parsed URL
+ * @throws {Error} If the value is not an absolute URL
+ */
+function toUrl(rawUrl) {
+    try {
+        return new URL(rawUrl);
+    } catch {
+        throw new Error(`Invalid SharePoint URL: ${rawUrl}`);
+    }
+}
+
+/**
+ * Parses a SharePoint URL into its hostname, site collection and remaining path
+ * without calling Graph. Library view links (.../Forms/AllItems.aspx?id=...) are
+ * resolved to the path in their id parameter.
+ * @param {string} rawUrl - SharePoint URL
+ * @returns {{hostname: string, tenantName: string, siteSegments: Array<string>, pathSegments: Array<string>}}
+ */
+function parseSharePointUrl(rawUrl) {
+    const url = toUrl(rawUrl);
+
+    let segments = toSegments(url.pathname);
+
+    const idParam = url.searchParams.get('id');
+    if (idParam && segments.some(segment => segment.toLowerCase() === 'forms')) {
+        segments = idParam.split('/').filter(Boolean);
+    }
+
+    const hasManagedPath = segments.length >= 2 && MANAGED_PATHS.includes(segments[0].toLowerCase());
+    const siteSegments = hasManagedPath ? segments.slice(0, 2) : [];
+    const pathSegments = segments.slice(siteSegments.length);
+
+    return {
+        hostname: url.hostname,
+        tenantName: url.hostname.split('.')[0],
+        siteSegments,
+        pathSegments
+    };
+}
+
+/**
+ * Returns true for sharing links ("Copy link" URLs such as /:w:/s/site/EaBc...)
+ * and Office Online document links, which do not contain the file path
+ * @param {string} rawUrl - SharePoint or OneDrive URL
+ * @returns {boolean}
+ * @throws {Error} If the value is not an absolute URL
+ */
+function isSharingLink(rawUrl) {
+    const { pathname } = toUrl(rawUrl);
+    return /^\/:[a-z]+:\//i.test(pathname) ||
+        /\/_layouts\/15\/(doc|guestaccess)\.aspx$/i.test(pathname);
+}
+
+/**
+ * Finds the drive whose web URL is the longest prefix of the given path
+ * @param {Array<Object>} drives - Drives of a site
+ * @param {Array<string>} segments - Decoded segments of the full URL path
+ * @returns {{drive: Object, itemPath: string}|null} Matching drive and the path inside it
+ */
+function matchDrive(drives, segments) {
+    let best = null;
+
+    for (const drive of drives) {
+        if (!drive.webUrl) {
+            continue;
+        }
+
+        const driveSegments = toSegments(new URL(drive.webUrl).pathname);
+        const isPrefix = driveSegments.length <= segments.length &&
+            driveSegments.every((segment, i) => segment.toLowerCase() === segments[i].toLowerCase());
+
+        if (isPrefix && (!best || driveSegments.length > best.depth)) {
+            best = {
+                drive,
+                depth: driveSegments.length,
+                itemPath: segments.slice(driveSegments.length).join('/')
+            };
+        }
+    }
+
+    return best && { drive: best.drive, itemPath: best.itemPath };
+}
+
+/**
+ * Resolves a SharePoint URL to its site, document library and item path. Site URLs
+ * without a library resolve to the site's default library with an empty item path.
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} rawUrl - SharePoint file, folder, library or site URL
+ * @returns {Promise<{site: Object, drive: Object, itemPath: string}>} Resolved location
+ */
+async function resolveSharePointUrl(context, graphClient, rawUrl) {
+    try {
+        const { hostname, siteSegments, pathSegments } = parseSharePointUrl(rawUrl);
+        const allSegments = [...siteSegments, ...pathSegments];
+
+        const currentSite = [...siteSegments];
+        const remaining = [...pathSegments];
+        let site = await getSiteByPath(context, graphClient, hostname, currentSite.join('/'));
+
+        for (let depth = 0; ; depth++) {
+            const drives = await listDrives(context, graphClient, site.id);
+            const match = matchDrive(drives, allSegments);
+
+            if (match) {
+                logMessage(context, "Resolved SharePoint URL", {
+                    siteId: site.id,
+                    driveId: match.drive.id,
+                    driveName: match.drive.name,
+                    itemPath: match.itemPath
+                });
+                return { site, drive: match.drive, itemPath: match.itemPath };
+            }
+
+            if (remaining.length === 0) {
+                const drive = await getDriveInfo(context, graphClient, site.id);
+                return { site, drive, itemPath: '' };
+            }
+
+            if (depth >= MAX_SUBSITE_DEPTH) {
+                break;
+            }
+
+            // No library of this site matches, so the next segment must be a subsite
+            currentSite.push(remaining.shift());
+            try {
+                site = await getSiteByPath(context, graphClient, hostname, currentSite.join('/'));
+            } catch (error) {
+                if (error.statusCode === 404) {
+                    break;
+                }
+                throw error;
+            }
+        }
+
+        throw new Error(`No document library found for URL: ${rawUrl}`);
+    } catch (error) {
+        logError(context, error, {
+            operation: 'resolveSharePointUrl',
+            url: rawUrl
+        });
+        throw error;
+    }
+}
+
+/**
+ * Resolves any supported file reference to the drive and item to index:
+ * a driveId/itemId pair (used as is), a sharing link (resolved through /shares)
+ * or a SharePoint / OneDrive for Business file URL (resolved by path)
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {Object} fileRef - File reference
+ * @param {string} [fileRef.fileUrl] - File, sharing or OneDrive URL
+ * @param {string} [fileRef.driveId] - Drive ID
+ * @param {string} [fileRef.itemId] - driveItem ID
+ * @returns {Promise<{driveId: string, itemId?: string, siteId?: string, itemPath?: string}>} Resolved file location
+ */
+async function resolveFileReference(context, graphClient, { fileUrl, driveId, itemId }) {
+    if (driveId && itemId) {
+        return { driveId, itemId };
+    }
+
+    if (!fileUrl) {
+        throw new Error("Either fileUrl or driveId and itemId must be provided");
+    }
+
+    if (isSharingLink(fileUrl)) {
+        const item = await getSharedDriveItem(context, graphClient, fileUrl);
+        return { driveId: item.parentReference.driveId, itemId: item.id };
+    }
+
+    const { site, drive, itemPath } = await resolveSharePointUrl(context, graphClient, fileUrl);
+    if (!itemPath) {
+        throw new Error(`URL does not point to a file: ${fileUrl}`);
+    }
+
+    return { siteId: site.id, driveId: drive.id, itemPath };
+}
+
+module.exports = {
+    parseSharePointUrl,
+    isSharingLink,
+    matchDrive,
+    resolveSharePointUrl,
+    resolveFileReference
+};
@@ -0,0 +1,203 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/sitePageProcessor.js
+// Purpose: Indexes SharePoint modern site pages and news posts through the
+//          Graph pages API using the same chunk and embed pipeline as files.
+
+const { logMessage, logError } = require('./loggingService');
+const { htmlToText } = require('./htmlToText');
+const { parseSharePointUrl, resolveFileReference } = require('./sharePointUrlResolver');
+const { getChunkingOptions, chunkSections } = require('./fileProcessors');
+const { processChunks } = require('./chunkIndexer');
+const {
+    initializeGraphClient,
+    getSiteByPath,
+    getFileMetadata,
+    getFilePermissions,
+    listSitePages,
+    getSitePage
+} = require('../services/graphService');
+const { initializeSearchClient, deleteDocumentsByFileId } = require('../services/searchService');
+const { enqueueMessages } = require('../services/queueService');
+const stateService = require('../services/stateService');
+
+/**
+ * Table and row used to remember when a site's pages were last crawled
+ * @constant {string}
+ */
+const PAGE_CRAWL_TABLE = 'DeltaTokens';
+const PAGE_CRAWL_ROW = 'sitePages';
+
+/**
+ * Collects every web part of a canvas layout in reading order
+ * @param {Object} canvasLayout - Page canvas layout
+ * @returns {Array<Object>} Web parts
+ */
+function collectWebParts(canvasLayout) {
+    const webParts = [];
+
+    for (const section of canvasLayout?.horizontalSections || []) {
+        for (const column of section.columns || []) {
+            webParts.push(...(column.webparts || []));
+        }
+    }
+    webParts.push(...(canvasLayout?.verticalSection?.webparts || []));
+
+    return webParts;
+}
+
+/**
+ * Converts the text web parts of a page to plain text, preceded by its title and description
+ * @param {Object} page - Site page with canvasLayout
+ * @returns {string} Page text
+ */
+function extractSitePageText(page) {
+    const parts = [page.title, page.description];
+
+    for (const webPart of collectWebParts(page.canvasLayout)) {
+        if (webPart['@odata.type'] === '#microsoft.graph.textWebPart') {
+            parts.push(htmlToText(webPart.innerHtml));
+        }
+    }
+
+    return parts.filter(part => part && part.trim()).join('\n\n');
+}
+
+/**
+ * Finds a page by its .aspx URL (https://tenant.sharepoint.com/sites/x/SitePages/Name.aspx)
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} pageUrl - Page URL
+ * @returns {Promise<{siteId: string, pageId: string}>} Page reference
+ */
+async function resolvePageUrl(context, graphClient, pageUrl) {
+    const { hostname, siteSegments, pathSegments } = parseSharePointUrl(pageUrl);
+    const libraryIndex = pathSegments.findIndex(segment => segment.toLowerCase() === 'sitepages');
+    if (libraryIndex < 0) {
+        throw new Error(`Not a site page URL: ${pageUrl}`);
+    }
+
+    const sitePath = [...siteSegments, ...pathSegments.slice(0, libraryIndex)].join('/');
+    const pageName = pathSegments.slice(libraryIndex + 1).join('/');
+
+    const site = await getSiteByPath(context, graphClient, hostname, sitePath);
+    const page = (await listSitePages(context, graphClient, site.id))
+        .find(candidate => candidate.name?.toLowerCase() === pageName.toLowerCase());
+
+    if (!page) {
+        throw new Error(`Site page ${pageName} not found`);
+    }
+
+    return { siteId: site.id, pageId: page.id };
+}
+
+/**
+ * Reads the principals allowed to read a page from its file in the Site Pages library
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {Object} page - Site page
+ * @returns {Promise<Array<string>>} Principal IDs (see permissionModel)
+ */
+async function getSitePagePrincipals(context, graphClient, page) {
+    const location = await resolveFileReference(context, graphClient, { fileUrl: page.webUrl });
+    const item = await getFileMetadata(context, graphClient, location.siteId, location.driveId, location.itemPath);
+    return getFilePermissions(context, graphClient, location.driveId, item.id);
+}
+
+/**
+ * Indexes a single site page
+ * @param {Object} context - Azure Functions context
+ * @param {Object} pageRef - Page reference: siteId and pageId, or pageUrl
+ * @returns {Promise<string>} Processing result message
+ */
+async function processSitePage(context, { siteId, pageId, pageUrl }) {
+    try {
+        logMessage(context, "Starting site page processing", { siteId, pageId, pageUrl });
+
+        const graphClient = await initializeGraphClient();
+        if (!siteId || !pageId) {
+            ({ siteId, pageId } = await resolvePageUrl(context, graphClient, pageUrl));
+        }
+
+        const page = await getSitePage(context, graphClient, siteId, pageId);
+        const text = extractSitePageText(page);
+
+        const chunks = chunkSections(context, [{
+            text,
+            metadata: {
+                pageTitle: page.title,
+                pageDescription: page.description,
+                promotionKind: page.promotionKind
+            }
+        }], await getChunkingOptions('.aspx'));
+
+        const searchClient = await initializeSearchClient();
+
+        if (chunks.length === 0) {
+            await deleteDocumentsByFileId(context, searchClient, page.id);
+            return `Site page ${page.name} has no text content`;
+        }
+
+        // Replaces the page's previous generation once every chunk is uploaded
+        const fileInfo = { ...page, allowedPrincipals: await getSitePagePrincipals(context, graphClient, page) };
+        const documents = await processChunks(context, chunks, fileInfo, searchClient, page.webUrl);
+
+        logMessage(context, "Site page processing complete", {
+            pageName: page.name,
+            chunksProcessed: documents.length
+        });
+
+        return `Successfully processed ${page.name} into ${documents.length} chunks`;
+    } catch (error) {
+        logError(context, error, {
+            operation: 'processSitePage',
+            siteId,
+            pageId,
+            pageUrl
+        });
+        throw error;
+    }
+}
+
+/**
+ * Enqueues the pages of a site that changed since the previous page crawl
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {string} siteId - SharePoint site ID
+ * @returns {Promise<Object>} Crawl summary
+ */
+async function crawlSitePages(context, graphClient, siteId) {
+    const storedState = await stateService.getState(PAGE_CRAWL_TABLE, siteId, PAGE_CRAWL_ROW);
+    const lastCrawl = storedState?.lastCrawl ? new Date(storedState.lastCrawl) : null;
+    const crawlStarted = new Date().toISOString();
+
+    const pages = await listSitePages(context, graphClient, siteId);
+    const changedPages = pages.filter(page =>
+        !lastCrawl || new Date(page.lastModifiedDateTime) > lastCrawl
+    );
+
+    await enqueueMessages(context, changedPages.map(page => ({
+        type: 'sitePage',
+        siteId,
+        pageId: page.id
+    })));
+
+    await stateService.setState(PAGE_CRAWL_TABLE, siteId, PAGE_CRAWL_ROW, {
+        lastCrawl: crawlStarted
+    });
+
+    const summary = {
+        siteId,
+        pageCount: pages.length,
+        pagesEnqueued: changedPages.length
+    };
+
+    logMessage(context, "Site page crawl complete", summary);
+    return summary;
+}
+
+module.exports = {
+    extractSitePageText,
+    processSitePage,
+    crawlSitePages
+};
@@ -0,0 +1,178 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/subscriptionManager.js
+// Purpose: Creates, renews and validates Microsoft Graph change-notification
+//          subscriptions for the crawled document libraries.
+
+const crypto = require('crypto');
+const { logMessage, logError } = require('./loggingService');
+const configService = require('./configService');
+const { resolveSiteDrive } = require('./driveCrawler');
+const { initializeGraphClient, createSubscription, renewSubscription } = require('../services/graphService');
+const stateService = require('../services/stateService');
+
+/**
+ * Table and partition used to persist subscriptions
+ * @constant {string}
+ */
+const SUBSCRIPTION_TABLE = 'GraphSubscriptions';
+const SUBSCRIPTION_PARTITION = 'subscription';
+
+/**
+ * Default subscription lifetime; driveItem subscriptions allow just under 30 days
+ * but shorter lifetimes keep stale subscriptions from lingering
+ * @constant {number}
+ */
+const DEFAULT_LIFETIME_MINUTES = 4230;
+
+/**
+ * Subscriptions expiring within this window are renewed
+ * @constant {number}
+ */
+const RENEWAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEquals(a, b) {
+    const bufferA = Buffer.from(String(a || ''));
+    const bufferB = Buffer.from(String(b || ''));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Creates a new subscription for a drive and stores it
+ * @param {Object} context - Azure Functions context
+ * @param {Client} graphClient - Initialized Graph client
+ * @param {Object} params - Subscription target
+ * @returns {Promise<Object>} Stored subscription state
+ */
+async function createDriveSubscription(context, graphClient, { siteId, driveId, notificationUrl, expirationDateTime }) {
+    const clientState = crypto.randomBytes(32).toString('hex');
+
+    const subscription = await createSubscription(context, graphClient, {
+        resource: `/drives/${driveId}/root`,
+        notificationUrl,
+        clientState,
+        expirationDateTime
+    });
+
+    const state = {
+        siteId,
+        driveId,
+        clientState,
+        expirationDateTime: subscription.expirationDateTime
+    };
+    await stateService.setState(SUBSCRIPTION_TABLE, SUBSCRIPTION_PARTITION, subscription.id, state);
+
+    return { subscriptionId: subscription.id, ...state };
+}
+
+/**
+ * Ensures every configured site has a live subscription, creating missing ones
+ * and renewing those close to expiry
+ * @param {Object} context - Azure Functions context
+ * @param {Array<string>} siteUrls - SharePoint site URLs to watch
+ * @returns {Promise<Object>} Summary of created and renewed subscriptions
+ */
+async function ensureSubscriptions(context, siteUrls) {
+    const notificationUrl = await configService.getSetting('WEBHOOK_NOTIFICATION_URL');
+    if (!notificationUrl) {
+        throw new Error("WEBHOOK_NOTIFICATION_URL is not configured");
+    }
+
+    const lifetimeMinutes = parseInt(
+        await configService.getOptionalSetting('SUBSCRIPTION_LIFETIME_MINUTES', DEFAULT_LIFETIME_MINUTES)
+    );
+    const expirationDateTime = new Date(Date.now() + lifetimeMinutes * 60 * 1000).toISOString();
+
+    const graphClient = await initializeGraphClient();
+    const existing = await stateService.listState(SUBSCRIPTION_TABLE, SUBSCRIPTION_PARTITION);
+    const summary = { created: 0, renewed: 0, unchanged: 0, failed: 0 };
+
+    for (const siteUrl of siteUrls) {
+        try {
+            const { site, drive } = await resolveSiteDrive(context, graphClient, siteUrl);
+            const current = existing.find(entry => entry.driveId === drive.id);
+
+            if (!current) {
+                await createDriveSubscription(context, graphClient, {
+                    siteId: site.id,
+                    driveId: drive.id,
+                    notificationUrl,
+                    expirationDateTime
+                });
+                summary.created++;
+                continue;
+            }
+
+            const expiresIn = new Date(current.expirationDateTime).getTime() - Date.now();
+            if (expiresIn > RENEWAL_WINDOW_MS) {
+                summary.unchanged++;
+                continue;
+            }
+
+            try {
+                const renewed = await renewSubscription(context, graphClient, current.rowKey, expirationDateTime);
+                await stateService.setState(SUBSCRIPTION_TABLE, SUBSCRIPTION_PARTITION, current.rowKey, {
+                    siteId: current.siteId,
+                    driveId: current.driveId,
+                    clientState: current.clientState,
+                    expirationDateTime: renewed.expirationDateTime
+                });
+                summary.renewed++;
+            } catch (error) {
+                // Expired subscriptions cannot be renewed and must be recreated
+                if (error.statusCode !== 404) {
+                    throw error;
+                }
+                await stateService.deleteState(SUBSCRIPTION_TABLE, SUBSCRIPTION_PARTITION, current.rowKey);
+                await createDriveSubscription(context, graphClient, {
+                    siteId: site.id,
+                    driveId: drive.id,
+                    notificationUrl,
+                    expirationDateTime
+                });
+                summary.created++;
+            }
+        } catch (error) {
+            summary.failed++;
+            logError(context, error, { operation: 'ensureSubscriptions', siteUrl });
+        }
+    }
+
+    logMessage(context, "Subscription maintenance complete", summary);
+    return summary;
+}
+
+/**
+ * Looks up the subscription a notification belongs to and verifies its clientState
+ * @param {Object} context - Azure Functions context
+ * @param {Object} notification - Graph change notification
+ * @returns {Promise<Object|null>} Stored subscription state, or null if the notification is not trusted
+ */
+async function validateNotification(context, notification) {
+    const subscription = await stateService.getState(
+        SUBSCRIPTION_TABLE,
+        SUBSCRIPTION_PARTITION,
+        notification.subscriptionId
+    );
+
+    if (!subscription || !safeEquals(subscription.clientState, notification.clientState)) {
+        logMessage(context, "Rejected notification with unknown subscription or clientState", {
+            subscriptionId: notification.subscriptionId
+        });
+        return null;
+    }
+
+    return subscription;
+}
+
+module.exports = {
+    ensureSubscriptions,
+    validateNotification,
+    SUBSCRIPTION_TABLE
+};
@@ -0,0 +1,233 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: utils/textNormalizer.js
+// Purpose: Cleans extracted sections before chunking: removes running headers,
+//          footers, page numbers and boilerplate, repairs hyphenated line
+//          breaks and collapses whitespace.
+
+const { logMessage } = require('./loggingService');
+const { joinPages, splitPages } = require('./pdfExtractor');
+const { isTableRow } = require('./markdownTable');
+
+/**
+ * Formats whose sections stand for pages (slides), so lines repeated on the
+ * edges of sections are treated like running headers and footers. Word
+ * heading sections are not pages: text they share is content.
+ * @constant {Array<string>}
+ */
+const SECTIONED_FORMATS = ['.pptx'];
+
+/**
+ * Non-empty lines at the top and bottom of a page that may be headers or footers
+ * @constant {number}
+ */
+const EDGE_LINES = 3;
+
+/**
+ * A line is boilerplate when it appears on at least this share of pages...
+ * @constant {number}
+ */
+const REPEAT_THRESHOLD = 0.5;
+
+/**
+ * ...and the document has at least this many pages
+ * @constant {number}
+ */
+const MIN_REPEAT_PAGES = 3;
+
+/**
+ * Labels written by the extractors themselves (see pptxExtractor); they repeat
+ * by design and are never treated as boilerplate
+ * @constant {Set<string>}
+ */
+const EXTRACTOR_LABELS = new Set(['speaker notes:']);
+
+/**
+ * Lines that are only a page number: "12", "- 12 -", "Page 12", "Page 12 of 40", "12/40"
+ * @constant {RegExp}
+ */
+const PAGE_NUMBER_PATTERN = /^[-–—\s]*(page\s*)?\d+(\s*(of|\/)\s*\d+)?[-–—\s]*$/i;
+
+/**
+ * Normalization rules and their defaults
+ * @constant {Object<string, *>}
+ */
+const DEFAULT_NORMALIZATION_OPTIONS = {
+    removeRepeatedLines: true,
+    removePageNumbers: true,
+    fixHyphenation: true,
+    collapseWhitespace: true,
+    boilerplatePatterns: []
+};
+
+/**
+ * Builds the key used to compare lines across pages. Digits are masked on
+ * page edges so "Report - Page 3" matches "Report - Page 4".
+ * @param {string} line - Line text
+ * @param {boolean} maskDigits - Replace digits with a placeholder
+ * @returns {string}
+ */
+function lineKey(line, maskDigits) {
+    const key = line.trim().replace(/\s+/g, ' ').toLowerCase();
+    return maskDigits ? key.replace(/\d+/g, '#') : key;
+}
+
+/**
+ * Returns the indexes of the lines a page contributes to repeat detection.
+ * Table rows are left out: a table header repeated on every page is not boilerplate.
+ * @param {Array<string>} lines - Page lines
+ * @param {boolean} edgesOnly - Only the first and last EDGE_LINES non-empty lines
+ * @returns {Set<number>} Line indexes
+ */
+function candidateLines(lines, edgesOnly) {
+    const nonEmpty = lines
+        .map((line, index) => (line.trim() && !isTableRow(line) ? index : -1))
+        .filter(index => index >= 0);
+
+    return new Set(edgesOnly && nonEmpty.length > EDGE_LINES * 2 ?
+        [...nonEmpty.slice(0, EDGE_LINES), ...nonEmpty.slice(-EDGE_LINES)] :
+        nonEmpty);
+}
+
+/**
+ * Finds the line keys that repeat on enough pages to be headers or footers
+ * @param {Array<{lines: Array<string>, candidates: Set<number>, edgesOnly: boolean}>} pages - Pages
+ * @returns {Set<string>} Repeated line keys
+ */
+function findRepeatedLines(pages) {
+    if (pages.length < MIN_REPEAT_PAGES) {
+        return new Set();
+    }
+
+    const pageCounts = new Map();
+    for (const page of pages) {
+        const keys = new Set([...page.candidates].map(index => lineKey(page.lines[index], page.edgesOnly)));
+        for (const key of keys) {
+            pageCounts.set(key, (pageCounts.get(key) || 0) + 1);
+        }
+    }
+
+    const minPages = Math.max(MIN_REPEAT_PAGES, Math.ceil(pages.length * REPEAT_THRESHOLD));
+    return new Set([...pageCounts]
+        .filter(([key, count]) => key && count >= minPages && !EXTRACTOR_LABELS.has(key))
+        .map(([key]) => key));
+}
+
+/**
+ * Cleans the text of a single page after line removal
+ * @param {string} text - Page text
+ * @param {Object} options - Normalization options
+ * @param {Object} stats - Counters updated in place
+ * @returns {string} Cleaned text
+ */
+function cleanText(text, options, stats) {
+    let cleaned = text;
+
+    if (options.fixHyphenation) {
+        // "manage-\nment" -> "management"; a lowercase continuation keeps real hyphens like "pre-\nApproved"
+        cleaned = cleaned.replace(/(\p{L})-[ \t]*\r?\n[ \t]*(\p{Ll})/gu, (match, before, after) => {
+            stats.hyphenations++;
+            return before + after;
+        });
+    }
+
+    if (options.collapseWhitespace) {
+        cleaned = cleaned
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \u00a0]{2,}/g, ' ')
+            .replace(/[ \t\u00a0]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    return cleaned;
+}
+
+/**
+ * Normalizes extracted sections. Pre-chunked sections (table rows) are left
+ * untouched; sections with pageOffsets keep offsets that match the new text.
+ * @param {Object} context - Azure Functions context
+ * @param {string} fileExtension - File extension
+ * @param {Array<{text: string, metadata: Object, chunked?: boolean, pageOffsets?: Array<Object>}>} sections - Extracted sections
+ * @param {Object} [options] - Rules to apply (see DEFAULT_NORMALIZATION_OPTIONS)
+ * @returns {Array<Object>} Normalized sections
+ */
+function normalizeSections(context, fileExtension, sections, options = DEFAULT_NORMALIZATION_OPTIONS) {
+    const rules = { ...DEFAULT_NORMALIZATION_OPTIONS, ...options };
+    const patterns = rules.boilerplatePatterns.map(pattern => new RegExp(pattern, 'i'));
+    const stats = { repeatedLines: 0, pageNumbers: 0, boilerplateLines: 0, hyphenations: 0 };
+    const sectionsArePages = SECTIONED_FORMATS.includes(fileExtension.toLowerCase());
+
+    // Split every section into pages; a section without page offsets is one page
+    const entries = sections.map(section => {
+        if (section.chunked || !section.text) {
+            return { section, pages: [] };
+        }
+        const edgesOnly = Boolean(section.pageOffsets?.length);
+        const texts = edgesOnly ? splitPages(section.text, section.pageOffsets) : [section.text];
+        const pages = texts.map(text => {
+            const lines = text.split('\n');
+            // Headers and footers sit on the edges of pages and slides
+            return { lines, edgesOnly, candidates: candidateLines(lines, edgesOnly || sectionsArePages) };
+        });
+        return { section, pages };
+    });
+
+    // Repeats are detected across the pages of each paged section, and across
+    // all sections of formats whose sections are pages
+    const repeated = new Set();
+    const addRepeats = pages => findRepeatedLines(pages).forEach(key => repeated.add(key));
+    if (rules.removeRepeatedLines) {
+        entries.filter(entry => entry.pages.length > 1).forEach(entry => addRepeats(entry.pages));
+        if (sectionsArePages) {
+            addRepeats(entries.filter(entry => entry.pages.length === 1).map(entry => entry.pages[0]));
+        }
+    }
+
+    const charsBefore = sections.reduce((acc, section) => acc + (section.text || '').length, 0);
+
+    const normalized = entries.map(({ section, pages }) => {
+        if (pages.length === 0) {
+            return section;
+        }
+
+        const texts = pages.map(page => {
+            const kept = page.lines.filter((line, index) => {
+                const isCandidate = page.candidates.has(index);
+                if (isCandidate && repeated.has(lineKey(line, page.edgesOnly))) {
+                    stats.repeatedLines++;
+                    return false;
+                }
+                if (rules.removePageNumbers && isCandidate && page.edgesOnly && PAGE_NUMBER_PATTERN.test(line.trim())) {
+                    stats.pageNumbers++;
+                    return false;
+                }
+                if (patterns.some(pattern => pattern.test(line))) {
+                    stats.boilerplateLines++;
+                    return false;
+                }
+                return true;
+            });
+            return cleanText(kept.join('\n'), rules, stats);
+        });
+
+        if (section.pageOffsets?.length) {
+            const { text, pageOffsets } = joinPages(texts);
+            return { ...section, text, pageOffsets };
+        }
+        return { ...section, text: texts[0] };
+    });
+
+    logMessage(context, "Text normalization complete", {
+        ...stats,
+        charsBefore,
+        charsAfter: normalized.reduce((acc, section) => acc + (section.text || '').length, 0)
+    });
+
+    return normalized;
+}
+
+module.exports = {
+    DEFAULT_NORMALIZATION_OPTIONS,
+    normalizeSections
+};
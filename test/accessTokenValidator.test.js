@@ -0,0 +1,153 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/accessTokenValidator.test.js
+// Purpose: Tests that the search endpoint accepts only signed, delegated access
+//          tokens of the tenant issued for the search API.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Services read these at require time, so they are replaced first
+const loggingService = require('../src/functions/utils/loggingService');
+loggingService.logMessage = () => {};
+loggingService.logError = () => {};
+
+const TENANT_ID = '9c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e5f';
+const AUDIENCE = 'api://zyptai-search';
+const USER_ID = '0A1B2C3D-4E5F-4A6B-8C7D-9E0F1A2B3C4D';
+const KEY_ID = 'test-key';
+
+const configService = require('../src/functions/utils/configService');
+const settings = {
+    SHAREPOINT_BOT_TENANT_ID: TENANT_ID,
+    SEARCH_API_AUDIENCE: `${AUDIENCE}, 11111111-2222-4333-8444-555555555555`
+};
+configService.getSetting = async name => settings[name];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+axios.get = async () => ({
+    data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig' }] }
+});
+
+const {
+    getBearerToken,
+    validateAccessToken,
+    INVALID_ACCESS_TOKEN_CODE
+} = require('../src/functions/utils/accessTokenValidator');
+
+/**
+ * Creates a signed access token
+ * @param {Object} [claims] - Claims replacing the defaults; undefined values are removed
+ * @param {Object} [header] - Header fields replacing the defaults
+ * @returns {string} Token
+ */
+function createToken(claims = {}, header = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        aud: AUDIENCE,
+        iss: `https://login.microsoftonline.com/${TENANT_ID}/v2.0`,
+        tid: TENANT_ID,
+        oid: USER_ID,
+        scp: 'Search.Read',
+        nbf: now - 60,
+        exp: now + 3600,
+        ...claims
+    };
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ typ: 'JWT', alg: 'RS256', kid: KEY_ID, ...header })}.${encode(payload)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
+    return `${signingInput}.${signature}`;
+}
+
+/**
+ * Asserts that a token is rejected as invalid
+ * @param {string} token - Token
+ * @param {RegExp} message - Expected error message
+ * @returns {Promise<void>}
+ */
+async function assertRejected(token, message) {
+    await assert.rejects(validateAccessToken(null, token), error => {
+        assert.equal(error.code, INVALID_ACCESS_TOKEN_CODE);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('getBearerToken', () => {
+    assert.equal(getBearerToken('Bearer abc.def.ghi'), 'abc.def.ghi');
+    assert.equal(getBearerToken('bearer abc'), 'abc');
+    assert.equal(getBearerToken('Basic dXNlcjpwYXNz'), null);
+    assert.equal(getBearerToken(null), null);
+});
+
+test('validateAccessToken', async (t) => {
+    await t.test('accepts a delegated token of the tenant', async () => {
+        const { userId, claims } = await validateAccessToken(null, createToken());
+        assert.equal(userId, USER_ID.toLowerCase());
+        assert.equal(claims.scp, 'Search.Read');
+    });
+
+    await t.test('accepts every configured audience and the v1 issuer', async () => {
+        await validateAccessToken(null, createToken({
+            aud: '11111111-2222-4333-8444-555555555555',
+            iss: `https://sts.windows.net/${TENANT_ID}/`
+        }));
+    });
+
+    await t.test('rejects another audience', async () => {
+        await assertRejected(createToken({ aud: 'https://graph.microsoft.com' }), /not issued for the search API/);
+    });
+
+    await t.test('rejects another tenant', async () => {
+        const otherTenant = 'aaaaaaaa-bbbb-4ccc-8ddd-eeeeeeeeeeee';
+        await assertRejected(createToken({ tid: otherTenant }), /not issued by the tenant/);
+        await assertRejected(createToken({
+            tid: otherTenant,
+            iss: `https://login.microsoftonline.com/${otherTenant}/v2.0`
+        }), /not issued by the tenant/);
+        await assertRejected(createToken({ iss: 'https://login.microsoftonline.com/common/v2.0' }), /not issued by the tenant/);
+    });
+
+    await t.test('rejects an expired token', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        await assertRejected(createToken({ exp: now - 600 }), /expired/);
+        await assertRejected(createToken({ exp: undefined }), /expired/);
+    });
+
+    await t.test('rejects a token that is not valid yet', async () => {
+        await assertRejected(createToken({ nbf: Math.floor(Date.now() / 1000) + 600 }), /not valid yet/);
+    });
+
+    await t.test('rejects app-only tokens', async () => {
+        await assertRejected(createToken({ scp: undefined, roles: ['Search.Read.All'] }), /signed-in user/);
+        await assertRejected(createToken({ oid: undefined }), /signed-in user/);
+    });
+
+    await t.test('rejects other algorithms', async () => {
+        const payload = createToken().split('.')[1];
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const hmac = `${encode({ alg: 'HS256', kid: KEY_ID })}.${payload}`;
+
+        await assertRejected(`${encode({ alg: 'none', kid: KEY_ID })}.${payload}.`, /Malformed access token/);
+        await assertRejected(`${encode({ alg: 'none', kid: KEY_ID })}.${payload}.x`, /Unsupported access token algorithm: none/);
+        await assertRejected(
+            `${hmac}.${crypto.createHmac('sha256', 'secret').update(hmac).digest('base64url')}`,
+            /Unsupported access token algorithm: HS256/
+        );
+    });
+
+    await t.test('rejects a forged signature and an unknown key', async () => {
+        const [header, , signature] = createToken().split('.');
+        const forged = Buffer.from(JSON.stringify({ oid: 'someone-else', tid: TENANT_ID })).toString('base64url');
+
+        await assertRejected(`${header}.${forged}.${signature}`, /signature is not valid/);
+        await assertRejected(createToken({}, { kid: 'other-key' }), /unknown key/);
+    });
+
+    await t.test('rejects malformed tokens', async () => {
+        await assertRejected('not-a-token', /Malformed access token/);
+        await assertRejected('a.b.c', /Malformed access token header/);
+    });
+});
@@ -0,0 +1,176 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/chunkingService.test.js
+// Purpose: Tests token-based chunking edge cases: oversized sentences, CJK text,
+//          overlap between chunks and tables split by rows.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkText, countTokens, locateChunks } = require('../src/functions/utils/chunkingService');
+const { toMarkdownTable } = require('../src/functions/utils/markdownTable');
+
+/**
+ * Asserts that no chunk is over the token limit or carries a broken character
+ * @param {Array<string>} chunks - Chunks
+ * @param {number} maxTokens - Token limit
+ */
+function assertWellFormed(chunks, maxTokens) {
+    assert.ok(chunks.length > 0, 'expected at least one chunk');
+    for (const chunk of chunks) {
+        assert.ok(countTokens(chunk) <= maxTokens, `chunk has ${countTokens(chunk)} tokens: ${chunk}`);
+        assert.ok(!chunk.includes('�'), `chunk has a broken character: ${chunk}`);
+        assert.equal(chunk, chunk.trim());
+    }
+}
+
+test('sentence longer than the token limit', async (t) => {
+    const words = Array.from({ length: 300 }, (_, i) => `word${i}`);
+    const text = `Short opening sentence. ${words.join(' ')} end of the long sentence. Closing sentence.`;
+
+    for (const strategy of ['sentence', 'recursive', 'paragraph']) {
+        await t.test(strategy, () => {
+            const chunks = chunkText(text, { strategy, maxTokens: 50, overlapTokens: 10 });
+            assertWellFormed(chunks, 50);
+
+            const joined = chunks.join(' ');
+            assert.doesNotMatch(joined, /\.word/, 'sentences are glued together');
+            for (const word of [...words, 'opening', 'Closing']) {
+                assert.match(joined, new RegExp(`\\b${word}\\b`), `${word} is missing`);
+            }
+        });
+    }
+
+    await t.test('fixed windows overlap', () => {
+        const chunks = chunkText(words.join(' '), { strategy: 'fixed', maxTokens: 50, overlapTokens: 10 });
+        assertWellFormed(chunks, 50);
+        for (let i = 1; i < chunks.length; i++) {
+            const lastWord = chunks[i - 1].split(' ').at(-1);
+            assert.ok(chunks[i].includes(lastWord), `chunk ${i} does not overlap the previous one`);
+        }
+    });
+});
+
+test('CJK text', async (t) => {
+    const sentences = Array.from({ length: 40 }, (_, i) =>
+        `第${i}章では、検索インデックスの構成と文書の分割方法について説明します。`);
+    const text = sentences.join('');
+
+    for (const strategy of ['sentence', 'recursive']) {
+        await t.test(`${strategy} splits on CJK sentence ends`, () => {
+            const chunks = chunkText(text, { strategy, maxTokens: 80, overlapTokens: 0 });
+            assertWellFormed(chunks, 80);
+            assert.ok(chunks.length > 1);
+            assert.equal(chunks.join(''), text);
+            for (const chunk of chunks) {
+                assert.ok(chunk.endsWith('。'), `chunk does not end on a sentence: ${chunk}`);
+            }
+        });
+    }
+
+    await t.test('fixed windows do not cut characters', () => {
+        const chunks = chunkText('漢字かな交じり文の検索テスト。'.repeat(50), { strategy: 'fixed', maxTokens: 7, overlapTokens: 2 });
+        assertWellFormed(chunks, 7);
+    });
+
+    await t.test('chunks are located in the source text', () => {
+        const chunks = chunkText(text, { strategy: 'sentence', maxTokens: 80, overlapTokens: 30 });
+        const spans = locateChunks(text, chunks);
+        spans.forEach((span, i) => {
+            assert.notEqual(span, null);
+            assert.equal(text.slice(span.start, span.end), chunks[i]);
+        });
+    });
+});
+
+test('overlap boundaries', async (t) => {
+    const sentences = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} talks about topic ${i}.`);
+    const text = sentences.join(' ');
+    const sentenceTokens = countTokens(` ${sentences[0]}`);
+
+    /**
+     * Lists the sentences of a chunk
+     * @param {string} chunk - Chunk
+     * @returns {Array<string>}
+     */
+    const sentencesOf = chunk => chunk.match(/Sentence number \d+ talks about topic \d+\./g);
+
+    await t.test('chunks start with whole trailing sentences of the previous chunk', () => {
+        const overlapTokens = sentenceTokens * 2;
+        const chunks = chunkText(text, { strategy: 'sentence', maxTokens: 60, overlapTokens });
+        assertWellFormed(chunks, 60);
+
+        for (let i = 1; i < chunks.length; i++) {
+            const previous = sentencesOf(chunks[i - 1]);
+            const current = sentencesOf(chunks[i]);
+            const shared = current.filter(sentence => previous.includes(sentence));
+
+            assert.ok(shared.length > 0, `chunk ${i} has no overlap`);
+            assert.deepEqual(current.slice(0, shared.length), previous.slice(-shared.length));
+            assert.ok(countTokens(shared.join(' ')) <= overlapTokens, `chunk ${i} overlaps by more than ${overlapTokens} tokens`);
+        }
+    });
+
+    await t.test('no overlap when overlapTokens is 0', () => {
+        const chunks = chunkText(text, { strategy: 'sentence', maxTokens: 60, overlapTokens: 0 });
+        assert.deepEqual(chunks.flatMap(sentencesOf), sentences);
+    });
+
+    await t.test('overlap smaller than one sentence repeats nothing', () => {
+        const chunks = chunkText(text, { strategy: 'sentence', maxTokens: 60, overlapTokens: sentenceTokens - 1 });
+        assert.deepEqual(chunks.flatMap(sentencesOf), sentences);
+    });
+
+    await t.test('text that fits is one chunk', () => {
+        assert.deepEqual(chunkText(sentences[0], { strategy: 'sentence', maxTokens: 60, overlapTokens: 10 }), [sentences[0]]);
+    });
+
+    await t.test('overlap must be smaller than the chunk size', () => {
+        assert.throws(() => chunkText(text, { maxTokens: 50, overlapTokens: 50 }), /Invalid chunk size/);
+        assert.throws(() => chunkText(text, { maxTokens: 50, overlapTokens: -1 }), /Invalid chunk size/);
+    });
+});
+
+test('tables repeat their header', async (t) => {
+    const rows = [
+        ['Region', 'Quarter', 'Revenue'],
+        ...Array.from({ length: 40 }, (_, i) => [`Region ${i}`, `Q${(i % 4) + 1}`, `${1000 + i}`])
+    ];
+    const table = toMarkdownTable(rows);
+    const [headerLine, separatorLine, ...rowLines] = table.split('\n');
+    const text = `Quarterly revenue by region.\n\n${table}\n\nFigures are unaudited.`;
+
+    await t.test('every table chunk starts with the header', () => {
+        const chunks = chunkText(text, { maxTokens: 80, overlapTokens: 10 });
+        assertWellFormed(chunks, 80);
+
+        const tableChunks = chunks.filter(chunk => chunk.startsWith('|'));
+        assert.ok(tableChunks.length > 1);
+        for (const chunk of tableChunks) {
+            const [header, separator] = chunk.split('\n');
+            assert.equal(header, headerLine);
+            assert.equal(separator, separatorLine);
+        }
+
+        assert.deepEqual(tableChunks.flatMap(chunk => chunk.split('\n').slice(2)), rowLines);
+        assert.equal(chunks[0], 'Quarterly revenue by region.');
+        assert.equal(chunks.at(-1), 'Figures are unaudited.');
+    });
+
+    await t.test('a table that fits stays whole', () => {
+        const small = toMarkdownTable(rows.slice(0, 3));
+        assert.deepEqual(chunkText(small, { maxTokens: 200, overlapTokens: 10 }), [small]);
+    });
+
+    await t.test('a row too large for one chunk is split into windows', () => {
+        const wide = toMarkdownTable([['Name', 'Notes'], ['Long', 'note '.repeat(200)], ['Short', 'ok']]);
+        const chunks = chunkText(wide, { maxTokens: 60, overlapTokens: 0 });
+        assertWellFormed(chunks, 60);
+        assert.ok(chunks.some(chunk => chunk.includes('| Short | ok |')));
+    });
+
+    await t.test('table chunks are located on their rows', () => {
+        const chunks = chunkText(text, { maxTokens: 80, overlapTokens: 10 });
+        const spans = locateChunks(text, chunks);
+        assert.ok(spans.every(span => span !== null));
+    });
+});
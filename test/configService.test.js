@@ -0,0 +1,51 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/configService.test.js
+// Purpose: Tests that optional settings are cached and that missing ones fall
+//          back to their default without being reported as failures.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const configService = require('../src/functions/utils/configService');
+
+const stored = { CHUNK_MAX_TOKENS: '400', EMPTY_SETTING: '' };
+const requested = [];
+
+configService.appConfigClient = {
+    async getConfigurationSetting({ key }) {
+        requested.push(key);
+        if (key === 'BROKEN_SETTING') {
+            throw Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+        }
+        if (!(key in stored)) {
+            throw Object.assign(new Error('Setting not found'), { statusCode: 404 });
+        }
+        return { key, value: stored[key] };
+    }
+};
+
+test('getOptionalSetting', async (t) => {
+    const errors = [];
+    t.mock.method(console, 'error', (...args) => errors.push(args));
+
+    await t.test('reads a setting once while it is cached', async () => {
+        assert.equal(await configService.getOptionalSetting('CHUNK_MAX_TOKENS', 512), '400');
+        assert.equal(await configService.getOptionalSetting('CHUNK_MAX_TOKENS', 512), '400');
+        assert.deepEqual(requested.filter(key => key === 'CHUNK_MAX_TOKENS'), ['CHUNK_MAX_TOKENS']);
+    });
+
+    await t.test('a missing or empty setting falls back to the default quietly', async () => {
+        assert.equal(await configService.getOptionalSetting('CHUNK_STRATEGY', 'recursive'), 'recursive');
+        assert.equal(await configService.getOptionalSetting('CHUNK_STRATEGY'), null);
+        assert.equal(await configService.getOptionalSetting('EMPTY_SETTING', 'true'), 'true');
+        assert.deepEqual(requested.filter(key => key === 'CHUNK_STRATEGY'), ['CHUNK_STRATEGY']);
+        assert.deepEqual(errors, []);
+    });
+
+    await t.test('other failures are reported and not cached', async () => {
+        await assert.rejects(configService.getOptionalSetting('BROKEN_SETTING', 'x'), /Service unavailable/);
+        await assert.rejects(configService.getOptionalSetting('BROKEN_SETTING', 'x'), /Service unavailable/);
+        assert.equal(requested.filter(key => key === 'BROKEN_SETTING').length, 2);
+        assert.equal(errors.length, 2);
+    });
+});
@@ -0,0 +1,106 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/csvExtractor.test.js
+// Purpose: Tests CSV encoding and delimiter detection and the row chunks
+//          extracted from them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Services read these at require time, so they are replaced first
+const loggingService = require('../src/functions/utils/loggingService');
+loggingService.logMessage = () => {};
+loggingService.logError = () => {};
+
+const { decodeCsvBuffer, detectDelimiter, extractCsvRows } = require('../src/functions/utils/csvExtractor');
+
+const CSV_TEXT = 'Name;City;Amount\r\nZoë;München;1,5\r\nJosé;Zürich;2,25\r\n';
+
+/**
+ * Encodes text as big-endian UTF-16
+ * @param {string} text - Text
+ * @returns {Buffer}
+ */
+function utf16be(text) {
+    return Buffer.from(text, 'utf16le').swap16();
+}
+
+test('decodeCsvBuffer', async (t) => {
+    const cases = [
+        { name: 'UTF-8', buffer: Buffer.from(CSV_TEXT, 'utf8'), encoding: 'utf8' },
+        { name: 'UTF-8 with BOM', buffer: Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(CSV_TEXT, 'utf8')]), encoding: 'utf8' },
+        { name: 'UTF-16LE with BOM', buffer: Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(CSV_TEXT, 'utf16le')]), encoding: 'utf16le' },
+        { name: 'UTF-16BE with BOM', buffer: Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(CSV_TEXT)]), encoding: 'utf16be' },
+        { name: 'UTF-16LE without BOM', buffer: Buffer.from(CSV_TEXT, 'utf16le'), encoding: 'utf16le' },
+        { name: 'UTF-16BE without BOM', buffer: utf16be(CSV_TEXT), encoding: 'utf16be' },
+        { name: 'Latin-1', buffer: Buffer.from(CSV_TEXT, 'latin1'), encoding: 'latin1' }
+    ];
+
+    for (const { name, buffer, encoding } of cases) {
+        await t.test(name, () => {
+            assert.deepEqual(decodeCsvBuffer(buffer), { text: CSV_TEXT, encoding });
+        });
+    }
+
+    await t.test('empty file', () => {
+        assert.deepEqual(decodeCsvBuffer(Buffer.alloc(0)), { text: '', encoding: 'utf8' });
+    });
+});
+
+test('detectDelimiter', async (t) => {
+    const cases = [
+        { name: 'comma', text: 'a,b,c\n1,2,3\n4,5,6', delimiter: ',' },
+        { name: 'semicolon with decimal commas', text: CSV_TEXT, delimiter: ';' },
+        { name: 'tab', text: 'name\tnote\nAnn\tsee a, b; c\nBob\tok', delimiter: '\t' },
+        { name: 'pipe', text: 'id|label\n1|x,y\n2|z', delimiter: '|' },
+        { name: 'commas inside quotes are not counted', text: 'name;note\n"Smith, J";"a, b, c"\n"Doe, A";x', delimiter: ';' },
+        { name: 'single column', text: 'name\nAnn\nBob', delimiter: ',' },
+        { name: 'empty text', text: '', delimiter: ',' }
+    ];
+
+    for (const { name, text, delimiter } of cases) {
+        await t.test(name, () => {
+            assert.equal(detectDelimiter(text), delimiter);
+        });
+    }
+});
+
+test('extractCsvRows', async (t) => {
+    await t.test('UTF-16 semicolon file', async () => {
+        const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(CSV_TEXT, 'utf16le')]);
+        const sections = await extractCsvRows(null, buffer, 500);
+
+        assert.deepEqual(sections, [{
+            text: 'Columns: Name, City, Amount\nName: Zoë | City: München | Amount: 1,5\nName: José | City: Zürich | Amount: 2,25',
+            metadata: { rowStart: 2, rowEnd: 3 },
+            chunked: true
+        }]);
+    });
+
+    await t.test('chunks repeat the header and keep rows whole', async () => {
+        const rows = Array.from({ length: 60 }, (_, i) => `Item ${i},"Note ${i}, with a comma",${i * 10}`);
+        const buffer = Buffer.from(['Item,Note,Price', ...rows].join('\n'));
+        const sections = await extractCsvRows(null, buffer, 80);
+
+        assert.ok(sections.length > 1);
+        let nextRow = 2;
+        for (const section of sections) {
+            const [header, ...lines] = section.text.split('\n');
+            assert.equal(header, 'Columns: Item, Note, Price');
+            assert.equal(section.metadata.rowStart, nextRow);
+            assert.equal(section.metadata.rowEnd, nextRow + lines.length - 1);
+            lines.forEach((line, i) => {
+                const item = section.metadata.rowStart - 2 + i;
+                assert.equal(line, `Item: Item ${item} | Note: Note ${item}, with a comma | Price: ${item * 10}`);
+            });
+            nextRow = section.metadata.rowEnd + 1;
+        }
+        assert.equal(nextRow, 62);
+    });
+
+    await t.test('empty cells are skipped', async () => {
+        const sections = await extractCsvRows(null, Buffer.from('a,b,c\n1,,3\n,,\n'), 500);
+        assert.equal(sections[0].text, 'Columns: a, b, c\na: 1 | c: 3');
+        assert.deepEqual(sections[0].metadata, { rowStart: 2, rowEnd: 2 });
+    });
+});
@@ -0,0 +1,113 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/markdownTable.test.js
+// Purpose: Tests Markdown table formatting, cell escaping and recognition of
+//          tables in extracted text.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toMarkdownTable, splitTableBlocks, parseTableText, isTableRow } = require('../src/functions/utils/markdownTable');
+
+/**
+ * Splits a table row into cells the way GitHub Flavored Markdown does: a pipe
+ * preceded by a backslash is part of the cell, and backslash escapes are kept
+ * @param {string} row - Markdown table row
+ * @returns {Array<string>} Cell texts
+ */
+function splitRow(row) {
+    const cells = [];
+    let cell = '';
+    for (let i = 1; i < row.length - 1; i++) {
+        if (row[i] === '\\' && i + 1 < row.length - 1) {
+            cell += row[i] + row[i + 1];
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += row[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+test('toMarkdownTable', async (t) => {
+    await t.test('first row is the header', () => {
+        assert.equal(
+            toMarkdownTable([['Region', 'Revenue'], ['North', '100'], ['South', '80']]),
+            '| Region | Revenue |\n| --- | --- |\n| North | 100 |\n| South | 80 |'
+        );
+    });
+
+    await t.test('short rows are padded and missing cells are empty', () => {
+        assert.equal(
+            toMarkdownTable([['a', 'b', 'c'], ['1'], [null, undefined, 3]]),
+            '| a | b | c |\n| --- | --- | --- |\n| 1 |  |  |\n|  |  | 3 |'
+        );
+    });
+
+    await t.test('no rows', () => {
+        assert.equal(toMarkdownTable([]), '');
+        assert.equal(toMarkdownTable([[]]), '');
+    });
+});
+
+test('cell escaping', async (t) => {
+    const cases = [
+        { name: 'pipe', cell: 'a | b', escaped: 'a \\| b' },
+        { name: 'line breaks', cell: 'first line\n  second line\r\nthird', escaped: 'first line second line third' },
+        { name: 'backslash before a pipe', cell: 'C:\\|D:', escaped: 'C:\\\\\\|D:' },
+        { name: 'backslash elsewhere', cell: 'C:\\Temp\\', escaped: 'C:\\Temp\\' },
+        { name: 'surrounding whitespace', cell: '  padded  ', escaped: 'padded' }
+    ];
+
+    for (const { name, cell, escaped } of cases) {
+        await t.test(name, () => {
+            const table = toMarkdownTable([['Value', 'Next'], [cell, 'x']]);
+            const lines = table.split('\n');
+
+            assert.equal(lines.length, 3);
+            assert.equal(lines[2], `| ${escaped} | x |`);
+            assert.deepEqual(splitRow(lines[2]), [escaped, 'x']);
+        });
+    }
+});
+
+test('splitTableBlocks', async (t) => {
+    const table = toMarkdownTable([['Name', 'Role'], ['Ann', 'Owner'], ['Bob', 'Member']]);
+
+    await t.test('prose and tables in order', () => {
+        const text = `Team members:\n\n${table}\n\nUpdated monthly.`;
+        assert.deepEqual(splitTableBlocks(text), [
+            { type: 'text', text: 'Team members:\n' },
+            { type: 'table', text: table },
+            { type: 'text', text: '\nUpdated monthly.' }
+        ]);
+    });
+
+    await t.test('rows without a header separator are prose', () => {
+        const text = '| not | a table |\n| just | pipes |';
+        assert.deepEqual(splitTableBlocks(text), [{ type: 'text', text }]);
+    });
+
+    await t.test('adjacent tables', () => {
+        const other = toMarkdownTable([['Key', 'Value'], ['a', '1']]);
+        assert.deepEqual(splitTableBlocks(`${table}\n${other}`).map(block => block.type), ['table']);
+        assert.deepEqual(splitTableBlocks(`${table}\n\n${other}`).map(block => block.type), ['table', 'table']);
+    });
+});
+
+test('parseTableText and isTableRow', () => {
+    const table = toMarkdownTable([['Name', 'Role'], ['Ann', 'Owner']]);
+    assert.deepEqual(parseTableText(`\n${table}\n`), {
+        header: '| Name | Role |\n| --- | --- |',
+        rows: ['| Ann | Owner |']
+    });
+    assert.equal(parseTableText('| Name | Role |\n| Ann | Owner |'), null);
+    assert.equal(parseTableText('plain text'), null);
+
+    assert.ok(isTableRow('| a | b |'));
+    assert.ok(isTableRow('| a | b |  '));
+    assert.ok(!isTableRow('a | b'));
+});
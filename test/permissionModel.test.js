@@ -0,0 +1,95 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/permissionModel.test.js
+// Purpose: Tests the principals stored on documents, the principals of a caller
+//          and the security filter built from them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Services read these at require time, so they are replaced first
+const loggingService = require('../src/functions/utils/loggingService');
+loggingService.logMessage = () => {};
+loggingService.logError = () => {};
+
+const {
+    ORGANIZATION_PRINCIPAL,
+    ANYONE_PRINCIPAL,
+    getPermissionPrincipals,
+    getSiteGroupPrincipals,
+    getCallerPrincipals
+} = require('../src/functions/models/permissionModel');
+const { buildSecurityFilter } = require('../src/functions/services/searchService');
+
+const USER_ID = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+const GROUP_ID = '6f1c2a4e-8b0d-4c3e-9a57-2d1e0f3b4c5a';
+
+test('getCallerPrincipals', async (t) => {
+    await t.test('members get their groups and organization-wide grants', () => {
+        const principals = getCallerPrincipals({ userId: USER_ID.toUpperCase(), groupIds: [GROUP_ID] });
+        assert.deepEqual(principals.sort(), [USER_ID, GROUP_ID, ANYONE_PRINCIPAL, ORGANIZATION_PRINCIPAL].sort());
+    });
+
+    await t.test('guests do not get organization-wide grants', () => {
+        const principals = getCallerPrincipals({ userId: USER_ID, groupIds: [GROUP_ID], external: true });
+        assert.ok(!principals.includes(ORGANIZATION_PRINCIPAL));
+        assert.deepEqual(principals.sort(), [USER_ID, GROUP_ID, ANYONE_PRINCIPAL].sort());
+    });
+
+    await t.test('an identity without a userId is rejected', () => {
+        assert.throws(() => getCallerPrincipals({ groupIds: [GROUP_ID] }), /userId is required/);
+        assert.throws(() => getCallerPrincipals(null), /userId is required/);
+    });
+});
+
+test('buildSecurityFilter', async (t) => {
+    await t.test('matches any of the caller principals', () => {
+        assert.equal(
+            buildSecurityFilter({ userId: USER_ID, groupIds: [GROUP_ID], external: true }),
+            `allowedPrincipals/any(p: search.in(p, '${USER_ID},${GROUP_ID},${ANYONE_PRINCIPAL}', ','))`
+        );
+    });
+
+    await t.test('quotes in principal ids are escaped', () => {
+        assert.equal(
+            buildSecurityFilter({ userId: "o'brien", groupIds: ["x') or true or ('"], external: true }),
+            `allowedPrincipals/any(p: search.in(p, 'o''brien,x'') or true or ('',${ANYONE_PRINCIPAL}', ','))`
+        );
+    });
+
+    await t.test('an identity without a userId is rejected', () => {
+        assert.throws(() => buildSecurityFilter({}), /userId is required/);
+    });
+});
+
+test('getPermissionPrincipals', async (t) => {
+    await t.test('users, groups, claims and sharing links', () => {
+        const { principals, siteGroups, unresolved } = getPermissionPrincipals([
+            { grantedToV2: { user: { id: USER_ID.toUpperCase() } } },
+            { grantedToIdentitiesV2: [{ group: { id: GROUP_ID } }] },
+            { grantedToV2: { siteUser: { loginName: `c:0o.c|federateddirectoryclaimprovider|${GROUP_ID}_o` } } },
+            { grantedToV2: { siteUser: { loginName: 'c:0-.f|rolemanager|spo-grid-all-users/tenant' } } },
+            { link: { scope: 'anonymous' } },
+            { grantedToV2: { siteGroup: { id: '5', loginName: 'HR Members' } } },
+            { grantedToV2: { siteGroup: { loginName: 'Limited Access System Group' } } }
+        ]);
+
+        assert.deepEqual(principals, [
+            USER_ID, GROUP_ID, `${GROUP_ID}_o`, ANYONE_PRINCIPAL, ORGANIZATION_PRINCIPAL
+        ].sort());
+        assert.deepEqual(siteGroups, [{ id: '5', loginName: 'HR Members' }]);
+        assert.equal(unresolved, 1);
+    });
+
+    await t.test('site group members', () => {
+        const { principals, userPrincipalNames } = getSiteGroupPrincipals([
+            { loginName: `c:0o.c|federateddirectoryclaimprovider|${GROUP_ID}`, principalType: 4 },
+            { loginName: `c:0t.c|tenant|${GROUP_ID.toUpperCase()}`, principalType: 4 },
+            { loginName: 'i:0#.f|membership|ann@contoso.com', userPrincipalName: 'Ann@contoso.com', principalType: 1 },
+            { loginName: 'SHAREPOINT\\system', userPrincipalName: null, principalType: 1 }
+        ]);
+
+        assert.deepEqual(principals, [GROUP_ID]);
+        assert.deepEqual(userPrincipalNames, ['ann@contoso.com']);
+    });
+});
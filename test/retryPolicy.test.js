@@ -0,0 +1,51 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/retryPolicy.test.js
+// Purpose: Tests which failures of Graph, Azure SDK and axios calls are retried.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isRetryableError, CIRCUIT_OPEN_CODE } = require('../src/functions/utils/retryPolicy');
+
+/**
+ * Creates an error with extra properties
+ * @param {Object} properties - Properties of the error
+ * @returns {Error}
+ */
+function failure(properties) {
+    return Object.assign(new Error('failed'), properties);
+}
+
+test('isRetryableError', async (t) => {
+    await t.test('throttling and server errors from any client', () => {
+        assert.ok(isRetryableError(failure({ statusCode: 429 })));
+        assert.ok(isRetryableError(failure({ status: 503 })));
+        assert.ok(isRetryableError(failure({ response: { status: 504 } })));
+        assert.ok(isRetryableError(failure({ statusCode: '500' })));
+    });
+
+    await t.test('other client errors are fatal', () => {
+        assert.ok(!isRetryableError(failure({ statusCode: 400 })));
+        assert.ok(!isRetryableError(failure({ status: 404, code: 'ECONNRESET' })));
+        assert.ok(!isRetryableError(failure({ response: { status: 403 } })));
+    });
+
+    await t.test('Graph network failures without a status', () => {
+        assert.ok(isRetryableError(failure({ name: 'GraphError', statusCode: -1, code: 'FetchError' })));
+        assert.ok(isRetryableError(failure({ name: 'GraphError', statusCode: -1, code: 'AbortError' })));
+        assert.ok(isRetryableError(failure({ statusCode: 0, code: 'ECONNRESET' })));
+        assert.ok(!isRetryableError(failure({ name: 'GraphError', statusCode: -1, code: 'TypeError' })));
+    });
+
+    await t.test('network error codes and names', () => {
+        assert.ok(isRetryableError(failure({ code: 'ETIMEDOUT' })));
+        assert.ok(isRetryableError(failure({ code: 'REQUEST_SEND_ERROR' })));
+        assert.ok(isRetryableError(failure({ name: 'FetchError' })));
+        assert.ok(!isRetryableError(failure({ code: 'ERR_INVALID_ARG_TYPE' })));
+    });
+
+    await t.test('an open circuit is not retried', () => {
+        assert.ok(!isRetryableError(failure({ code: CIRCUIT_OPEN_CODE })));
+        assert.ok(!isRetryableError(null));
+    });
+});
@@ -0,0 +1,188 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/sharePointUrlResolver.test.js
+// Purpose: Tests URL parsing, sharing link detection and drive matching of the
+//          SharePoint URL resolver.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSharePointUrl, isSharingLink, matchDrive } = require('../src/functions/utils/sharePointUrlResolver');
+
+const HOST = 'https://contoso.sharepoint.com';
+
+test('parseSharePointUrl', async (t) => {
+    const cases = [
+        {
+            name: 'file in the default library of a site',
+            url: `${HOST}/sites/hr/Shared%20Documents/Policies/Leave.pdf`,
+            siteSegments: ['sites', 'hr'],
+            pathSegments: ['Shared Documents', 'Policies', 'Leave.pdf']
+        },
+        {
+            name: 'file in a subsite',
+            url: `${HOST}/sites/hr/benefits/Shared%20Documents/Plan.docx`,
+            siteSegments: ['sites', 'hr'],
+            pathSegments: ['benefits', 'Shared Documents', 'Plan.docx']
+        },
+        {
+            name: 'file on a /teams/ site',
+            url: `${HOST}/teams/Finance/Budget/2024.xlsx`,
+            siteSegments: ['teams', 'Finance'],
+            pathSegments: ['Budget', '2024.xlsx']
+        },
+        {
+            name: 'file on the root site',
+            url: `${HOST}/Shared%20Documents/Readme.txt`,
+            siteSegments: [],
+            pathSegments: ['Shared Documents', 'Readme.txt']
+        },
+        {
+            name: 'localized library name',
+            url: `${HOST}/sites/rh/Documents%20partag%C3%A9s/Cong%C3%A9s.pdf`,
+            siteSegments: ['sites', 'rh'],
+            pathSegments: ['Documents partagés', 'Congés.pdf']
+        },
+        {
+            name: 'percent-encoded reserved characters',
+            url: `${HOST}/sites/hr/Shared%20Documents/Q1%20%23%20report%2520final.pdf`,
+            siteSegments: ['sites', 'hr'],
+            pathSegments: ['Shared Documents', 'Q1 # report%20final.pdf']
+        },
+        {
+            name: 'malformed escape kept as is',
+            url: `${HOST}/sites/hr/Docs/100%25%zz.pdf`,
+            siteSegments: ['sites', 'hr'],
+            pathSegments: ['Docs', '100%25%zz.pdf']
+        },
+        {
+            name: 'library view link with an id parameter',
+            url: `${HOST}/sites/hr/Shared%20Documents/Forms/AllItems.aspx?id=%2Fsites%2Fhr%2FShared%20Documents%2FPolicies&viewid=abc`,
+            siteSegments: ['sites', 'hr'],
+            pathSegments: ['Shared Documents', 'Policies']
+        },
+        {
+            name: 'custom library view link on a subsite',
+            url: `${HOST}/teams/ops/emea/Contracts/Forms/AllItems.aspx?id=/teams/ops/emea/Contracts/2024`,
+            siteSegments: ['teams', 'ops'],
+            pathSegments: ['emea', 'Contracts', '2024']
+        },
+        {
+            name: 'managed path without a site name',
+            url: `${HOST}/sites`,
+            siteSegments: [],
+            pathSegments: ['sites']
+        }
+    ];
+
+    for (const { name, url, siteSegments, pathSegments } of cases) {
+        await t.test(name, () => {
+            const parsed = parseSharePointUrl(url);
+            assert.equal(parsed.hostname, 'contoso.sharepoint.com');
+            assert.equal(parsed.tenantName, 'contoso');
+            assert.deepEqual(parsed.siteSegments, siteSegments);
+            assert.deepEqual(parsed.pathSegments, pathSegments);
+        });
+    }
+
+    await t.test('rejects a value that is not a URL', () => {
+        assert.throws(() => parseSharePointUrl('Shared Documents/Leave.pdf'), /Invalid SharePoint URL/);
+    });
+});
+
+test('isSharingLink', async (t) => {
+    const cases = [
+        { url: `${HOST}/:w:/s/hr/EaBcDeFgHiJ?e=xyz`, expected: true },
+        { url: `${HOST}/:f:/r/sites/hr/Shared%20Documents/Policies?csf=1`, expected: true },
+        { url: `https://contoso-my.sharepoint.com/:x:/g/personal/ann_contoso_com/EXyz`, expected: true },
+        { url: `${HOST}/sites/hr/_layouts/15/Doc.aspx?sourcedoc={1234}&file=Plan.docx`, expected: true },
+        { url: `${HOST}/sites/hr/_layouts/15/guestaccess.aspx?share=EaBc`, expected: true },
+        { url: `${HOST}/sites/hr/Shared%20Documents/Leave.pdf`, expected: false },
+        { url: `${HOST}/sites/hr/Shared%20Documents/Forms/AllItems.aspx?id=%2Fsites%2Fhr`, expected: false },
+        { url: `${HOST}/sites/hr/_layouts/15/viewlsts.aspx`, expected: false }
+    ];
+
+    for (const { url, expected } of cases) {
+        await t.test(url, () => {
+            assert.equal(isSharingLink(url), expected);
+        });
+    }
+
+    await t.test('rejects a value that is not a URL', () => {
+        assert.throws(() => isSharingLink('not a url'), /Invalid SharePoint URL: not a url/);
+    });
+});
+
+test('matchDrive', async (t) => {
+    const drives = [
+        { id: 'hr-docs', webUrl: `${HOST}/sites/hr/Shared%20Documents` },
+        { id: 'hr-contracts', webUrl: `${HOST}/sites/hr/Contracts` },
+        { id: 'hr-contracts-archive', webUrl: `${HOST}/sites/hr/Contracts%20Archive` },
+        { id: 'benefits-docs', webUrl: `${HOST}/sites/hr/benefits/Shared%20Documents` },
+        { id: 'rh-docs', webUrl: `${HOST}/sites/rh/Documents%20partag%C3%A9s` },
+        { id: 'no-url' }
+    ];
+
+    const cases = [
+        {
+            name: 'file in a library',
+            url: `${HOST}/sites/hr/Shared%20Documents/Policies/Leave.pdf`,
+            driveId: 'hr-docs',
+            itemPath: 'Policies/Leave.pdf'
+        },
+        {
+            name: 'library root',
+            url: `${HOST}/sites/hr/Contracts`,
+            driveId: 'hr-contracts',
+            itemPath: ''
+        },
+        {
+            name: 'library whose name extends another library name',
+            url: `${HOST}/sites/hr/Contracts%20Archive/2019.pdf`,
+            driveId: 'hr-contracts-archive',
+            itemPath: '2019.pdf'
+        },
+        {
+            name: 'library of a subsite',
+            url: `${HOST}/sites/hr/benefits/Shared%20Documents/Plan.docx`,
+            driveId: 'benefits-docs',
+            itemPath: 'Plan.docx'
+        },
+        {
+            name: 'library name in another case',
+            url: `${HOST}/sites/HR/shared%20documents/Leave.pdf`,
+            driveId: 'hr-docs',
+            itemPath: 'Leave.pdf'
+        },
+        {
+            name: 'localized library name',
+            url: `${HOST}/sites/rh/Documents%20partag%C3%A9s/Cong%C3%A9s.pdf`,
+            driveId: 'rh-docs',
+            itemPath: 'Congés.pdf'
+        },
+        {
+            name: 'library view link',
+            url: `${HOST}/sites/hr/Contracts/Forms/AllItems.aspx?id=%2Fsites%2Fhr%2FContracts%2F2024`,
+            driveId: 'hr-contracts',
+            itemPath: '2024'
+        },
+        {
+            name: 'path outside every library',
+            url: `${HOST}/sites/hr/SitePages/Home.aspx`,
+            driveId: null
+        }
+    ];
+
+    for (const { name, url, driveId, itemPath } of cases) {
+        await t.test(name, () => {
+            const { siteSegments, pathSegments } = parseSharePointUrl(url);
+            const match = matchDrive(drives, [...siteSegments, ...pathSegments]);
+
+            if (driveId === null) {
+                assert.equal(match, null);
+                return;
+            }
+            assert.equal(match.drive.id, driveId);
+            assert.equal(match.itemPath, itemPath);
+        });
+    }
+});
@@ -0,0 +1,133 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/sitePermissions.test.js
+// Purpose: Tests that files shared with SharePoint site groups are returned to
+//          the members of those groups.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Services read these at require time, so they are replaced first
+const loggingService = require('../src/functions/utils/loggingService');
+loggingService.logMessage = () => {};
+loggingService.logError = () => {};
+
+const sharePointService = require('../src/functions/services/sharePointService');
+const siteGroupMembers = new Map();
+sharePointService.getSiteGroupMembers = async (context, siteUrl, groupId) =>
+    siteGroupMembers.get(`${siteUrl}|${groupId}`) || [];
+
+const { getFilePermissions, getUserAccess } = require('../src/functions/services/graphService');
+const { getCallerPrincipals } = require('../src/functions/models/permissionModel');
+
+const SITE_URL = 'https://contoso.sharepoint.com/sites/hr';
+const GROUP_ID = '6f1c2a4e-8b0d-4c3e-9a57-2d1e0f3b4c5a';
+const MEMBER_ID = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+const OWNER_ID = '1b2c3d4e-5f6a-4b7c-9d8e-0f1a2b3c4d5e';
+const VISITOR_ID = '2c3d4e5f-6a7b-4c8d-8e9f-1a2b3c4d5e6f';
+const OUTSIDER_ID = '3d4e5f6a-7b8c-4d9e-9f0a-2b3c4d5e6f7a';
+
+/**
+ * Creates a Graph client answering from a table of responses by URL
+ * @param {Object<string, Object>} responses - Response bodies by request URL
+ * @returns {Object} Graph client
+ */
+function fakeGraphClient(responses) {
+    return {
+        api(url) {
+            let requestUrl = url;
+            const respond = async () => {
+                if (!(requestUrl in responses)) {
+                    const error = new Error(`Not found: ${requestUrl}`);
+                    error.statusCode = 404;
+                    throw error;
+                }
+                return responses[requestUrl];
+            };
+            return {
+                select(fields) {
+                    requestUrl = `${url}?$select=${fields}`;
+                    return this;
+                },
+                get: respond,
+                post: respond
+            };
+        }
+    };
+}
+
+/**
+ * Creates a site group permission as Graph returns it
+ * @param {string} id - Site group ID
+ * @param {string} displayName - Site group name
+ * @returns {Object} Permission resource
+ */
+function siteGroupPermission(id, displayName) {
+    const siteGroup = { id, displayName, loginName: displayName };
+    return { id: `perm-${id}`, roles: ['read'], grantedToV2: { siteGroup }, grantedTo: { user: { displayName } } };
+}
+
+/**
+ * Whether a caller's principals intersect a document's
+ * @param {Array<string>} callerPrincipals - Caller principals
+ * @param {Array<string>} allowedPrincipals - Document principals
+ * @returns {boolean}
+ */
+function canRead(callerPrincipals, allowedPrincipals) {
+    return callerPrincipals.some(principal => allowedPrincipals.includes(principal));
+}
+
+siteGroupMembers.set(`${SITE_URL}|3`, [
+    { loginName: `c:0o.c|federateddirectoryclaimprovider|${GROUP_ID}_o`, userPrincipalName: null, principalType: 4 }
+]);
+siteGroupMembers.set(`${SITE_URL}|5`, [
+    { loginName: `c:0o.c|federateddirectoryclaimprovider|${GROUP_ID}`, userPrincipalName: null, principalType: 4 },
+    { loginName: 'SHAREPOINT\\system', userPrincipalName: null, principalType: 1 }
+]);
+siteGroupMembers.set(`${SITE_URL}|4`, [
+    { loginName: 'i:0#.f|membership|visitor@contoso.com', userPrincipalName: 'Visitor@contoso.com', principalType: 1 },
+    { loginName: 'i:0#.f|membership|gone@contoso.com', userPrincipalName: 'gone@contoso.com', principalType: 1 }
+]);
+
+const graphResponses = {
+    '/drives/drive-1?$select=sharePointIds': { sharePointIds: { siteUrl: SITE_URL } },
+    '/drives/drive-1/items/members-only/permissions': { value: [siteGroupPermission('5', 'HR Members')] },
+    '/drives/drive-1/items/owners-only/permissions': { value: [siteGroupPermission('3', 'HR Owners')] },
+    '/drives/drive-1/items/visitors-only/permissions': { value: [siteGroupPermission('4', 'HR Visitors')] },
+    '/users/visitor%40contoso.com?$select=id': { id: VISITOR_ID.toUpperCase() },
+    [`/users/${MEMBER_ID}?$select=id,userType`]: { id: MEMBER_ID, userType: 'Member' },
+    [`/users/${MEMBER_ID}/getMemberGroups`]: { value: [GROUP_ID] },
+    [`/users/${MEMBER_ID}/ownedObjects/microsoft.graph.group?$select=id`]: { value: [] },
+    [`/users/${OWNER_ID}?$select=id,userType`]: { id: OWNER_ID, userType: 'Member' },
+    [`/users/${OWNER_ID}/getMemberGroups`]: { value: [] },
+    [`/users/${OWNER_ID}/ownedObjects/microsoft.graph.group?$select=id`]: { value: [{ id: GROUP_ID }] },
+    [`/users/${OUTSIDER_ID}?$select=id,userType`]: { id: OUTSIDER_ID, userType: 'Member' },
+    [`/users/${OUTSIDER_ID}/getMemberGroups`]: { value: [] },
+    [`/users/${OUTSIDER_ID}/ownedObjects/microsoft.graph.group?$select=id`]: { value: [] }
+};
+
+test('files shared with a site group', async (t) => {
+    const graphClient = fakeGraphClient(graphResponses);
+    const callerPrincipals = async (userId) =>
+        getCallerPrincipals({ userId, ...await getUserAccess(null, graphClient, userId) });
+
+    await t.test('Members group is returned to a member of the Microsoft 365 group', async () => {
+        const allowed = await getFilePermissions(null, graphClient, 'drive-1', 'members-only');
+        assert.deepEqual(allowed, [GROUP_ID]);
+        assert.ok(canRead(await callerPrincipals(MEMBER_ID), allowed));
+        assert.ok(!canRead(await callerPrincipals(OUTSIDER_ID), allowed));
+    });
+
+    await t.test('Owners group is returned to group owners only', async () => {
+        const allowed = await getFilePermissions(null, graphClient, 'drive-1', 'owners-only');
+        assert.deepEqual(allowed, [`${GROUP_ID}_o`]);
+        assert.ok(canRead(await callerPrincipals(OWNER_ID), allowed));
+        assert.ok(!canRead(await callerPrincipals(MEMBER_ID), allowed));
+    });
+
+    await t.test('users added to a site group are looked up by user principal name', async () => {
+        const allowed = await getFilePermissions(null, graphClient, 'drive-1', 'visitors-only');
+        assert.deepEqual(allowed, [VISITOR_ID]);
+        assert.ok(canRead(getCallerPrincipals({ userId: VISITOR_ID }), allowed));
+    });
+});
@@ -0,0 +1,148 @@
+// Copyright (c) 2024 ZyptAI, tim.barrow@zyptai.com
+// Proprietary and confidential to ZyptAI
+// File: test/textNormalizer.test.js
+// Purpose: Tests header, footer and page-number removal on PDF pages and
+//          slides, and that Word sections keep the text they share.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Services read these at require time, so they are replaced first
+const loggingService = require('../src/functions/utils/loggingService');
+loggingService.logMessage = () => {};
+loggingService.logError = () => {};
+
+const { normalizeSections } = require('../src/functions/utils/textNormalizer');
+const { joinPages, splitPages } = require('../src/functions/utils/pdfExtractor');
+
+/**
+ * Regions whose names tell pages apart; lines that differ only in their
+ * digits count as the same line on page edges
+ * @constant {Array<string>}
+ */
+const REGIONS = ['North', 'South', 'East', 'West'];
+
+/**
+ * Creates the body of a page: enough lines that its edges are distinct from its middle
+ * @param {number} page - Page number
+ * @returns {Array<string>} Body lines
+ */
+function pageBody(page) {
+    const region = REGIONS[page - 1];
+    return [
+        `The ${region} section opens with the quarterly figures.`,
+        `Revenue grew in the ${region} over the period.`,
+        'All amounts are in thousands of euros.',
+        `Costs in the ${region} stayed within budget.`,
+        `The ${region} section closes with the outlook.`
+    ];
+}
+
+/**
+ * Creates a PDF section as pdfExtractor returns it
+ * @param {Array<Array<string>>} pages - Lines of each page
+ * @returns {{text: string, metadata: Object, pageOffsets: Array<Object>}}
+ */
+function pdfSection(pages) {
+    const { text, pageOffsets } = joinPages(pages.map(lines => lines.join('\n')));
+    return { text, metadata: {}, pageOffsets };
+}
+
+test('PDF pages', async (t) => {
+    const pages = [1, 2, 3, 4].map(page => [
+        'Contoso Ltd - Annual Report 2024',
+        `Chapter ${REGIONS[page - 1]}`,
+        ...pageBody(page),
+        `Page ${page} of 4`
+    ]);
+    const [section] = normalizeSections(null, '.pdf', [pdfSection(pages)]);
+    const texts = splitPages(section.text, section.pageOffsets);
+
+    await t.test('running headers and page numbers are removed from every page', () => {
+        assert.equal(texts.length, 4);
+        texts.forEach((text, index) => {
+            assert.doesNotMatch(text, /Annual Report/);
+            assert.doesNotMatch(text, /Page \d of 4/);
+            assert.match(text, new RegExp(`^Chapter ${REGIONS[index]}\n`));
+        });
+    });
+
+    await t.test('lines repeated in the middle of pages are content', () => {
+        texts.forEach(text => assert.match(text, /All amounts are in thousands of euros\./));
+    });
+
+    await t.test('page offsets match the cleaned text', () => {
+        assert.deepEqual(texts, pages.map(lines => lines.slice(1, -1).join('\n')));
+    });
+
+    await t.test('numbers alone on a page edge are page numbers', () => {
+        const numbered = [1, 2].map(page => [String(page + 10), ...pageBody(page), `- ${page + 10} -`]);
+        const [cleaned] = normalizeSections(null, '.pdf', [pdfSection(numbered)]);
+        assert.deepEqual(splitPages(cleaned.text, cleaned.pageOffsets), [1, 2].map(page => pageBody(page).join('\n')));
+    });
+
+    await t.test('page numbers are kept when the rule is off', () => {
+        const numbered = [1, 2].map(page => [...pageBody(page), String(page)]);
+        const [cleaned] = normalizeSections(null, '.pdf', [pdfSection(numbered)], { removePageNumbers: false });
+        assert.match(cleaned.text, /outlook\.\n1$/m);
+    });
+
+    await t.test('too few pages have no running headers', () => {
+        const [cleaned] = normalizeSections(null, '.pdf', [pdfSection(pages.slice(0, 2))]);
+        assert.match(cleaned.text, /Annual Report/);
+    });
+});
+
+test('slides', async (t) => {
+    const slides = [1, 2, 3, 4].map(slide => ({
+        text: [`Slide title ${slide}`, `Point about topic ${slide}.`, 'Contoso confidential', 'Speaker notes:', `Notes for slide ${slide}.`].join('\n'),
+        metadata: { slideNumber: slide }
+    }));
+    const normalized = normalizeSections(null, '.pptx', slides);
+
+    await t.test('footers repeated on the slides are removed', () => {
+        normalized.forEach((section, index) => {
+            assert.equal(section.text, [`Slide title ${index + 1}`, `Point about topic ${index + 1}.`, 'Speaker notes:', `Notes for slide ${index + 1}.`].join('\n'));
+            assert.deepEqual(section.metadata, { slideNumber: index + 1 });
+        });
+    });
+
+    await t.test('only the edges of long slides are compared', () => {
+        const long = [1, 2, 3, 4].map(slide => ({
+            text: [`Title ${slide}`, ...pageBody(slide), 'Contoso confidential'].join('\n'),
+            metadata: {}
+        }));
+        normalizeSections(null, '.pptx', long).forEach(section => {
+            assert.match(section.text, /All amounts are in thousands of euros\./);
+            assert.doesNotMatch(section.text, /Contoso confidential/);
+        });
+    });
+});
+
+test('Word sections', async (t) => {
+    const sections = [1, 2, 3, 4].map(section => ({
+        text: [`Requirement ${section}`, 'The supplier must comply with the policy.', '2024'].join('\n'),
+        metadata: { sectionPath: [`Heading ${section}`] }
+    }));
+
+    await t.test('lines shared by sections are kept', () => {
+        const normalized = normalizeSections(null, '.docx', sections);
+        assert.deepEqual(normalized.map(section => section.text), sections.map(section => section.text));
+    });
+
+    await t.test('boilerplate patterns still apply', () => {
+        const normalized = normalizeSections(null, '.docx', sections, { boilerplatePatterns: ['^the supplier must'] });
+        normalized.forEach(section => assert.doesNotMatch(section.text, /supplier/));
+    });
+});
+
+test('table rows repeated on every page are kept', () => {
+    const pages = [1, 2, 3].map(page => ['| Region | Revenue |', '| --- | --- |', `| North | ${page} |`]);
+    const [section] = normalizeSections(null, '.pdf', [pdfSection(pages)]);
+    assert.deepEqual(splitPages(section.text, section.pageOffsets), pages.map(lines => lines.join('\n')));
+});
+
+test('pre-chunked sections are left untouched', () => {
+    const sections = [1, 2, 3].map(() => ({ text: 'Columns: a, b\na: 1  |  b: 2', metadata: {}, chunked: true }));
+    assert.deepEqual(normalizeSections(null, '.csv', sections), sections);
+});